@@ -1,5 +1,385 @@
 import { DurableObject } from "cloudflare:workers";
 
+/*
+  Storage layout: one key per record, so a write only touches what changed.
+  - incident:<id>         core incident fields (no history arrays)
+  - note:<id>:<seq>       context notes (append-only)
+  - timeline:<id>:<seq>   timeline entries (append-only)
+  - ai:<id>:<seq>         AI artefacts
+  - postmortem:<id>:<seq> postmortem document versions (each save is a new one)
+  - unredacted:<id>:<seq> originals of redacted text, if kept (admin-only; not returned with the incident)
+  - search:<term>:<id>    full-text index postings for one incident (see indexDoc)
+  IDs are URI-encoded inside keys so a ":" in an incident ID can't bleed into another prefix.
+*/
+const ENTRY_KINDS = {
+  contextNotes: "note",
+  timeline: "timeline",
+  aiOutput: "ai",
+  postmortemVersions: "postmortem"
+};
+
+/*
+  Tamper evidence: timeline entries and notes are hash-chained per incident.
+  Each entry stores prevHash + hash = SHA-256 over (incident, kind, seq, entry incl. prevHash);
+  chain:<kind>:<id> holds the head so truncating the end is detectable too.
+  Entries written before chaining existed stay as an unsealed prefix.
+*/
+const CHAINED_KINDS = ["timeline", "note"];
+
+// Durable Object storage accepts at most 128 keys per batched put/delete
+const STORAGE_BATCH = 128;
+
+/*
+  Postmortem document sections, in order. The AI draft is asked for exactly these headings;
+  human edits save the whole document as a new version with a per-section line diff.
+*/
+const POSTMORTEM_SECTIONS = [
+  { key: "impact", title: "Impact" },
+  { key: "timeline", title: "Timeline" },
+  { key: "rootCauseHypotheses", title: "Root Cause Hypotheses" },
+  { key: "contributingFactors", title: "Contributing Factors" },
+  { key: "actionItems", title: "Action Items" }
+];
+
+/*
+  Action items: a per-incident checklist on the incident core (incident.actionItems), numbered from 1.
+  Every add and change is a timeline entry. "open" items hold up closing the incident
+  unless the status change sends allowOpenActionItems: true.
+*/
+const ACTION_ITEM_STATUSES = ["open", "done", "dropped"];
+
+// AI modes whose numbered steps are parsed into `steps` on the output, ready to accept as action items
+const ACTION_ITEM_MODES = ["next_steps"];
+
+/*
+  Redaction: secrets and PII are masked in notes and descriptions before they are stored
+  (and so before they reach the AI model, webhooks or exports). Each match becomes [REDACTED:<rule>].
+  The REDACTION var (JSON) tunes it: { keepOriginal, enable: [opt-in rules], disable: [rule names], rules: [{ name, pattern, flags? }] }.
+  keepOriginal stores the raw text under unredacted:<id>:<seq>, readable by admins only (GET /redactions).
+  Rules run in order, so a bearer JWT is reported as bearer-token rather than jwt,
+  and text that is already a [REDACTED:...] marker isn't counted twice.
+  Rules that also match ordinary prose (ipv4 hits version strings) are optIn: off until enabled.
+*/
+const REDACTION_RULES = [
+  { name: "private-key", pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  {
+    // Only the Authorization header forms, and only a value that looks like a credential
+    // (letters and digits mixed, or 20+ characters), so "Basic authentication is broken" survives
+    name: "bearer-token",
+    pattern:
+      /(?<=\b(?:[Aa]uthorization:\s*(?:Bearer|Basic|Token)|Bearer)\s+)(?:(?=[A-Za-z0-9\-._~+/]*\d)(?=[A-Za-z0-9\-._~+/]*[A-Za-z])[A-Za-z0-9\-._~+/]{8,}|[A-Za-z0-9\-._~+/]{20,})=*/g
+  },
+  { name: "jwt", pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g },
+  {
+    name: "api-key",
+    pattern: /\b(?:(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}|sk-[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{30,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g
+  },
+  {
+    name: "credential",
+    pattern: /(?<=\b(?:api[_-]?key|access[_-]?key|client[_-]?secret|secret|token|password|passwd|pwd)["']?\s*[:=]\s*["']?)(?!\[REDACTED:)[^\s"',;]{6,}/gi
+  },
+  { name: "email", pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  {
+    // Skips dotted runs that read as versions: v1.2.3.4, "version 10.0.0.1", 1.2.3.4.5, 1.2.3.4-beta
+    name: "ipv4",
+    optIn: true,
+    pattern:
+      /(?<![\w.-])(?<!\b(?:version|release|build)\s)(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?![\w-]|\.\d)/gi
+  }
+];
+
+const DEFAULT_REDACTION = { keepOriginal: false, enable: [], disable: [], rules: [] };
+
+const UNREDACTED_KIND = "unredacted";
+
+/*
+  AI modes (prompt templates)
+  Built-ins below; admins add modes or override these through /ai-modes.
+  - ai-mode:<mode>                current template
+  - ai-mode-version:<mode>:<seq>  every saved version
+  Built-ins that were never edited report templateVersion 0.
+  Placeholders are {{name}}; severityGuidance uses the mode's own per-severity text if it has any.
+*/
+const AI_TEMPLATE_PLACEHOLDERS = [
+  "id",
+  "title",
+  "description",
+  "severity",
+  "status",
+  "commander",
+  "responders",
+  "notes",
+  "severityGuidance",
+  "severityChanges"
+];
+
+// "postmortem" is what the metrics call postmortem drafts
+const RESERVED_AI_MODES = ["postmortem"];
+
+const AI_PROMPT_CONTEXT = `Incident: {{title}}
+Description: {{description}}
+Severity: {{severity}}
+Status: {{status}}
+
+Additional context notes (most recent last):
+{{notes}}
+
+You must base your response on the additional context notes provided. Assume the user expects you to remember and build on them.
+{{severityGuidance}}{{severityChanges}}
+
+`;
+
+const AI_PROMPT_RULES = `
+Do not use markdown.
+Do not use bullet symbols like * or -.
+Use short paragraphs with blank lines between them (except numbered steps for next steps).
+Do not invent facts.`;
+
+const BUILTIN_AI_MODES = [
+  {
+    mode: "summary",
+    label: "Summary",
+    template:
+      AI_PROMPT_CONTEXT +
+      "Write a clear technical summary in plain text. Acknowledge relevant actions already attempted if mentioned in the notes. Avoid 'we'. Keep it factual and concise." +
+      AI_PROMPT_RULES
+  },
+  {
+    mode: "next_steps",
+    label: "Next Steps",
+    template:
+      AI_PROMPT_CONTEXT +
+      "Give the user clear next steps. Use numbered steps (1, 2, 3...). Address the user as 'you'. Do not say 'we'. Add one short reason after each step.\n\n" +
+      "IMPORTANT:\n" +
+      "- Explicitly acknowledge what the user has already tried based on the notes.\n" +
+      "- Do NOT repeat steps the user has already attempted.\n" +
+      "- Build on previous attempts.\n" +
+      "- After the steps, ask 1–3 short clarifying questions to refine the next actions.\n" +
+      "- Keep explanations brief (one short sentence per step).\n" +
+      "- Put each step on its own line: the number, the action as one sentence, then the reason." +
+      AI_PROMPT_RULES
+  },
+  {
+    mode: "stakeholder_update",
+    label: "Stakeholder Update",
+    template:
+      AI_PROMPT_CONTEXT +
+      "Write a calm update for non-technical stakeholders in plain text. Acknowledge mitigation attempts already made if relevant. Avoid 'we'. Keep it short and reassuring. Ensure everything, including 'Next Steps' in the response, are kept between 'Dear Stakeholder' and 'Yours Sincerely,'." +
+      AI_PROMPT_RULES
+  }
+];
+
+// Used when a mode has no guidance of its own for the incident's severity; unknown severities get Low's
+const DEFAULT_SEVERITY_GUIDANCE = {
+  High: [
+    "Severity guidance (HIGH): treat as service-impacting / urgent.",
+    "Prioritise immediate containment and stabilisation over deep root-cause.",
+    "Include escalation/communications where appropriate (on-call, incident commander, stakeholder comms).",
+    "Prefer safe, reversible changes. Suggest temporary mitigations first.",
+    "Ask for the single most critical missing signal if needed (exact error, logs, time window)."
+  ].join("\n"),
+  Medium: [
+    "Severity guidance (MEDIUM): impact likely limited, but still time-sensitive.",
+    "Balance mitigation with diagnosis. Suggest quick checks first, then deeper analysis.",
+    "Ask 1–2 clarifying questions that unlock the next action."
+  ].join("\n"),
+  Low: [
+    "Severity guidance (LOW): limited impact / lower urgency.",
+    "Focus on diagnosis, reproducibility, and preventative fixes.",
+    "Ask clarifying questions and propose low-risk experiments."
+  ].join("\n")
+};
+
+/*
+  AI providers
+  Deployments tune calls with the AI_CONFIG var (JSON); anything left out keeps the default:
+  { provider, model, fallbackModel, maxTokens, temperature, timeoutMs, modes: { <mode>: { model, fallbackModel, maxTokens, temperature } },
+    rateLimits: { perIncident: { limit, windowMinutes }, global: { limit, windowMinutes } } }
+  Per-mode settings win over the mode template's maxTokens, which wins over the top-level values.
+  The primary model is tried first; an error, timeout or empty reply moves on to fallbackModel.
+  provider "stub" answers deterministically without the AI binding (local development, tests).
+*/
+const DEFAULT_AI_CONFIG = {
+  provider: "workers-ai",
+  model: "@cf/meta/llama-3.1-8b-instruct",
+  fallbackModel: "@cf/meta/llama-3.2-3b-instruct",
+  maxTokens: 360,
+  temperature: 0.3,
+  timeoutMs: 30e3,
+  modes: {},
+  // Model calls allowed per rolling window (null turns a limit off). Cached answers don't count.
+  rateLimits: {
+    perIncident: { limit: 20, windowMinutes: 60 },
+    global: { limit: 200, windowMinutes: 60 }
+  }
+};
+
+// Rolling log of model calls for the rate limits: [{ at, id }], pruned to the longest window
+const AI_CALLS_KEY = "ai-calls";
+
+// Lowest to highest; moving up is an escalation
+const SEVERITIES = ["Low", "Medium", "High"];
+
+/*
+  Incident lifecycle (state machine)
+  Override per deployment with the LIFECYCLE var (same JSON shape).
+  - closed: counts as resolved (sets resolvedAt; moving back to an open state clears it)
+  - requires: body fields that must be present to enter the state; stored on the incident
+  - reopen: where the dashboard's "Reopen Case" sends closed incidents
+  Incidents sitting in a state the config no longer knows may move anywhere, so they can't get stuck.
+*/
+const DEFAULT_LIFECYCLE = {
+  initial: "Open",
+  reopen: "Investigating",
+  states: [
+    { name: "Open", icon: "♻️", color: "#ff4d4d" },
+    { name: "Investigating", icon: "🔄", color: "#4ea1ff" },
+    { name: "Identified", icon: "🎯", color: "#b48cff" },
+    { name: "Mitigated", icon: "🩹", color: "#f0b429" },
+    { name: "Monitoring", icon: "👀", color: "#2bb3a3" },
+    { name: "Resolved", icon: "✅", color: "#3a9b5a", closed: true, requires: ["resolutionSummary"] },
+    { name: "Postmortem Pending", icon: "🧾", color: "#7d8a99", closed: true }
+  ],
+  transitions: {
+    Open: ["Investigating", "Identified", "Mitigated", "Resolved"],
+    Investigating: ["Open", "Identified", "Mitigated", "Resolved"],
+    Identified: ["Investigating", "Mitigated", "Resolved"],
+    Mitigated: ["Investigating", "Monitoring", "Resolved"],
+    Monitoring: ["Investigating", "Mitigated", "Resolved"],
+    Resolved: ["Investigating", "Postmortem Pending"],
+    "Postmortem Pending": ["Investigating", "Resolved"]
+  }
+};
+
+/*
+  Response SLAs per severity, in minutes. Override with the SLA_POLICIES var (same JSON shape).
+  - ackMinutes: time to acknowledge (a status change or an incident commander assigned)
+  - updateMinutes: longest an open incident may go without a human update (note, status, edit, assignment)
+  A breach writes an "SLA Breached" timeline entry and fires incident.sla_breached. The
+  acknowledgement SLA breaches once; a silent incident breaches its update SLA again every period.
+  - sla-queue:<due ms>:<id>  each open incident's next deadline, drained by the object's alarm
+*/
+const DEFAULT_SLA_POLICIES = {
+  High: { ackMinutes: 5, updateMinutes: 30 },
+  Medium: { ackMinutes: 15, updateMinutes: 60 },
+  Low: { ackMinutes: 60, updateMinutes: 240 }
+};
+
+// Breach entries and events are attributed to this actor
+const SLA_ACTOR = { name: "sla-monitor", role: null };
+const SLA_BATCH = 25;
+
+/*
+  Outbound webhooks
+  - webhook:<id>                       subscriptions (admin-managed)
+  - delivery:<webhook>:<delivery>      one record per event per subscription: the delivery log
+  - webhook-queue:<due ms>:<delivery>  pending attempts (→ the delivery key), drained by the object's alarm
+  Delivery ids start with a timestamp, so each subscription's log lists oldest → newest,
+  and settled deliveries past WEBHOOK_LOG_RETENTION_DAYS are pruned from the front by the alarm.
+  Logs from before the per-subscription keys (delivery:<id>) are moved over in batches by the alarm.
+*/
+const WEBHOOK_EVENTS = [
+  "incident.created",
+  "incident.updated",
+  "incident.escalated",
+  "incident.deescalated",
+  "incident.status_changed",
+  "incident.resolved",
+  "incident.sla_breached",
+  "incident.assigned",
+  "incident.note_added",
+  "incident.ai_generated",
+  "incident.postmortem_updated",
+  "incident.action_items_updated",
+  "incident.alert_fired",
+  "incident.signal_cleared",
+  "incident.archived",
+  "incident.restored",
+  "incident.purged",
+  "incident.imported"
+];
+
+// Bump only for breaking payload changes; receivers can branch on it
+const WEBHOOK_SCHEMA_VERSION = 1;
+
+// Events whose write also added to a history other than the timeline (an import replaces them all)
+const LIVE_EVENT_HISTORIES = {
+  "incident.note_added": ["contextNotes"],
+  "incident.ai_generated": ["aiOutput"],
+  "incident.postmortem_updated": ["postmortemVersions"],
+  "incident.imported": Object.keys(ENTRY_KINDS)
+};
+
+// Wait before each retry; once these run out the delivery is marked failed
+const WEBHOOK_RETRY_DELAYS_MS = [30e3, 2 * 60e3, 10 * 60e3, 30 * 60e3, 2 * 3600e3, 6 * 3600e3];
+const WEBHOOK_TIMEOUT_MS = 10e3;
+const WEBHOOK_BATCH = 25;
+const WEBHOOK_LOG_RETENTION_DAYS = 30;
+const WEBHOOK_LOG_VERSION_KEY = "webhook-log-version";
+const WEBHOOK_LOG_VERSION = 2;
+const WEBHOOK_LOG_MIGRATION_KEY = "webhook-log-migration";
+const WEBHOOK_LOG_MIGRATION_BATCH = 60; // legacy records moved per alarm run (two writes each)
+
+/*
+  Authentication
+  - users come from the AUTH_USERS secret: [{ "name": "...", "token": "...", "role": "..." }]
+  - scripts send "Authorization: Bearer <token>"
+  - the dashboard exchanges a token for a signed session cookie (SESSION_SECRET)
+  The Worker resolves the identity and forwards it to the store in ACTOR_HEADER.
+*/
+const ACTOR_HEADER = "X-Incident-Actor";
+const SESSION_COOKIE = "incident_session";
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+/*
+  Roles, lowest to highest. Each role can do everything the ones before it can.
+  Users without a (valid) role are viewers.
+*/
+const ROLES = ["viewer", "responder", "commander", "admin"];
+
+/*
+  Minimum role per route. Anything not listed here is a 404, so a new route
+  can't be reachable until someone decides who may call it.
+*/
+const ROUTE_PERMISSIONS = {
+  "GET /incidents": "viewer",
+  "GET /incident": "viewer",
+  "GET /search": "viewer",
+  "GET /verify": "viewer",
+  "GET /lifecycle": "viewer",
+  "GET /config": "admin",
+  "GET /metrics": "viewer",
+  "GET /openmetrics": "viewer",
+  "GET /export": "viewer",
+  "POST /import": "admin",
+  "GET /ws": "viewer",
+  "POST /incident": "responder",
+  "PATCH /incident": "responder",
+  "POST /context-note": "responder",
+  "POST /ai": "responder",
+  "POST /ai/stream": "responder",
+  "GET /ai-modes": "viewer",
+  "POST /ai-modes": "admin",
+  "GET /ai-modes/versions": "admin",
+  "POST /action-items": "responder",
+  "PATCH /action-items": "responder",
+  "POST /postmortem": "responder",
+  "POST /postmortem/draft": "responder",
+  "POST /status": "commander",
+  "POST /assign": "commander",
+  "POST /alerts": "responder",
+  "DELETE /incident": "commander",
+  "POST /archive": "commander",
+  "POST /restore": "commander",
+  "POST /purge": "admin",
+  "GET /tombstones": "admin",
+  "GET /redactions": "admin",
+  "GET /webhooks": "admin",
+  "POST /webhooks": "admin",
+  "DELETE /webhooks": "admin",
+  "GET /webhooks/deliveries": "admin"
+};
+
 /*
   Durable Object: single global store.
   One place to read/write incidents so state stays consistent.
@@ -9,15 +389,243 @@ export class IncidentStore extends DurableObject {
     super(state, env);
     this.state = state;
     this.env = env;
+
+    // Older deployments kept everything in one "incidents" array; split it up before serving requests.
+    // The search index is (re)built once per SEARCH_INDEX_VERSION by the alarm, after that kept in step by every write.
+    state.blockConcurrencyWhile(async () => {
+      await this.migrateLegacyArray();
+      await this.seedMetricCounters();
+      await this.startSearchIndexBuild();
+      await this.startDeliveryLogMigration();
+    });
+
+    // Dashboard keepalives are answered without waking a hibernated object
+    state.setWebSocketAutoResponse(new WebSocketRequestResponsePair("ping", "pong"));
   }
 
   async fetch(request) {
     const url = new URL(request.url);
 
-    // GET /incidents
+    // Every entry below is attributed to whoever the Worker authenticated
+    const actor = readActor(request);
+    if (!actor) return new Response("Unauthorized", { status: 401 });
+
+    const route = request.method + " " + url.pathname;
+    const requiredRole = ROUTE_PERMISSIONS[route];
+    if (!requiredRole) return new Response("Not found", { status: 404 });
+
+    if (!hasRole(actor, requiredRole)) {
+      return new Response(
+        "Forbidden: " + route + " requires the " + requiredRole + " role (" + actor.name + " is " + actor.role + ")",
+        { status: 403 }
+      );
+    }
+
+    // GET /incidents?status=&severity=&closed=&mine=&q=&createdFrom=&createdTo=&resolvedFrom=&resolvedTo=&sort=&view=&fields=&limit=&cursor=
+    // Archived incidents are hidden unless ?archived=1 (which returns only those).
+    // Every parameter is optional (see incidentQuery); with limit or cursor the reply is one page:
+    // { items, nextCursor, total, counts }, otherwise a plain array as before.
     if (request.method === "GET" && url.pathname === "/incidents") {
-      const incidents = (await this.state.storage.get("incidents")) || [];
-      return Response.json(incidents);
+      const { query, error } = incidentQuery(url.searchParams, readLifecycle(this.env), actor);
+      if (error) return new Response(error, { status: 400 });
+
+      return Response.json(await this.queryIncidents(query));
+    }
+
+    // GET /search?q=&archived=1&limit=
+    // Ranked full-text search over titles, descriptions, notes, timeline entries and AI output
+    // (see searchIncidents). Archived incidents are searched only with ?archived=1, as in GET /incidents.
+    // indexing: true while the index is being rebuilt; results may miss incidents until it's done.
+    if (request.method === "GET" && url.pathname === "/search") {
+      const q = String(url.searchParams.get("q") || "").trim();
+      if (!q) return new Response("Missing q", { status: 400 });
+
+      const limit = Number(url.searchParams.get("limit") || SEARCH_LIMIT_DEFAULT);
+      if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_LIMIT_MAX) {
+        return new Response("Invalid limit (expected 1-" + SEARCH_LIMIT_MAX + ")", { status: 400 });
+      }
+
+      // A query of stop words only finds nothing rather than failing
+      const words = [...new Set(searchTerms(q))];
+      const archived = url.searchParams.get("archived") === "1";
+      const found = words.length ? await this.searchIncidents({ words, archived, limit }) : { terms: [], total: 0, truncated: false, results: [] };
+      const indexing = (await this.state.storage.get(SEARCH_INDEX_KEY)) !== SEARCH_INDEX_VERSION;
+      return Response.json({ query: q, indexing, ...found });
+    }
+
+    // GET /incident?id=...
+    // One full record (histories included); the dashboard opens incidents through this
+    if (request.method === "GET" && url.pathname === "/incident") {
+      const id = url.searchParams.get("id");
+      if (!id) return new Response("Missing id", { status: 400 });
+
+      const incident = await this.getIncident(id);
+      if (!incident) return new Response("Not found", { status: 404 });
+      return Response.json(incident);
+    }
+
+    // GET /lifecycle
+    // The active state machine (the dashboard builds its status controls from the same config)
+    if (request.method === "GET" && url.pathname === "/lifecycle") {
+      return Response.json(readLifecycle(this.env));
+    }
+
+    // GET /config
+    // Which config vars override the defaults. One that doesn't validate is ignored (its default
+    // applies) and listed under problems; the dashboard shows admins the same list.
+    if (request.method === "GET" && url.pathname === "/config") {
+      const problems = [];
+      readAiConfig(this.env, problems);
+      readLifecycle(this.env, problems);
+      readSlaPolicies(this.env, problems);
+      readRedaction(this.env, problems);
+
+      const overrides = CONFIG_VARS.filter(name => Boolean(this.env?.[name]));
+      return Response.json({ ok: !problems.length, overrides, problems });
+    }
+
+    // GET /metrics?from=&to=&groupBy=severity|day|week|month
+    // Response metrics from each incident's recorded status moves (archived incidents excluded).
+    // from/to filter on creation time; a bare date for `to` includes that whole day.
+    if (request.method === "GET" && url.pathname === "/metrics") {
+      const from = parseRangeBound(url.searchParams.get("from"), false);
+      const to = parseRangeBound(url.searchParams.get("to"), true);
+      if (from === undefined || to === undefined) {
+        return new Response("Invalid from/to (expected an ISO date or timestamp)", { status: 400 });
+      }
+
+      const groupBy = url.searchParams.get("groupBy") || null;
+      if (groupBy && !METRIC_GROUPS.includes(groupBy)) {
+        return new Response("Unknown groupBy: " + groupBy + " (expected one of: " + METRIC_GROUPS.join(", ") + ")", {
+          status: 400
+        });
+      }
+
+      return Response.json(await this.computeMetrics({ from, to, groupBy }));
+    }
+
+    // GET /openmetrics
+    // Prometheus / OpenMetrics text exposition for Grafana; scrape it with a viewer token
+    if (request.method === "GET" && url.pathname === "/openmetrics") {
+      return new Response(await this.renderOpenMetrics(), {
+        headers: { "Content-Type": "application/openmetrics-text; version=1.0.0; charset=utf-8" }
+      });
+    }
+
+    // GET /export?format=json|csv  (all incidents, archived included; admins only)
+    // GET /export?format=markdown&id=...  (one incident as a postmortem-ready report; any role)
+    if (request.method === "GET" && url.pathname === "/export") {
+      const format = url.searchParams.get("format") || "json";
+      const stamp = new Date().toISOString();
+
+      if (format === "markdown") {
+        const incident = await this.getIncident(url.searchParams.get("id"));
+        if (!incident) return new Response("Not found", { status: 404 });
+
+        return downloadResponse(
+          incidentReport(incident, readLifecycle(this.env), stamp),
+          "text/markdown; charset=utf-8",
+          "incident-" + fileSafe(incident.id) + ".md"
+        );
+      }
+
+      if (format !== "json" && format !== "csv") {
+        return new Response("Unknown format: " + format + " (expected json, csv or markdown)", { status: 400 });
+      }
+
+      // A dump of every incident is a backup, not a read: same role as POST /import
+      if (!hasRole(actor, "admin")) {
+        return new Response(
+          "Forbidden: a full export requires the admin role (" + actor.name + " is " + actor.role + ")",
+          { status: 403 }
+        );
+      }
+
+      const incidents = [...(await this.listIncidents()), ...(await this.listIncidents({ archived: true }))].sort((a, b) =>
+        String(a.createdAt || "").localeCompare(String(b.createdAt || ""))
+      );
+
+      if (format === "csv") {
+        return downloadResponse(incidentsCsv(incidents), "text/csv; charset=utf-8", "incidents-" + stamp.slice(0, 10) + ".csv");
+      }
+
+      return downloadResponse(
+        JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: stamp, exportedBy: actor.name, incidents }, null, 2),
+        "application/json; charset=utf-8",
+        "incidents-" + stamp.slice(0, 10) + ".json"
+      );
+    }
+
+    // POST /import?onConflict=skip|overwrite|rename&dryRun=1
+    // Body: a GET /export?format=json file, or a bare array of incidents (the legacy stored shape).
+    // Every record is validated and reported; dryRun returns the same report without writing.
+    if (request.method === "POST" && url.pathname === "/import") {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return new Response("Body must be JSON", { status: 400 });
+      }
+
+      const records = Array.isArray(body) ? body : body?.incidents;
+      if (!Array.isArray(records)) {
+        return new Response("Expected an export file ({ incidents: [...] }) or an array of incidents", { status: 400 });
+      }
+      if (!Array.isArray(body) && body.format !== undefined && body.format !== EXPORT_FORMAT) {
+        return new Response("Unknown export format: " + body.format, { status: 400 });
+      }
+      if (!Array.isArray(body) && Number(body.version) > EXPORT_VERSION) {
+        return new Response("Export version " + body.version + " is newer than this store understands (" + EXPORT_VERSION + ")", {
+          status: 400
+        });
+      }
+
+      const onConflict = url.searchParams.get("onConflict") || "skip";
+      if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+        return new Response("Unknown onConflict: " + onConflict + " (expected one of: " + IMPORT_CONFLICT_MODES.join(", ") + ")", {
+          status: 400
+        });
+      }
+
+      const dryRun = url.searchParams.get("dryRun") === "1" || url.searchParams.get("dryRun") === "true";
+      const results = await this.importIncidents(records, { onConflict, dryRun, actor, exportedAt: body?.exportedAt || null });
+
+      const summary = {};
+      for (const r of results) summary[r.action] = (summary[r.action] || 0) + 1;
+
+      return Response.json({ ok: true, dryRun, onConflict, summary, results });
+    }
+
+    // GET /verify?id=...
+    // Re-hashes the incident's timeline + notes chains and reports the first broken link
+    if (request.method === "GET" && url.pathname === "/verify") {
+      const id = url.searchParams.get("id");
+      if (!(await this.getIncidentCore(id))) return new Response("Not found", { status: 404 });
+
+      const timeline = await this.verifyChain("timeline", id);
+      const contextNotes = await this.verifyChain("note", id);
+
+      return Response.json({
+        id,
+        ok: timeline.ok && contextNotes.ok,
+        verifiedAt: new Date().toISOString(),
+        timeline,
+        contextNotes
+      });
+    }
+
+    // GET /ws
+    // Live change feed for dashboards. Hibernatable: idle sockets don't keep the object in memory.
+    if (request.method === "GET" && url.pathname === "/ws") {
+      if (request.headers.get("Upgrade") !== "websocket") {
+        return new Response("Expected WebSocket upgrade", { status: 426 });
+      }
+
+      const [client, server] = Object.values(new WebSocketPair());
+      this.state.acceptWebSocket(server);
+      server.serializeAttachment({ name: actor.name, role: actor.role });
+
+      return new Response(null, { status: 101, webSocket: client });
     }
 
     // POST /incident
@@ -25,7 +633,6 @@ export class IncidentStore extends DurableObject {
     // - OR legacy update: additionalContext only
     if (request.method === "POST" && url.pathname === "/incident") {
       const body = await request.json();
-      const incidents = (await this.state.storage.get("incidents")) || [];
 
       // Legacy: update additionalContext only (kept for older clients / prompts)
       if (
@@ -35,22 +642,22 @@ export class IncidentStore extends DurableObject {
         !body.description &&
         !body.severity
       ) {
-        const existing = incidents.find(i => i.id === body.id);
+        const existing = await this.getIncidentCore(body.id);
         if (!existing) return new Response("Not found", { status: 404 });
+        if (existing.archivedAt) return archivedResponse();
 
-        existing.additionalContext = body.additionalContext;
-        existing.updatedAt = new Date().toISOString();
-
-        // Guardrails so UI + AI don't explode on older records
-        if (!Array.isArray(existing.contextNotes)) {
-          existing.contextNotes = [];
-        }
+        const redaction = readRedaction(this.env);
+        const redacted = redactText(body.additionalContext, redaction);
 
-        if (!Array.isArray(existing.timeline)) {
-          existing.timeline = [];
-        }
+        existing.additionalContext = redacted.text;
+        existing.updatedAt = new Date().toISOString();
+        existing.lastUpdateAt = existing.updatedAt;
 
-        await this.state.storage.put("incidents", incidents);
+        await this.putIncidentCore(existing);
+        const redactionEntry = await this.recordRedaction(
+          existing.id, "additionalContext", body.additionalContext, redacted, redaction, actor, existing.updatedAt
+        );
+        await this.notify("incident.updated", existing.id, actor, redactionEntry ? [redactionEntry] : []);
         return Response.json({ ok: true });
       }
 
@@ -64,1437 +671,6817 @@ export class IncidentStore extends DurableObject {
         return new Response("Missing fields (id/title/description/severity)", { status: 400 });
       }
 
-      if (incidents.some(i => i.id === id)) {
+      if (await this.getIncidentCore(id)) {
         return new Response("Incident ID already exists", { status: 409 });
       }
 
-      const now = new Date().toISOString();
+      // Purged IDs stay reserved so the tombstone can't be confused with a new case
+      if (await this.state.storage.get(tombstoneKey(id))) {
+        return new Response("Incident ID was purged and cannot be reused", { status: 409 });
+      }
 
-      incidents.push({
-        id,
-        title,
-        description,
-        severity: cap(severity),
-        status: "Open",
-        createdAt: now,
-        updatedAt: now,
-        resolvedAt: null,
-
-        // Legacy field kept (backwards compat)
-        additionalContext: "",
-
-        // Notes-only context (NOT a chat log)
-        contextNotes: [],
-
-        aiOutput: [],
-
-        // Timeline entries: keeps the case history readable
-        timeline: [
-          {
-            icon: "🆕",
-            title: "Incident Created",
-            body: title,
-            createdAt: now
-          }
-        ]
+      await this.createIncident({ id, title, description, severity }, actor);
+      return Response.json({ ok: true });
+    }
+
+    // PATCH /incident { id, title?, description?, severity? }
+    // Corrects early reports. One timeline entry per changed field with old/new values;
+    // severity moves are explicit escalation / de-escalation events and need a commander.
+    if (request.method === "PATCH" && url.pathname === "/incident") {
+      const body = await request.json();
+      const incident = await this.getIncidentCore(body?.id);
+
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
+
+      const redaction = readRedaction(this.env);
+      let redactedDescription = null;
+
+      const changes = [];
+      for (const field of ["title", "description", "severity"]) {
+        if (!body || !(field in body)) continue;
+
+        let value = field === "severity" ? cap(body.severity) : String(body[field] || "").trim();
+        if (!value) return new Response("Empty " + field, { status: 400 });
+        if (field === "description") {
+          redactedDescription = redactText(value, redaction);
+          value = redactedDescription.text;
+        }
+        if (field === "severity" && !SEVERITIES.includes(value)) {
+          return new Response("Unknown severity: " + body.severity + " (expected one of: " + SEVERITIES.join(", ") + ")", {
+            status: 400
+          });
+        }
+
+        if (value !== incident[field]) changes.push({ field, from: incident[field] ?? null, to: value });
+      }
+
+      if (!changes.length) return new Response("No changes", { status: 400 });
+
+      if (changes.some(c => c.field === "severity") && !hasRole(actor, "commander")) {
+        return new Response(
+          "Forbidden: changing severity requires the commander role (" + actor.name + " is " + actor.role + ")",
+          { status: 403 }
+        );
+      }
+
+      const stamp = new Date().toISOString();
+      const entries = [];
+      let severityEvent = null;
+
+      for (const change of changes) {
+        if (change.field === "severity") {
+          const escalated = SEVERITIES.indexOf(change.to) > SEVERITIES.indexOf(change.from);
+          severityEvent = escalated ? "incident.escalated" : "incident.deescalated";
+
+          entries.push(await this.appendEntry("timeline", incident.id, {
+            icon: escalated ? "⏫" : "⏬",
+            title: escalated ? "Severity Escalated" : "Severity De-escalated",
+            body: (change.from || "None") + " → " + change.to,
+            ...change,
+            actor: actor.name,
+            createdAt: stamp
+          }));
+        } else {
+          entries.push(await this.appendEntry("timeline", incident.id, {
+            icon: "✏️",
+            title: fieldLabel(change.field) + " Edited",
+            body: "From: " + (change.from || "—") + "\nTo: " + change.to,
+            ...change,
+            actor: actor.name,
+            createdAt: stamp
+          }));
+        }
+
+        incident[change.field] = change.to;
+      }
+
+      if (redactedDescription && changes.some(c => c.field === "description")) {
+        const redactionEntry = await this.recordRedaction(
+          incident.id, "description", String(body.description).trim(), redactedDescription, redaction, actor, stamp
+        );
+        if (redactionEntry) entries.push(redactionEntry);
+      }
+
+      incident.updatedAt = stamp;
+      incident.lastUpdateAt = stamp;
+
+      await this.putIncidentCore(incident);
+      await this.notify(severityEvent || "incident.updated", incident.id, actor, entries);
+      return Response.json({ ok: true, changes });
+    }
+
+    // POST /archive { id, reason }
+    // DELETE /incident?id=...&reason=... (older clients; same thing)
+    // Soft delete: the record and its history stay, it just leaves the default list
+    if (
+      (request.method === "POST" && url.pathname === "/archive") ||
+      (request.method === "DELETE" && url.pathname === "/incident")
+    ) {
+      const body = request.method === "POST" ? await request.json() : {};
+      const id = request.method === "POST" ? body?.id : url.searchParams.get("id");
+      const reason = String((request.method === "POST" ? body?.reason : url.searchParams.get("reason")) || "").trim();
+
+      if (!id) return new Response("Missing id", { status: 400 });
+
+      const incident = await this.getIncidentCore(id);
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return new Response("Incident is already archived", { status: 409 });
+
+      const stamp = new Date().toISOString();
+      incident.archivedAt = stamp;
+      incident.archivedBy = actor.name;
+      incident.archiveReason = reason || null;
+      incident.updatedAt = stamp;
+
+      const entry = await this.appendEntry("timeline", incident.id, {
+        icon: "🗄️",
+        title: "Incident Archived",
+        body: reason ? "Reason: " + reason : "No reason given",
+        actor: actor.name,
+        createdAt: stamp
+      });
+
+      await this.putIncidentCore(incident);
+      await this.notify("incident.archived", incident.id, actor, [entry]);
+      return Response.json({ ok: true });
+    }
+
+    // POST /restore { id }
+    if (request.method === "POST" && url.pathname === "/restore") {
+      const body = await request.json();
+      const incident = await this.getIncidentCore(body?.id);
+
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (!incident.archivedAt) return new Response("Incident is not archived", { status: 409 });
+
+      const stamp = new Date().toISOString();
+      const entry = await this.appendEntry("timeline", incident.id, {
+        icon: "📤",
+        title: "Incident Restored",
+        body: "Archived " + incident.archivedAt + (incident.archivedBy ? " by " + incident.archivedBy : ""),
+        actor: actor.name,
+        createdAt: stamp
+      });
+
+      incident.archivedAt = null;
+      incident.archivedBy = null;
+      incident.archiveReason = null;
+      incident.updatedAt = stamp;
+
+      // The update SLA restarts from the restore, not from before the archive
+      incident.lastUpdateAt = stamp;
+
+      await this.putIncidentCore(incident);
+      await this.notify("incident.restored", incident.id, actor, [entry]);
+      return Response.json({ ok: true });
+    }
+
+    // POST /purge { id, reason }
+    // Hard delete, admin only, archived incidents only. Leaves a tombstone so the
+    // audit trail still shows the incident existed, who removed it and why.
+    if (request.method === "POST" && url.pathname === "/purge") {
+      const body = await request.json();
+      const incident = await this.getIncidentCore(body?.id);
+      const reason = String(body?.reason || "").trim();
+
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (!incident.archivedAt) return new Response("Archive the incident before purging it", { status: 409 });
+      if (!reason) return new Response("Missing reason", { status: 400 });
+
+      const counts = {};
+      for (const [field, kind] of Object.entries(ENTRY_KINDS)) {
+        counts[field] = (await this.listEntries(kind, incident.id)).length;
+      }
+
+      await this.state.storage.put(tombstoneKey(incident.id), {
+        id: incident.id,
+        title: incident.title,
+        severity: incident.severity,
+        status: incident.status,
+        createdAt: incident.createdAt,
+        createdBy: incident.createdBy || null,
+        archivedAt: incident.archivedAt,
+        archivedBy: incident.archivedBy || null,
+        archiveReason: incident.archiveReason || null,
+        purgedAt: new Date().toISOString(),
+        purgedBy: actor.name,
+        reason,
+        counts
       });
 
-      await this.state.storage.put("incidents", incidents);
+      await this.deleteIncidentRecords(incident.id);
+      await this.notify("incident.purged", incident.id, actor);
       return Response.json({ ok: true });
     }
 
-    // DELETE /incident?id=...
-    if (request.method === "DELETE" && url.pathname === "/incident") {
+    // GET /redactions?id=...
+    // Originals of redacted text, only kept when REDACTION.keepOriginal is on. Admins only.
+    if (request.method === "GET" && url.pathname === "/redactions") {
       const id = url.searchParams.get("id");
       if (!id) return new Response("Missing id", { status: 400 });
+      if (!(await this.getIncidentCore(id))) return new Response("Not found", { status: 404 });
 
-      const incidents = (await this.state.storage.get("incidents")) || [];
-      const next = incidents.filter(i => i.id !== id);
+      return Response.json(await this.listEntries(UNREDACTED_KIND, id));
+    }
 
-      await this.state.storage.put("incidents", next);
-      return Response.json({ ok: true });
+    // GET /tombstones
+    if (request.method === "GET" && url.pathname === "/tombstones") {
+      const tombstones = await this.state.storage.list({ prefix: "tombstone:" });
+      return Response.json([...tombstones.values()]);
     }
 
     // POST /status
     if (request.method === "POST" && url.pathname === "/status") {
       const body = await request.json();
-      const incidents = (await this.state.storage.get("incidents")) || [];
-      const incident = incidents.find(i => i.id === body?.id);
+      const incident = await this.getIncidentCore(body?.id);
 
       if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
+
+      const lifecycle = readLifecycle(this.env);
+      const next = lifecycle.states.find(s => s.name === body?.status);
+      if (!next) {
+        return new Response(
+          "Unknown status: " + String(body?.status) + " (expected one of: " + lifecycle.states.map(s => s.name).join(", ") + ")",
+          { status: 400 }
+        );
+      }
+
+      await this.withStateChanges(incident);
+      const previousStatus = incident.status;
+      if (next.name === previousStatus) {
+        return new Response("Incident is already " + previousStatus, { status: 409 });
+      }
+
+      const allowed = lifecycle.transitions[previousStatus];
+      if (lifecycle.states.some(s => s.name === previousStatus) && !(allowed || []).includes(next.name)) {
+        return new Response(
+          "Illegal transition: " + previousStatus + " → " + next.name +
+            " (allowed: " + ((allowed || []).join(", ") || "none") + ")",
+          { status: 409 }
+        );
+      }
+
+      const fields = {};
+      for (const field of next.requires || []) {
+        const value = String(body?.[field] || "").trim();
+        if (!value) {
+          return new Response("Missing field for " + next.name + ": " + field, { status: 400 });
+        }
+        fields[field] = value;
+      }
 
-      const allowed = new Set(["Open", "Investigating", "Resolved"]);
-      const nextStatus = allowed.has(body?.status) ? body.status : "Open";
+      const wasClosed = isClosedStatus(lifecycle, previousStatus);
+
+      // Open action items hold up closing unless the caller explicitly goes ahead anyway
+      const openItems = next.closed && !wasClosed ? (incident.actionItems || []).filter(a => a.status === "open") : [];
+      if (openItems.length && body?.allowOpenActionItems !== true) {
+        return new Response(
+          openItems.length + " open action item(s): " +
+            openItems.map(a => "#" + a.id + " " + a.title).join("; ") +
+            ". Complete or drop them, or resend with allowOpenActionItems: true",
+          { status: 409 }
+        );
+      }
 
-      incident.status = nextStatus;
+      incident.status = next.name;
       incident.updatedAt = new Date().toISOString();
+      incident.lastUpdateAt = incident.updatedAt;
+      incident.stateChanges.push({ at: incident.updatedAt, from: previousStatus || null, to: next.name });
+      Object.assign(incident, fields);
+
+      // Any status change counts as acknowledging the incident (SLA)
+      if (!incident.acknowledgedAt) {
+        incident.acknowledgedAt = incident.updatedAt;
+        incident.acknowledgedBy = actor.name;
+      }
 
-      // Timeline entry for status changes
-      if (!Array.isArray(incident.timeline)) incident.timeline = [];
-      incident.timeline.push({
-        icon:
-          nextStatus === "Resolved"
-            ? "✅"
-            : nextStatus === "Investigating"
-            ? "🔄"
-            : "♻️",
+      // Timeline entry for status changes (from/to kept structured for metrics)
+      const statusEntry = await this.appendEntry("timeline", incident.id, {
+        icon: next.icon || "🔄",
         title: "Status Changed",
-        body: "→ " + nextStatus,
+        body: [
+          "→ " + next.name,
+          ...Object.entries(fields).map(([k, v]) => fieldLabel(k) + ": " + v),
+          ...(openItems.length ? ["Closed with " + openItems.length + " open action item(s)"] : [])
+        ].join("\n"),
+        from: previousStatus || null,
+        to: next.name,
+        ...(Object.keys(fields).length ? { fields } : {}),
+        actor: actor.name,
         createdAt: incident.updatedAt
       });
 
-      if (nextStatus === "Resolved") {
-        if (!incident.resolvedAt) incident.resolvedAt = new Date().toISOString();
+      if (next.closed) {
+        if (!incident.resolvedAt) incident.resolvedAt = incident.updatedAt;
       } else {
         // Reopening: clear resolvedAt so open-case metrics + lists stay correct
         incident.resolvedAt = null;
       }
 
-      await this.state.storage.put("incidents", incidents);
+      await this.putIncidentCore(incident);
+
+      if (next.closed && !wasClosed) {
+        const history = incidentHistory(incident, lifecycle, Date.now());
+        await this.countMetrics(counters => countResolution(counters, incident.severity, history?.resolveMs ?? null));
+      }
+
+      await this.notify(
+        next.closed && !wasClosed ? "incident.resolved" : "incident.status_changed",
+        incident.id,
+        actor,
+        [statusEntry]
+      );
       return Response.json({ ok: true });
     }
 
-    // POST /context-note
-    // Stores a single user note with timestamp (append-only)
-    if (request.method === "POST" && url.pathname === "/context-note") {
+    // POST /assign
+    // Sets the incident commander (the owner) and/or the responders list.
+    // Only fields present in the body change; each change is its own timeline entry.
+    if (request.method === "POST" && url.pathname === "/assign") {
       const body = await request.json();
-      const incidents = (await this.state.storage.get("incidents")) || [];
-      const incident = incidents.find(i => i.id === body?.id);
+      const incident = await this.getIncidentCore(body?.id);
 
       if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
 
-      const text = String(body?.text || "").trim();
-      if (!text) return new Response("Missing text", { status: 400 });
-
-      if (!Array.isArray(incident.contextNotes)) {
-        incident.contextNotes = [];
+      const hasCommander = body && "commander" in body;
+      const hasResponders = body && "responders" in body;
+      if (!hasCommander && !hasResponders) {
+        return new Response("Missing fields (commander and/or responders)", { status: 400 });
       }
 
-      if (!Array.isArray(incident.timeline)) incident.timeline = [];
+      if (hasResponders && !Array.isArray(body.responders)) {
+        return new Response("responders must be an array of user names", { status: 400 });
+      }
 
-      const stamp = new Date().toISOString();
+      const nextCommander = hasCommander ? String(body.commander || "").trim() || null : incident.commander || null;
+      const nextResponders = hasResponders
+        ? [...new Set(body.responders.map(n => String(n || "").trim()).filter(Boolean))]
+        : incident.responders || [];
 
-      incident.contextNotes.push({
-        text,
-        createdAt: stamp
-      });
+      // Assignees must be real users, otherwise "My incidents" never matches anyone
+      const known = new Set(readAuthUsers(this.env).map(u => String(u.name)));
+      const unknown = [nextCommander, ...nextResponders].filter(n => n && !known.has(n));
+      if (unknown.length) {
+        return new Response("Unknown user(s): " + unknown.join(", "), { status: 400 });
+      }
 
-      incident.timeline.push({
-        icon: "📝",
-        title: "Context Note Added",
-        body: text,
-        createdAt: stamp
-      });
+      const stamp = new Date().toISOString();
+      const changes = [];
+      const previousCommander = incident.commander || null;
+      const previousResponders = Array.isArray(incident.responders) ? incident.responders : [];
+
+      if (nextCommander !== previousCommander) {
+        changes.push(await this.appendEntry("timeline", incident.id, {
+          icon: "🎖️",
+          title: nextCommander ? "Incident Commander Assigned" : "Incident Commander Cleared",
+          body: (previousCommander || "Unassigned") + " → " + (nextCommander || "Unassigned"),
+          actor: actor.name,
+          createdAt: stamp
+        }));
+      }
 
-      // Keep legacy additionalContext updated (AI prompt + backwards compatibility)
-      incident.additionalContext = incident.contextNotes
-        .slice(-16)
-        .map(n => "(" + n.createdAt + ") " + n.text)
-        .join("\n");
+      const added = nextResponders.filter(n => !previousResponders.includes(n));
+      const removed = previousResponders.filter(n => !nextResponders.includes(n));
+      if (added.length || removed.length) {
+        changes.push(await this.appendEntry("timeline", incident.id, {
+          icon: "👥",
+          title: "Responders Updated",
+          body: [
+            added.length ? "Added: " + added.join(", ") : "",
+            removed.length ? "Removed: " + removed.join(", ") : ""
+          ].filter(Boolean).join("\n"),
+          actor: actor.name,
+          createdAt: stamp
+        }));
+      }
 
+      incident.commander = nextCommander;
+      incident.responders = nextResponders;
       incident.updatedAt = stamp;
+      incident.lastUpdateAt = stamp;
+
+      // So does giving it an incident commander
+      if (nextCommander && !incident.acknowledgedAt) {
+        incident.acknowledgedAt = stamp;
+        incident.acknowledgedBy = actor.name;
+      }
 
-      await this.state.storage.put("incidents", incidents);
+      await this.putIncidentCore(incident);
+      if (changes.length) await this.notify("incident.assigned", incident.id, actor, changes);
       return Response.json({ ok: true });
     }
 
-    // POST /ai
-    if (request.method === "POST" && url.pathname === "/ai") {
+    // POST /action-items { id, items: [{ title, owner?, dueAt?, fromAi?: { createdAt, step } }] }
+    // Adds checklist items. fromAi marks an accepted AI next step, so the same step can't be accepted twice.
+    if (request.method === "POST" && url.pathname === "/action-items") {
       const body = await request.json();
-      const incidents = (await this.state.storage.get("incidents")) || [];
-      const incident = incidents.find(i => i.id === body?.id);
+      const incident = await this.getIncidentCore(body?.id);
 
       if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
 
-      const mode = body?.mode;
-
-      // Severity-aware guidance (kept exactly as-is, just re-commented)
-      const sev = String(incident.severity || "").toLowerCase();
-      const severityGuidance =
-        sev === "high"
-          ? [
-              "Severity guidance (HIGH): treat as service-impacting / urgent.",
-              "Prioritise immediate containment and stabilisation over deep root-cause.",
-              "Include escalation/communications where appropriate (on-call, incident commander, stakeholder comms).",
-              "Prefer safe, reversible changes. Suggest temporary mitigations first.",
-              "Ask for the single most critical missing signal if needed (exact error, logs, time window)."
-            ].join("\n")
-          : sev === "medium"
-          ? [
-              "Severity guidance (MEDIUM): impact likely limited, but still time-sensitive.",
-              "Balance mitigation with diagnosis. Suggest quick checks first, then deeper analysis.",
-              "Ask 1–2 clarifying questions that unlock the next action."
-            ].join("\n")
-          : [
-              "Severity guidance (LOW): limited impact / lower urgency.",
-              "Focus on diagnosis, reproducibility, and preventative fixes.",
-              "Ask clarifying questions and propose low-risk experiments."
-            ].join("\n");
-
-      const instructionMap = {
-        summary:
-          "Write a clear technical summary in plain text. Acknowledge relevant actions already attempted if mentioned in the notes. Avoid 'we'. Keep it factual and concise.",
-        next_steps:
-          "Give the user clear next steps. Use numbered steps (1, 2, 3...). Address the user as 'you'. Do not say 'we'. Add one short reason after each step.\n\n" +
-          "IMPORTANT:\n" +
-          "- Explicitly acknowledge what the user has already tried based on the notes.\n" +
-          "- Do NOT repeat steps the user has already attempted.\n" +
-          "- Build on previous attempts.\n" +
-          "- After the steps, ask 1–3 short clarifying questions to refine the next actions.\n" +
-          "- Keep explanations brief (one short sentence per step).",
-        stakeholder_update:
-          "Write a calm update for non-technical stakeholders in plain text. Acknowledge mitigation attempts already made if relevant. Avoid 'we'. Keep it short and reassuring. Ensure everything, including 'Next Steps' in the response, are kept between 'Dear Stakeholder' and 'Yours Sincerely,'."
-      };
+      if (!Array.isArray(body?.items) || !body.items.length) {
+        return new Response("items must be a non-empty array", { status: 400 });
+      }
 
-      const instruction = instructionMap[mode];
-      if (!instruction) return new Response("Unknown mode", { status: 400 });
+      const items = Array.isArray(incident.actionItems) ? incident.actionItems : [];
+      const stamp = new Date().toISOString();
+      const added = [];
+
+      // Validate everything first so a bad item doesn't leave half the batch written
+      for (const raw of body.items) {
+        const { fields, error } = actionItemInput(raw, this.env, { create: true });
+        if (error) return new Response(error, { status: 400 });
+
+        let fromAi = null;
+        if (raw?.fromAi) {
+          fromAi = { createdAt: String(raw.fromAi.createdAt || ""), step: Number(raw.fromAi.step) };
+          if (!fromAi.createdAt || !Number.isInteger(fromAi.step)) {
+            return new Response("fromAi needs the AI output's createdAt and a step index", { status: 400 });
+          }
+          const taken = [...items, ...added].find(
+            i => i.fromAi && i.fromAi.createdAt === fromAi.createdAt && i.fromAi.step === fromAi.step
+          );
+          if (taken) return new Response("That AI step is already action item #" + taken.id, { status: 409 });
+        }
 
-      const notes = Array.isArray(incident.contextNotes) ? incident.contextNotes : [];
-      const notesSnippet = notes
-        .slice(-18)
-        .map(n => "- (" + n.createdAt + ") " + n.text)
-        .join("\n");
+        added.push({
+          id: items.length + added.length + 1,
+          owner: null,
+          dueAt: null,
+          ...fields,
+          status: "open",
+          ...(fromAi ? { fromAi } : {}),
+          createdBy: actor.name,
+          createdAt: stamp,
+          updatedAt: stamp
+        });
+      }
 
-      const prompt = `
-Incident: ${incident.title}
-Description: ${incident.description}
-Severity: ${incident.severity}
-Status: ${incident.status}
+      const entries = [];
+      for (const item of added) {
+        entries.push(await this.appendEntry("timeline", incident.id, {
+          icon: "☑️",
+          title: "Action Item Added",
+          body: actionItemLines(item).join("\n"),
+          actionItem: item.id,
+          actor: actor.name,
+          createdAt: stamp
+        }));
+      }
 
-Additional context notes (most recent last):
-${notesSnippet || "None provided."}
+      incident.actionItems = [...items, ...added];
+      incident.updatedAt = stamp;
+      incident.lastUpdateAt = stamp;
 
-You must base your response on the additional context notes provided. Assume the user expects you to remember and build on them.
-${severityGuidance}
+      await this.putIncidentCore(incident);
+      await this.notify("incident.action_items_updated", incident.id, actor, entries);
+      return Response.json({ ok: true, items: added });
+    }
 
-${instruction}
-Do not use markdown.
-Do not use bullet symbols like * or -.
-Use short paragraphs with blank lines between them (except numbered steps for next steps).
-Do not invent facts.
-`.trim();
+    // PATCH /action-items { id, itemId, title?, owner?, dueAt?, status? }
+    // Only fields that actually change are written; the timeline entry lists each old → new value
+    if (request.method === "PATCH" && url.pathname === "/action-items") {
+      const body = await request.json();
+      const incident = await this.getIncidentCore(body?.id);
+
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
+
+      const item = (incident.actionItems || []).find(i => i.id === Number(body?.itemId));
+      if (!item) return new Response("Action item not found", { status: 404 });
+
+      const { fields, error } = actionItemInput(body, this.env, { create: false });
+      if (error) return new Response(error, { status: 400 });
 
-      const result = await this.env.AI.run("@cf/meta/llama-3.1-8b-instruct", {
-        prompt,
-        max_tokens: 360
+      const changed = Object.keys(fields).filter(k => fields[k] !== item[k]);
+      if (!changed.length) return new Response("No changes", { status: 400 });
+
+      const stamp = new Date().toISOString();
+      const statusTitles = { done: "Action Item Completed", dropped: "Action Item Dropped", open: "Action Item Reopened" };
+
+      const entry = await this.appendEntry("timeline", incident.id, {
+        icon: fields.status === "done" ? "✅" : "☑️",
+        title: changed.includes("status") ? statusTitles[fields.status] : "Action Item Updated",
+        body: [
+          "#" + item.id + " " + item.title,
+          ...changed.map(k => fieldLabel(k) + ": " + (item[k] ?? "none") + " → " + (fields[k] ?? "none"))
+        ].join("\n"),
+        actionItem: item.id,
+        actor: actor.name,
+        createdAt: stamp
       });
 
-      const clean = cleanAIText(result?.response || "");
+      Object.assign(item, fields, { updatedAt: stamp, updatedBy: actor.name });
+      incident.updatedAt = stamp;
+      incident.lastUpdateAt = stamp;
+
+      await this.putIncidentCore(incident);
+      await this.notify("incident.action_items_updated", incident.id, actor, [entry]);
+      return Response.json({ ok: true, item });
+    }
+
+    // POST /context-note
+    // Stores a single user note with timestamp (append-only)
+    if (request.method === "POST" && url.pathname === "/context-note") {
+      const body = await request.json();
+      const incident = await this.getIncidentCore(body?.id);
+
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
+
+      const raw = String(body?.text || "").trim();
+      if (!raw) return new Response("Missing text", { status: 400 });
+
+      const redaction = readRedaction(this.env);
+      const redacted = redactText(raw, redaction);
+      const text = redacted.text;
       const stamp = new Date().toISOString();
 
-      // Stored as ISO; UI formats it nicely
-      const stampedText = "Update time: " + stamp + "\n\n" + clean;
-
-      incident.aiOutput = Array.isArray(incident.aiOutput) ? incident.aiOutput : [];
-      incident.aiOutput.push({
-        type: mode,
-        title:
-          mode === "summary"
-            ? "Summary"
-            : mode === "next_steps"
-            ? "Next Steps"
-            : "Stakeholder Update",
-        text: stampedText,
+      await this.appendEntry("note", incident.id, {
+        text,
+        actor: actor.name,
         createdAt: stamp
       });
 
-      // Timeline entry for AI outputs
-      if (!Array.isArray(incident.timeline)) incident.timeline = [];
-      incident.timeline.push({
-        icon: "🤖",
-        title:
-          mode === "summary"
-            ? "AI: Summary Generated"
-            : mode === "next_steps"
-            ? "AI: Next Steps Generated"
-            : "AI: Stakeholder Update Generated",
-        body: "Action: " + String(mode || ""),
+      const noteEntry = await this.appendEntry("timeline", incident.id, {
+        icon: "📝",
+        title: "Context Note Added",
+        body: text,
+        actor: actor.name,
         createdAt: stamp
       });
 
+      // Keep legacy additionalContext updated (AI prompt + backwards compatibility)
+      const recentNotes = await this.listEntries("note", incident.id, { last: 16 });
+      incident.additionalContext = recentNotes
+        .map(n => "(" + n.createdAt + ") " + n.text)
+        .join("\n");
+
+      const redactionEntry = await this.recordRedaction(incident.id, "contextNote", raw, redacted, redaction, actor, stamp);
+
       incident.updatedAt = stamp;
+      incident.lastUpdateAt = stamp;
 
-      await this.state.storage.put("incidents", incidents);
+      await this.putIncidentCore(incident);
+      await this.notify("incident.note_added", incident.id, actor, [noteEntry, redactionEntry].filter(Boolean));
       return Response.json({ ok: true });
     }
 
-    return new Response("Not found", { status: 404 });
-  }
-}
+    // POST /ai { id, mode, refresh? }
+    // If the prompt is the same as for the latest output of this mode, that output comes back
+    // as { cached: true, output } without calling the model; refresh: true skips the cache.
+    if (request.method === "POST" && url.pathname === "/ai") {
+      const body = await request.json();
+      const incident = await this.getIncidentCore(body?.id);
 
-/*
-  Worker entry:
-  - serves the dashboard HTML
-  - proxies everything else to the Durable Object store
-*/
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
 
-    if (url.pathname === "/dashboard") {
-      return new Response(renderDashboard(), {
-        headers: { "Content-Type": "text/html; charset=utf-8" }
-      });
+      const aiMode = await this.getAiMode(body?.mode);
+      if (!aiMode || aiMode.enabled === false) return new Response("Unknown mode", { status: 400 });
+
+      const { prompt, cacheText } = await this.aiPrompt(incident, aiMode);
+      const promptHash = await sha256Hex(cacheText);
+
+      const cached = body?.refresh === true ? null : await this.cachedAiOutput(incident.id, aiMode.mode, promptHash);
+      if (cached) return Response.json({ ok: true, cached: true, output: cached });
+
+      const limited = await this.reserveAiCall(incident.id);
+      if (limited) return aiRateLimitedResponse(limited);
+
+      let result;
+      try {
+        result = await runAi(this.env, { mode: aiMode.mode, prompt, maxTokens: aiMode.maxTokens || 360 });
+      } catch (e) {
+        if (e?.result) await this.saveAiOutput(incident.id, aiMode, e.result, actor, promptHash);
+        return new Response(String(e?.message || e), { status: 502 });
+      }
+
+      await this.saveAiOutput(incident.id, aiMode, result, actor, promptHash);
+      return Response.json({ ok: true, cached: false });
     }
 
-    const id = env.INCIDENT_STORE.idFromName("global");
-    const stub = env.INCIDENT_STORE.get(id);
-    return stub.fetch(request);
-  }
-};
-/* ======================================================
-   Dashboard UI (layout locked)
-   ====================================================== */
-function renderDashboard() {
-  // Anything using `document` needs to stay inside this HTML string (Cloudflare Workers env).
-  return `<!DOCTYPE html>
-<html>
-<head>
-<meta charset="utf-8">
-<title>Incident Dashboard</title>
-<style>
-:root{
-  --bg:#0f1216;
-  --panel:#151a21;
-  --field:#1f2530;
-  --border:#333;
-  --text:#e6e6e6;
-  --muted:#9aa4b2;
-  --focus:#4ea1ff;
+    // POST /ai/stream { id, mode, refresh? }
+    // Same as POST /ai, answered as text/event-stream: "start", then "token" per chunk, then one "done".
+    // Closing the connection cancels the generation; what was written so far is kept as a partial output.
+    // A cache hit is just "start" and "done" with cached: true.
+    if (request.method === "POST" && url.pathname === "/ai/stream") {
+      const body = await request.json();
+      const incident = await this.getIncidentCore(body?.id);
 
-  --sidebar-w:340px;
-  --control-h:42px;
-  --control-r:8px;
-  --control-px:12px;
-  --stack-gap:12px;
-}
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
+
+      const aiMode = await this.getAiMode(body?.mode);
+      if (!aiMode || aiMode.enabled === false) return new Response("Unknown mode", { status: 400 });
+
+      const { prompt, cacheText } = await this.aiPrompt(incident, aiMode);
+      const promptHash = await sha256Hex(cacheText);
+      const sse = (event, data) => "event: " + event + "\ndata: " + JSON.stringify(data) + "\n\n";
+      const sseHeaders = { "Content-Type": "text/event-stream", "Cache-Control": "no-store" };
+
+      const cached = body?.refresh === true ? null : await this.cachedAiOutput(incident.id, aiMode.mode, promptHash);
+      if (cached) {
+        return new Response(
+          sse("start", { id: incident.id, mode: aiMode.mode, label: aiMode.label }) +
+            sse("done", { status: "complete", cached: true, createdAt: cached.createdAt, model: cached.model || null }),
+          { headers: sseHeaders }
+        );
+      }
 
-*{ box-sizing:border-box; }
+      const limited = await this.reserveAiCall(incident.id);
+      if (limited) return aiRateLimitedResponse(limited);
+
+      const cancel = new AbortController();
+      const encoder = new TextEncoder();
+
+      const stream = new ReadableStream({
+        start: async controller => {
+          const send = (event, data) => {
+            if (cancel.signal.aborted) return;
+            controller.enqueue(encoder.encode(sse(event, data)));
+          };
+
+          try {
+            send("start", { id: incident.id, mode: aiMode.mode, label: aiMode.label });
+
+            const result = await streamAi(
+              this.env,
+              { mode: aiMode.mode, prompt, maxTokens: aiMode.maxTokens || 360 },
+              { signal: cancel.signal, onText: text => send("token", { text }) }
+            );
+            const saved = await this.saveAiOutput(incident.id, aiMode, result, actor, promptHash);
+
+            send("done", {
+              status: result.status,
+              cached: false,
+              error: result.error || null,
+              model: result.model,
+              fallback: result.fallback,
+              saved: Boolean(saved)
+            });
+          } catch (err) {
+            /* A failed save (or provider crash) still ends the stream with a done event the panel can show */
+            send("done", { status: "error", cached: false, error: String(err?.message || err), saved: false });
+          } finally {
+            if (!cancel.signal.aborted) controller.close();
+          }
+        },
+        cancel: () => cancel.abort()
+      });
 
-body{
-  margin:0;
-  background:var(--bg);
-  color:var(--text);
-  font-family:system-ui;
-}
+      return new Response(stream, { headers: sseHeaders });
+    }
 
-.container{
-  display:grid;
-  grid-template-columns:var(--sidebar-w) 1fr;
-  height:100vh;
-}
+    // GET /ai-modes
+    // Every mode POST /ai accepts (built-ins merged with stored ones); the dashboard renders one button each
+    if (request.method === "GET" && url.pathname === "/ai-modes") {
+      return Response.json(await this.listAiModes());
+    }
 
-.sidebar{
-  background:var(--panel);
-  padding:24px;
-  border-right:1px solid #222;
-  overflow-y:auto;
-}
+    // GET /ai-modes/versions?mode=...
+    if (request.method === "GET" && url.pathname === "/ai-modes/versions") {
+      const mode = url.searchParams.get("mode");
+      if (!mode) return new Response("Missing mode", { status: 400 });
 
-.sidebar h2{ margin:0 0 16px 0; }
+      const versions = await this.state.storage.list({ prefix: aiModeVersionPrefix(mode) });
+      return Response.json([...versions.values()]);
+    }
 
-input, select, button{
-  width:100%;
-  height:var(--control-h);
-  padding:0 var(--control-px);
-  margin-bottom:var(--stack-gap);
-  border-radius:var(--control-r);
-  border:1px solid var(--border);
-  background:var(--field);
-  color:#fff;
-  font-size:14px;
-  outline:none;
-  appearance:none;
-}
+    // POST /ai-modes { mode, label, template, severityGuidance?, maxTokens?, enabled?, baseVersion? }
+    // Creates or edits a mode; fields left out keep their current value. Every save is a new version.
+    // Editing a built-in stores an override; enabled: false hides a mode without losing its history.
+    if (request.method === "POST" && url.pathname === "/ai-modes") {
+      const body = await request.json();
+      const mode = String(body?.mode || "").trim();
 
-input::placeholder{ color:var(--muted); }
+      if (!/^[a-z][a-z0-9_]{1,39}$/.test(mode)) {
+        return new Response("Invalid mode (lowercase letters, digits and _, starting with a letter, 2–40 chars)", { status: 400 });
+      }
+      if (RESERVED_AI_MODES.includes(mode)) return new Response("Mode name is reserved: " + mode, { status: 400 });
+
+      const current = await this.getAiMode(mode);
+      const currentVersion = current?.version || 0;
+      if (body.baseVersion !== undefined && Number(body.baseVersion) !== currentVersion) {
+        return new Response("Mode " + mode + " is at version " + currentVersion + " (you edited version " + body.baseVersion + ")", {
+          status: 409
+        });
+      }
 
-input:focus, select:focus{
-  border-color:var(--focus);
-  box-shadow:0 0 0 3px rgba(78,161,255,.15);
-}
+      const label = String(body.label ?? current?.label ?? "").trim();
+      const template = String(body.template ?? current?.template ?? "");
+      if (!label) return new Response("Missing label", { status: 400 });
+      if (!template.trim()) return new Response("Missing template", { status: 400 });
+
+      const unknown = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+        .map(m => m[1])
+        .filter(name => !AI_TEMPLATE_PLACEHOLDERS.includes(name));
+      if (unknown.length) {
+        return new Response(
+          "Unknown placeholder(s): " + [...new Set(unknown)].join(", ") + " (available: " + AI_TEMPLATE_PLACEHOLDERS.join(", ") + ")",
+          { status: 400 }
+        );
+      }
 
-button{
-  cursor:pointer;
-  font-weight:600;
-}
-button:hover{ border-color:var(--focus); }
+      const severityGuidance = "severityGuidance" in body ? body.severityGuidance : current?.severityGuidance || null;
+      if (
+        severityGuidance !== null &&
+        (typeof severityGuidance !== "object" ||
+          Array.isArray(severityGuidance) ||
+          Object.entries(severityGuidance).some(([k, v]) => !SEVERITIES.includes(k) || typeof v !== "string"))
+      ) {
+        return new Response("severityGuidance must map Low/Medium/High to text", { status: 400 });
+      }
 
-hr{
-  border:none;
-  border-top:1px solid #222;
-  margin:16px 0;
-}
+      const maxTokens = "maxTokens" in body ? Number(body.maxTokens) : current?.maxTokens || 360;
+      if (!Number.isInteger(maxTokens) || maxTokens < 32 || maxTokens > 2048) {
+        return new Response("maxTokens must be an integer between 32 and 2048", { status: 400 });
+      }
 
-label.small{
-  display:block;
-  margin:-4px 0 6px 0;
-  font-size:12px;
-  color:var(--muted);
-}
+      const enabled = "enabled" in body ? Boolean(body.enabled) : current?.enabled !== false;
+
+      const fields = { label, template, severityGuidance, maxTokens, enabled };
+      if (current && canonicalJson(fields) === canonicalJson({
+        label: current.label,
+        template: current.template,
+        severityGuidance: current.severityGuidance || null,
+        maxTokens: current.maxTokens || 360,
+        enabled: current.enabled !== false
+      })) {
+        return new Response("No changes", { status: 400 });
+      }
 
-.main{
-  display:grid;
-  grid-template-columns: minmax(0, 1fr) 140px 420px;
-  gap:28px;
-  padding:20px 28px;
-  overflow-y:auto;
-}
+      const stamp = new Date().toISOString();
+      const record = {
+        mode,
+        ...fields,
+        version: currentVersion + 1,
+        createdAt: current?.createdAt || stamp,
+        createdBy: current?.createdBy || actor.name,
+        updatedAt: stamp,
+        updatedBy: actor.name
+      };
 
-.incident{
-  display:flex;
-  align-items:center;
-  justify-content:space-between;
-  gap:10px;
-  background:#121720;
-  padding:10px 12px;
-  border-radius:10px;
-  margin-bottom:8px;
+      await this.state.storage.put({
+        [aiModeKey(mode)]: record,
+        [aiModeVersionPrefix(mode) + seqKey(record.version)]: record
+      });
+      return Response.json({ ok: true, mode: { ...record, builtin: isBuiltinAiMode(mode) } });
+    }
 
-  border-left:3px solid var(--focus);
-}
+    // POST /postmortem/draft { id }
+    // AI drafts a structured postmortem from the full timeline and notes. Closed incidents only;
+    // the draft is saved as a new version, so earlier (human) versions stay in the history.
+    if (request.method === "POST" && url.pathname === "/postmortem/draft") {
+      const body = await request.json();
+      const incident = await this.getIncidentCore(body?.id);
 
-.incident .name{
-  cursor:pointer;
-  flex:1;
-  min-width:0;
-}
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
+      if (!isClosedStatus(readLifecycle(this.env), incident.status)) return postmortemOpenResponse(incident);
 
-/* status dot + bin group */
-.incident .tools{
-  display:flex;
-  align-items:center;
-  gap:10px;
-}
+      const timeline = (await this.listEntries("timeline", incident.id)).filter(e => !String(e.title || "").startsWith("AI:"));
+      const notes = await this.listEntries("note", incident.id);
+      const clip = text => String(text || "").replace(/\s+/g, " ").trim().slice(0, 300);
 
-.status-dot{
-  width:10px;
-  height:10px;
-  border-radius:50%;
-  border:1px solid rgba(255,255,255,.15);
-  box-shadow:0 0 0 3px rgba(0,0,0,.12);
-}
-.dot-open{ background:#ff4d4d; }
-.dot-investigating{ background:#4ea1ff; }
-.dot-resolved{ background:#3a9b5a; }
+      const prompt = `
+Incident: ${incident.title}
+Description: ${incident.description}
+Severity: ${incident.severity}
+Status: ${incident.status}
+Created: ${incident.createdAt}
+Resolved: ${incident.resolvedAt || "unknown"}
+Resolution summary: ${incident.resolutionSummary || "none recorded"}
 
-.incident .bin{
-  font-size:20px;
-  cursor:pointer;
-  opacity:.75;
-  padding:2px 4px;
-}
-.incident .bin:hover{
-  opacity:1;
-  color:#ff6b6b;
-}
+Timeline (oldest first):
+${timeline.slice(-120).map(e => "- (" + e.createdAt + ") " + e.title + ": " + clip(e.body) + (e.actor ? " [" + e.actor + "]" : "")).join("\n") || "None."}
 
-.card{
-  background:#151a21;
-  padding:18px;
-  border-radius:12px;
-  border:1px solid #222;
-  max-width:920px;
-}
+Context notes (oldest first):
+${notes.slice(-60).map(n => "- (" + n.createdAt + ") " + clip(n.text)).join("\n") || "None."}
 
-.card h3{ margin:0 0 6px 0; }
-.card p{ margin:8px 0; color:#d7dde6; }
+Draft a blameless postmortem for this incident from the record above.
+Use exactly these headings, each on its own line and followed by its content:
+${POSTMORTEM_SECTIONS.map(s => s.title.toUpperCase() + ":").join("\n")}
 
-.actions{
-  display:flex;
-  gap:10px;
-  flex-wrap:wrap;
-  margin:14px 0 8px;
-}
-.actions button{
-  width:auto;
-  padding:0 14px;
-}
+Impact: who and what was affected, and for how long.
+Timeline: the key moments with their times.
+Root cause hypotheses: label them as hypotheses and say what evidence supports each.
+Contributing factors: what made it worse or slower to resolve.
+Action items: numbered, concrete and checkable.
+Do not use markdown.
+Do not invent facts. Where the record doesn't say, write "Not recorded".
+`.trim();
 
-/* Note input + note list */
-.note-wrap{
-  margin-top:12px;
-  border:1px solid #222;
-  border-radius:12px;
-  background:#121720;
-  padding:12px;
-}
+      const limited = await this.reserveAiCall(incident.id);
+      if (limited) return aiRateLimitedResponse(limited);
 
-.note-list{
-  display:flex;
-  flex-direction:column;
-  gap:10px;
-  max-height:240px;
-  overflow:auto;
-  padding-right:6px;
-  margin-bottom:12px;
-}
+      let result;
+      try {
+        result = await runAi(this.env, { mode: "postmortem", prompt, maxTokens: 900 });
+      } catch (e) {
+        return new Response(String(e?.message || e), { status: 502 });
+      }
+      await this.countMetrics(counters => countAiCall(counters, "postmortem", result));
 
-.note{
-  background:#151a21;
+      const saved = await this.savePostmortemVersion(incident, parsePostmortemDraft(result.text), {
+        source: "ai",
+        actor,
+        ai: result
+      });
+      return Response.json({ ok: true, version: saved?.version ?? null, unchanged: !saved });
+    }
+
+    // POST /postmortem { id, sections: { impact?, timeline?, ... }, baseVersion? }
+    // Human edit: sections left out keep their current text. baseVersion guards against
+    // overwriting someone else's save made since the editor loaded it.
+    if (request.method === "POST" && url.pathname === "/postmortem") {
+      const body = await request.json();
+      const incident = await this.getIncidentCore(body?.id);
+
+      if (!incident) return new Response("Not found", { status: 404 });
+      if (incident.archivedAt) return archivedResponse();
+      if (!isClosedStatus(readLifecycle(this.env), incident.status)) return postmortemOpenResponse(incident);
+
+      if (!body.sections || typeof body.sections !== "object" || Array.isArray(body.sections)) {
+        return new Response("Missing sections", { status: 400 });
+      }
+      const unknown = Object.keys(body.sections).filter(k => !POSTMORTEM_SECTIONS.some(s => s.key === k));
+      if (unknown.length) {
+        return new Response(
+          "Unknown section(s): " + unknown.join(", ") + " (expected: " + POSTMORTEM_SECTIONS.map(s => s.key).join(", ") + ")",
+          { status: 400 }
+        );
+      }
+
+      const previous = (await this.listEntries("postmortem", incident.id, { last: 1 }))[0] || null;
+      const currentVersion = previous?.version || 0;
+      if (body.baseVersion !== undefined && Number(body.baseVersion) !== currentVersion) {
+        return new Response(
+          "Postmortem is at version " + currentVersion + " (you edited version " + body.baseVersion + "); reload and re-apply your changes",
+          { status: 409 }
+        );
+      }
+
+      const sections = {};
+      for (const { key } of POSTMORTEM_SECTIONS) {
+        sections[key] = key in body.sections ? String(body.sections[key] ?? "").trim() : previous?.sections?.[key] || "";
+      }
+
+      const saved = await this.savePostmortemVersion(incident, sections, { source: "human", actor });
+      if (!saved) return new Response("No changes", { status: 400 });
+      return Response.json({ ok: true, version: saved.version });
+    }
+
+    // POST /alerts
+    // Monitoring ingestion: Alertmanager webhook payloads or generic JSON alert(s).
+    // Alerts dedupe on fingerprint (fingerprint:<fp> → incident id):
+    // - firing, no active incident for it  → new incident
+    // - firing, incident still active      → "Alert Fired Again" on its timeline
+    // - resolved                           → "Signal Cleared" entry; status is left to humans
+    if (request.method === "POST" && url.pathname === "/alerts") {
+      const alerts = await normalizeAlerts(await request.json());
+      if (!alerts.length) return new Response("No alerts in payload", { status: 400 });
+
+      const results = [];
+      for (const alert of alerts) {
+        results.push(await this.ingestAlert(alert, actor));
+      }
+
+      return Response.json({ ok: true, results });
+    }
+
+    // GET /webhooks
+    // Secrets are only ever shown once, on creation
+    if (request.method === "GET" && url.pathname === "/webhooks") {
+      const hooks = await this.state.storage.list({ prefix: "webhook:" });
+      return Response.json([...hooks.values()].map(maskWebhook));
+    }
+
+    // POST /webhooks
+    // { url, events?: [...], description?, secret? } — no events means all of them
+    if (request.method === "POST" && url.pathname === "/webhooks") {
+      const body = await request.json();
+
+      let target;
+      try {
+        target = new URL(String(body?.url || ""));
+      } catch {
+        return new Response("Invalid url", { status: 400 });
+      }
+      if (target.protocol !== "https:" && target.protocol !== "http:") {
+        return new Response("url must be http(s)", { status: 400 });
+      }
+
+      const events = Array.isArray(body?.events) ? [...new Set(body.events.map(String))] : [];
+      const unknownEvents = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+      if (unknownEvents.length) {
+        return new Response("Unknown event(s): " + unknownEvents.join(", "), { status: 400 });
+      }
+
+      const webhook = {
+        id: sortableId(),
+        url: target.toString(),
+        events,
+        description: String(body?.description || "").trim(),
+        secret: String(body?.secret || "").trim() || toHex(crypto.getRandomValues(new Uint8Array(32))),
+        createdAt: new Date().toISOString(),
+        createdBy: actor.name
+      };
+
+      await this.state.storage.put("webhook:" + webhook.id, webhook);
+      return Response.json({ ok: true, webhook });
+    }
+
+    // DELETE /webhooks?id=...
+    // Pending deliveries for it are cancelled when the alarm reaches them
+    if (request.method === "DELETE" && url.pathname === "/webhooks") {
+      const id = url.searchParams.get("id");
+      if (!id) return new Response("Missing id", { status: 400 });
+
+      const deleted = await this.state.storage.delete("webhook:" + id);
+      if (!deleted) return new Response("Not found", { status: 404 });
+      return Response.json({ ok: true });
+    }
+
+    // GET /webhooks/deliveries?webhookId=&status=&limit=
+    // Delivery log, newest first. Each subscription's log is read from its own key range;
+    // without webhookId the newest `limit` of each are merged.
+    if (request.method === "GET" && url.pathname === "/webhooks/deliveries") {
+      const webhookId = url.searchParams.get("webhookId");
+      const status = url.searchParams.get("status");
+      const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 50, 1), 500);
+
+      const matching = [];
+      for (const id of webhookId ? [webhookId] : await this.deliveryLogWebhookIds()) {
+        matching.push(...(await this.listDeliveries(id, { status, limit })));
+      }
+
+      return Response.json(matching.sort((a, b) => b.id.localeCompare(a.id)).slice(0, limit));
+    }
+
+    return new Response("Not found", { status: 404 });
+  }
+
+  /*
+    Shared by POST /incident and alert ingestion; callers check the ID is free.
+    `extra` lands on the core record (e.g. alert source + fingerprint).
+  */
+  async createIncident({ id, title, description, severity }, actor, extra = {}) {
+    const now = new Date().toISOString();
+    const redaction = readRedaction(this.env);
+    const redacted = redactText(description, redaction);
+
+    await this.putIncidentCore({
+      id,
+      title,
+      description: redacted.text,
+      severity: cap(severity),
+      status: readLifecycle(this.env).initial,
+      createdAt: now,
+      createdBy: actor.name,
+      updatedAt: now,
+      resolvedAt: null,
+
+      // SLA clocks: acknowledgement and the last human update (AI output and alerts don't count)
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      lastUpdateAt: now,
+
+      // Status moves for metrics ({ at, from, to }), so they don't need the timeline
+      stateChanges: [],
+
+      // Ownership: the incident commander drives the case, responders help
+      commander: null,
+      responders: [],
+
+      // Legacy field kept (backwards compat)
+      additionalContext: "",
+
+      ...extra
+    });
+
+    // Timeline entries: keeps the case history readable
+    const created = await this.appendEntry("timeline", id, {
+      icon: "🆕",
+      title: "Incident Created",
+      body: extra.source ? title + "\nSource: " + extra.source + " alert" : title,
+      actor: actor.name,
+      createdAt: now
+    });
+
+    const redactionEntry = await this.recordRedaction(id, "description", description, redacted, redaction, actor, now);
+    await this.countMetrics(counters => countCreated(counters, severity));
+
+    await this.notify("incident.created", id, actor, [created, redactionEntry].filter(Boolean));
+  }
+
+  /*
+    Timeline record of one redaction (rule names and counts, never the matched text). With
+    keepOriginal the raw text is stored under unredacted:<id>:<seq> for admins. Returns null if nothing matched.
+  */
+  async recordRedaction(id, field, raw, redacted, redaction, actor, stamp) {
+    const rules = Object.entries(redacted.counts);
+    if (!rules.length) return null;
+
+    if (redaction.keepOriginal) {
+      await this.appendEntry(UNREDACTED_KIND, id, { field, text: raw, rules: redacted.counts, actor: actor.name, createdAt: stamp });
+    }
+
+    return this.appendEntry("timeline", id, {
+      icon: "🕶️",
+      title: "Sensitive Data Redacted",
+      body: [
+        fieldLabel(field) + ": " + rules.map(([name, n]) => name + " ×" + n).join(", "),
+        redaction.keepOriginal ? "Original kept for admins" : "Original discarded"
+      ].join("\n"),
+      field,
+      redactions: redacted.counts,
+      actor: actor.name,
+      createdAt: stamp
+    });
+  }
+
+  /*
+    Prompt for one AI mode: the mode's template filled from the incident, recent notes and severity moves.
+    The severity note depends on the last output, so it disappears once that output exists; cacheText is
+    the prompt without it (what promptHash covers), so asking again straight after is still a cache hit.
+    cacheText also names the provider and primary model, so switching either misses the cache.
+  */
+  async aiPrompt(incident, aiMode) {
+    // Severity moves since the last AI output: earlier outputs were framed for the old level
+    const lastAi = (await this.listEntries("ai", incident.id, { last: 20 })).filter(o => o.text).pop();
+    const severityChanges = (await this.listEntries("timeline", incident.id)).filter(
+      e => e.field === "severity" && (!lastAi || e.createdAt > lastAi.createdAt)
+    );
+    const severityChangeNote = severityChanges.length
+      ? "\n\nSeverity changes since the last AI output:\n" +
+        severityChanges
+          .map(e => "- (" + e.createdAt + ") " + (e.title || "Severity changed") + ": " + e.from + " to " + e.to)
+          .join("\n") +
+        "\nRe-assess urgency for the current severity (" + incident.severity + "). Say explicitly that the severity changed and what that means for priorities."
+      : "";
+
+    // Text stored before redaction existed (or under older rules) is masked on its way to the model too
+    const redaction = readRedaction(this.env);
+    const mask = text => redactText(text, redaction).text;
+
+    const notes = await this.listEntries("note", incident.id, { last: 18 });
+    const notesSnippet = notes
+      .map(n => "- (" + n.createdAt + ") " + mask(n.text))
+      .join("\n");
+
+    const fields = {
+      id: incident.id,
+      title: mask(incident.title),
+      description: mask(incident.description),
+      severity: incident.severity,
+      status: incident.status,
+      commander: incident.commander || "Unassigned",
+      responders: (incident.responders || []).join(", ") || "None",
+      notes: notesSnippet || "None provided.",
+      severityGuidance: severityGuidanceFor(incident.severity, aiMode.severityGuidance)
+    };
+
+    const { config, primary } = aiCallPlan(this.env, { mode: aiMode.mode });
+
+    return {
+      prompt: renderAiTemplate(aiMode.template, { ...fields, severityChanges: severityChangeNote }).trim(),
+      cacheText: [
+        "Provider: " + config.provider,
+        "Model: " + primary,
+        renderAiTemplate(aiMode.template, { ...fields, severityChanges: "" }).trim()
+      ].join("\n")
+    };
+  }
+
+  /*
+    Stores one model call from runAi/streamAi as an AI output plus a timeline entry, failures included.
+    Cancelled and failed runs keep whatever text they got, marked by status and error.
+    Each output records model, promptHash (for the cache), token usage and latency.
+    The incident is re-read because a generation can outlast other writes; returns null if it was
+    deleted or archived meanwhile.
+  */
+  async saveAiOutput(id, aiMode, result, actor, promptHash) {
+    // The call counts even if there is nowhere left to store its output
+    await this.countMetrics(counters => countAiCall(counters, aiMode.mode, result));
+
+    const incident = await this.getIncidentCore(id);
+    if (!incident || incident.archivedAt) return null;
+
+    const status = result.status || "complete";
+    const clean = cleanAIText(result.text || "");
+    const stamp = new Date().toISOString();
+
+    // Stored as ISO; UI formats it nicely
+    await this.appendEntry("ai", incident.id, {
+      type: aiMode.mode,
+      title: aiMode.label,
+      text: clean ? "Update time: " + stamp + "\n\n" + clean : "",
+      ...(clean && ACTION_ITEM_MODES.includes(aiMode.mode) ? { steps: parseSteps(result.text) } : {}),
+      status,
+      ...(result.error ? { error: result.error } : {}),
+      templateVersion: aiMode.version,
+      provider: result.provider,
+      model: result.model,
+      fallback: result.fallback,
+      promptHash: promptHash || null,
+      usage: result.usage || null,
+      latencyMs: result.latencyMs,
+      actor: actor.name,
+      createdAt: stamp
+    });
+
+    const lines = [
+      "Action: " + aiMode.mode,
+      "Template: " + (aiMode.version ? "v" + aiMode.version : "built-in"),
+      "Model: " + result.model + (result.fallback ? " (fallback)" : "")
+    ];
+    if (status !== "complete") lines.push(clean ? "Partial output kept (" + clean.length + " characters)" : "No output");
+    if (result.error) lines.push("Error: " + result.error);
+
+    // Timeline entry for AI outputs
+    const aiEntry = await this.appendEntry("timeline", incident.id, {
+      icon: status === "complete" ? "🤖" : "⚠️",
+      title: "AI: " + aiMode.label + { complete: " Generated", cancelled: " Cancelled", failed: " Failed" }[status],
+      body: lines.join("\n"),
+      actor: actor.name,
+      createdAt: stamp
+    });
+
+    incident.updatedAt = stamp;
+
+    await this.putIncidentCore(incident);
+    await this.notify("incident.ai_generated", incident.id, actor, [aiEntry]);
+    return aiEntry;
+  }
+
+  // Latest complete output of a mode, if it was generated from exactly this prompt
+  async cachedAiOutput(id, mode, promptHash) {
+    const outputs = await this.listEntries("ai", id, { last: 50 });
+    const latest = outputs.filter(o => o.type === mode && (o.status || "complete") === "complete").pop();
+    return latest && latest.promptHash === promptHash ? latest : null;
+  }
+
+  /*
+    Counts one model call against AI_CONFIG.rateLimits, or returns the limit it would break:
+    { scope: "perIncident" | "global", limit, windowMinutes, retryAfter (seconds) }.
+    The call is logged before the model runs, so concurrent requests can't all slip under the limit.
+  */
+  async reserveAiCall(id) {
+    const { rateLimits } = readAiConfig(this.env);
+    const now = Date.now();
+    const rules = [
+      { scope: "perIncident", rule: rateLimits.perIncident, match: c => c.id === id },
+      { scope: "global", rule: rateLimits.global, match: () => true }
+    ].filter(r => r.rule);
+
+    const longest = Math.max(0, ...rules.map(r => r.rule.windowMinutes)) * 60e3;
+    const calls = ((await this.state.storage.get(AI_CALLS_KEY)) || []).filter(c => c.at > now - longest);
+
+    for (const { scope, rule, match } of rules) {
+      const windowMs = rule.windowMinutes * 60e3;
+      const recent = calls.filter(c => c.at > now - windowMs && match(c));
+      if (recent.length >= rule.limit) {
+        return { scope, limit: rule.limit, windowMinutes: rule.windowMinutes, retryAfter: Math.ceil((recent[0].at + windowMs - now) / 1000) };
+      }
+    }
+
+    calls.push({ at: now, id });
+    await this.state.storage.put(AI_CALLS_KEY, calls);
+    return null;
+  }
+
+  // Stored template if there is one, else the built-in (version 0)
+  async getAiMode(mode) {
+    if (!mode) return null;
+
+    const stored = await this.state.storage.get(aiModeKey(mode));
+    if (stored) return { ...stored, builtin: isBuiltinAiMode(mode) };
+
+    const builtin = BUILTIN_AI_MODES.find(m => m.mode === mode);
+    return builtin ? { ...builtin, maxTokens: 360, enabled: true, version: 0, builtin: true } : null;
+  }
+
+  // Built-ins first in their usual order, then custom modes by name
+  async listAiModes() {
+    const modes = new Map(BUILTIN_AI_MODES.map(m => [m.mode, { ...m, maxTokens: 360, enabled: true, version: 0, builtin: true }]));
+    const stored = await this.state.storage.list({ prefix: "ai-mode:" });
+    for (const record of stored.values()) modes.set(record.mode, { ...record, builtin: isBuiltinAiMode(record.mode) });
+    return [...modes.values()];
+  }
+
+  /*
+    Appends a postmortem version (with its line diff against the previous one) and a timeline
+    entry carrying the version's content hash. Returns null when nothing changed.
+  */
+  async savePostmortemVersion(incident, sections, { source, actor, ai }) {
+    const previous = (await this.listEntries("postmortem", incident.id, { last: 1 }))[0] || null;
+
+    const diff = {};
+    for (const { key } of POSTMORTEM_SECTIONS) {
+      const before = previous?.sections?.[key] || "";
+      if (before !== sections[key]) diff[key] = lineDiff(before, sections[key]);
+    }
+    if (previous && !Object.keys(diff).length) return null;
+
+    const stamp = new Date().toISOString();
+    const changed = Object.keys(diff);
+    const version = {
+      version: (previous?.version || 0) + 1,
+      basedOn: previous?.version ?? null,
+      source,
+      sections,
+      changed,
+      diff,
+      contentHash: await sha256Hex(canonicalJson(sections)),
+      ...(ai ? { provider: ai.provider, model: ai.model, fallback: ai.fallback, latencyMs: ai.latencyMs, usage: ai.usage } : {}),
+      actor: actor.name,
+      createdAt: stamp
+    };
+
+    await this.appendEntry("postmortem", incident.id, version);
+
+    const entry = await this.appendEntry("timeline", incident.id, {
+      icon: source === "ai" ? "🤖" : "🧾",
+      title: source === "ai" ? "AI: Postmortem Drafted" : "Postmortem Edited",
+      body:
+        "Version " + version.version +
+        (previous ? "\nChanged: " + changed.map(k => POSTMORTEM_SECTIONS.find(s => s.key === k).title).join(", ") : ""),
+      version: version.version,
+      contentHash: version.contentHash,
+      actor: actor.name,
+      createdAt: stamp
+    });
+
+    incident.updatedAt = stamp;
+    await this.putIncidentCore(incident);
+    await this.notify("incident.postmortem_updated", incident.id, actor, [entry]);
+    return version;
+  }
+
+  async ingestAlert(alert, actor) {
+    const mappingKey = "fingerprint:" + encodeURIComponent(alert.fingerprint);
+    const mappedId = await this.state.storage.get(mappingKey);
+    const existing = mappedId ? await this.getIncidentCore(mappedId) : null;
+
+    // A resolved case stays closed; a new firing after that is a new incident
+    const active =
+      existing && !isClosedStatus(readLifecycle(this.env), existing.status) && !existing.archivedAt ? existing : null;
+    const stamp = new Date().toISOString();
+
+    if (alert.status === "resolved") {
+      if (!active) return { fingerprint: alert.fingerprint, action: "ignored", incidentId: existing?.id || null };
+
+      const entry = await this.appendEntry("timeline", active.id, {
+        icon: "🔕",
+        title: "Signal Cleared",
+        body: alert.title + (alert.endsAt ? "\nEnded: " + alert.endsAt : "") + "\nStatus unchanged; resolve manually once confirmed.",
+        actor: actor.name,
+        createdAt: stamp
+      });
+
+      active.updatedAt = stamp;
+      await this.putIncidentCore(active);
+      await this.notify("incident.signal_cleared", active.id, actor, [entry]);
+      return { fingerprint: alert.fingerprint, action: "cleared", incidentId: active.id };
+    }
+
+    if (active) {
+      const entry = await this.appendEntry("timeline", active.id, {
+        icon: "🔔",
+        title: "Alert Fired Again",
+        body: alert.title + (alert.startsAt ? "\nStarted: " + alert.startsAt : ""),
+        actor: actor.name,
+        createdAt: stamp
+      });
+
+      active.alertCount = (active.alertCount || 1) + 1;
+      active.updatedAt = stamp;
+      await this.putIncidentCore(active);
+      await this.notify("incident.alert_fired", active.id, actor, [entry]);
+      return { fingerprint: alert.fingerprint, action: "appended", incidentId: active.id };
+    }
+
+    // Readable, stable-ish ID from the fingerprint; suffix if an older incident already has it
+    const base = "ALERT-" + alert.fingerprint.replace(/[^a-z0-9]/gi, "").slice(0, 8).toUpperCase();
+    let id = base;
+    for (let n = 2; (await this.getIncidentCore(id)) || (await this.state.storage.get(tombstoneKey(id))); n++) {
+      id = base + "-" + n;
+    }
+
+    await this.createIncident(
+      { id, title: alert.title, description: alert.description, severity: alert.severity },
+      actor,
+      { source: alert.source, fingerprint: alert.fingerprint, labels: alert.labels, alertCount: 1 }
+    );
+    await this.state.storage.put(mappingKey, id);
+
+    return { fingerprint: alert.fingerprint, action: "created", incidentId: id };
+  }
+
+  /*
+    Live updates
+    The feed is one-way (store → dashboards); anything a client sends besides the
+    "ping" keepalive is ignored.
+  */
+  async webSocketMessage(ws, message) {}
+
+  async webSocketClose(ws, code, reason) {
+    try {
+      ws.close(code, reason);
+    } catch {
+      // Already closed, or a reserved code (1005/1006) that can't be echoed back
+    }
+  }
+
+  /*
+    Change events: every write route ends here.
+    Live events are a delta, never the whole history: the incident's core record, the timeline
+    entries the write added, and `histories` naming any other history it added to
+    (see LIVE_EVENT_HISTORIES), which a dashboard showing the incident re-fetches.
+  */
+  async notify(type, id, actor, timelineEntries = []) {
+    const core = type === "incident.purged" ? null : await this.getIncidentCore(id);
+    const createdAt = new Date().toISOString();
+
+    this.broadcast({
+      type,
+      id,
+      actor: actor?.name || null,
+      incident: core,
+      timeline: timelineEntries,
+      histories: LIVE_EVENT_HISTORIES[type] || [],
+      createdAt
+    });
+
+    // Webhooks get a stable, history-free shape (see WEBHOOK_SCHEMA_VERSION)
+    await this.enqueueWebhooks({
+      id: sortableId(),
+      type,
+      schemaVersion: WEBHOOK_SCHEMA_VERSION,
+      createdAt,
+      actor: actor?.name || null,
+      incident: core ? incidentSummary(core) : { id },
+      timeline: timelineEntries
+    });
+  }
+
+  broadcast(event) {
+    const message = JSON.stringify(event);
+    for (const ws of this.state.getWebSockets()) {
+      try {
+        ws.send(message);
+      } catch {
+        // Socket is closing; its close handler cleans up
+      }
+    }
+  }
+
+  /*
+    Webhook delivery
+    Events are queued, never sent inline, so a slow receiver can't hold up a write.
+    The alarm drains due attempts and re-arms itself for the next one.
+  */
+  async enqueueWebhooks(event) {
+    const hooks = await this.state.storage.list({ prefix: "webhook:" });
+    const targets = [...hooks.values()].filter(h => !h.events?.length || h.events.includes(event.type));
+    if (!targets.length) return;
+
+    const now = Date.now();
+    const payload = JSON.stringify(event);
+    const writes = {};
+
+    for (const hook of targets) {
+      const delivery = {
+        id: sortableId(),
+        webhookId: hook.id,
+        url: hook.url,
+        eventId: event.id,
+        eventType: event.type,
+        incidentId: event.incident.id,
+        payload,
+        status: "pending",
+        attempts: [],
+        nextAttemptAt: new Date(now).toISOString(),
+        createdAt: new Date(now).toISOString()
+      };
+
+      writes[deliveryKey(hook.id, delivery.id)] = delivery;
+      writes[webhookQueueKey(now, delivery.id)] = deliveryKey(hook.id, delivery.id);
+    }
+
+    // Two keys per subscription; batches hold an even count, so a delivery and its queue entry stay together
+    const batch = Object.entries(writes);
+    for (let i = 0; i < batch.length; i += STORAGE_BATCH) {
+      await this.state.storage.put(Object.fromEntries(batch.slice(i, i + STORAGE_BATCH)));
+    }
+    await this.scheduleAlarm();
+  }
+
+  async alarm() {
+    // SLA checks first: breach events they fire go out in the same run
+    await this.checkDueSlas();
+    await this.deliverDueWebhooks();
+    await this.migrateDeliveryLog();
+    await this.pruneDeliveryLog();
+    await this.buildSearchIndex();
+    await this.scheduleAlarm();
+  }
+
+  /*
+    SLA checks
+    putIncidentCore keeps one sla-queue entry per open incident at its next deadline,
+    so an entry that no longer matches its incident is stale and just dropped.
+  */
+  async checkDueSlas() {
+    const due = await this.state.storage.list({
+      prefix: "sla-queue:",
+      end: slaQueueKey(Date.now() + 1, ""),
+      limit: SLA_BATCH
+    });
+
+    for (const [queueKey, id] of due) {
+      const incident = await this.getIncidentCore(id);
+      const sla = incident?.sla;
+
+      if (!sla?.nextCheckAt || slaQueueKey(Date.parse(sla.nextCheckAt), incident.id) !== queueKey) {
+        await this.state.storage.delete(queueKey);
+        continue;
+      }
+
+      const stamp = new Date().toISOString();
+      const breaches = [];
+      if (sla.ackDueAt && !sla.ackBreachedAt && sla.ackDueAt <= stamp) {
+        breaches.push({
+          sla: "acknowledge",
+          dueAt: sla.ackDueAt,
+          title: "SLA Breached: Not Acknowledged",
+          body: incident.severity + " incidents must be acknowledged within " + sla.policy.ackMinutes + " min"
+        });
+        sla.ackBreachedAt = stamp;
+      }
+      if (sla.updateDueAt && sla.updateDueAt <= stamp) {
+        breaches.push({
+          sla: "update",
+          dueAt: sla.updateDueAt,
+          title: "SLA Breached: No Update",
+          body: incident.severity + " incidents need an update every " + sla.policy.updateMinutes + " min"
+        });
+        sla.updateBreachedAt = stamp;
+      }
+
+      const entries = [];
+      for (const breach of breaches) {
+        entries.push(await this.appendEntry("timeline", incident.id, {
+          icon: "🚨",
+          title: breach.title,
+          body: breach.body + "\nDue: " + breach.dueAt,
+          sla: breach.sla,
+          dueAt: breach.dueAt,
+          actor: SLA_ACTOR.name,
+          createdAt: stamp
+        }));
+      }
+
+      sla.breaches = (sla.breaches || 0) + breaches.length;
+
+      // Re-queues the incident at its next deadline
+      await this.putIncidentCore(incident);
+      if (entries.length) await this.notify("incident.sla_breached", incident.id, SLA_ACTOR, entries);
+    }
+  }
+
+  async deliverDueWebhooks() {
+    const due = await this.state.storage.list({
+      prefix: "webhook-queue:",
+      end: webhookQueueKey(Date.now() + 1, ""),
+      limit: WEBHOOK_BATCH
+    });
+
+    for (const [queueKey, ref] of due) {
+      // Entries queued before the per-subscription keys hold just the delivery id
+      const key = ref.startsWith("delivery:") ? ref : "delivery:" + ref;
+      const delivery = await this.state.storage.get(key);
+
+      // As with SLAs, an entry that isn't the delivery's next attempt is stale
+      if (delivery?.status !== "pending" || webhookQueueKey(Date.parse(delivery.nextAttemptAt), delivery.id) !== queueKey) {
+        await this.state.storage.delete(queueKey);
+        continue;
+      }
+
+      // The entry is only dropped once the outcome (and any retry entry) is stored, so an attempt
+      // cut short by an eviction or error is made again. The outcome is stored under the
+      // per-subscription key, so a legacy record goes along with the entry.
+      await this.attemptDelivery(delivery);
+      await this.state.storage.delete(key === deliveryKey(delivery.webhookId, delivery.id) ? queueKey : [queueKey, key]);
+    }
+  }
+
+  async attemptDelivery(delivery) {
+    const hook = await this.state.storage.get("webhook:" + delivery.webhookId);
+    if (!hook) {
+      delivery.status = "cancelled";
+      delivery.nextAttemptAt = null;
+      await this.state.storage.put(deliveryKey(delivery.webhookId, delivery.id), delivery);
+      return;
+    }
+
+    // Receivers verify: hex HMAC-SHA256(secret, timestamp + "." + raw body)
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = toHex(await hmacSha256(hook.secret, timestamp + "." + delivery.payload));
+
+    const started = Date.now();
+    const attempt = { at: new Date(started).toISOString(), status: null, error: null, durationMs: 0 };
+
+    try {
+      const res = await fetch(hook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "incident-dashboard-webhooks/" + WEBHOOK_SCHEMA_VERSION,
+          "X-Incident-Event": delivery.eventType,
+          "X-Incident-Delivery": delivery.id,
+          "X-Incident-Timestamp": timestamp,
+          "X-Incident-Signature": "sha256=" + signature
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      attempt.status = res.status;
+      if (!res.ok) attempt.error = "HTTP " + res.status;
+    } catch (e) {
+      attempt.error = String(e?.message || e);
+    }
+
+    attempt.durationMs = Date.now() - started;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = "delivered";
+      delivery.deliveredAt = attempt.at;
+      delivery.nextAttemptAt = null;
+    } else {
+      const delay = WEBHOOK_RETRY_DELAYS_MS[delivery.attempts.length - 1];
+      if (delay === undefined) {
+        delivery.status = "failed";
+        delivery.nextAttemptAt = null;
+      } else {
+        const next = Date.now() + delay;
+        delivery.nextAttemptAt = new Date(next).toISOString();
+        await this.state.storage.put(webhookQueueKey(next, delivery.id), deliveryKey(delivery.webhookId, delivery.id));
+      }
+    }
+
+    await this.state.storage.put(deliveryKey(delivery.webhookId, delivery.id), delivery);
+  }
+
+  // Subscriptions that have a delivery log, deleted ones included: one single-key read per subscription
+  async deliveryLogWebhookIds() {
+    const ids = [];
+    for (let start = "delivery:"; ; ) {
+      const [key] = (await this.state.storage.list({ prefix: "delivery:", start, limit: 1 })).keys();
+      if (!key) return ids;
+
+      const webhookId = key.split(":")[1];
+      ids.push(webhookId);
+      start = "delivery:" + webhookId + ";"; // ";" sorts right after ":", past this subscription's keys
+    }
+  }
+
+  // Newest first, reading back from the end of the subscription's log until `limit` match
+  async listDeliveries(webhookId, { status, limit }) {
+    const found = [];
+    const pageSize = status ? STORAGE_BATCH : limit;
+
+    for (let end = null; found.length < limit; ) {
+      const page = await this.state.storage.list({
+        prefix: deliveryKey(webhookId, ""),
+        reverse: true,
+        limit: pageSize,
+        ...(end ? { end } : {})
+      });
+      for (const delivery of page.values()) if (!status || delivery.status === status) found.push(delivery);
+      if (page.size < pageSize) break;
+      end = [...page.keys()].pop();
+    }
+
+    return found.slice(0, limit);
+  }
+
+  // Settled deliveries past the retention period, up to a batch per subscription per alarm run
+  async pruneDeliveryLog() {
+    const cutoff = (Date.now() - WEBHOOK_LOG_RETENTION_DAYS * 86400e3).toString(36).padStart(9, "0");
+
+    for (const webhookId of await this.deliveryLogWebhookIds()) {
+      const expired = await this.state.storage.list({
+        prefix: deliveryKey(webhookId, ""),
+        end: deliveryKey(webhookId, cutoff),
+        limit: STORAGE_BATCH
+      });
+      const settled = [...expired].filter(([, delivery]) => delivery.status !== "pending").map(([key]) => key);
+      if (settled.length) await this.state.storage.delete(settled);
+    }
+  }
+
+  // First start with per-subscription delivery keys: queue the move of any older log for the alarm
+  async startDeliveryLogMigration() {
+    if ((await this.state.storage.get(WEBHOOK_LOG_VERSION_KEY)) === WEBHOOK_LOG_VERSION) return;
+
+    if (!(await this.state.storage.get(WEBHOOK_LOG_MIGRATION_KEY))) {
+      if (!(await this.state.storage.list({ prefix: "delivery:", limit: 1 })).size) {
+        await this.state.storage.put(WEBHOOK_LOG_VERSION_KEY, WEBHOOK_LOG_VERSION);
+        return;
+      }
+      await this.state.storage.put(WEBHOOK_LOG_MIGRATION_KEY, { after: null });
+    }
+
+    await this.scheduleAlarm();
+  }
+
+  /*
+    One batch of moving delivery:<id> records to delivery:<webhook>:<id>. A pending one's queue
+    entry is repointed in the same write; the marker keeps the last key scanned.
+  */
+  async migrateDeliveryLog() {
+    const migration = await this.state.storage.get(WEBHOOK_LOG_MIGRATION_KEY);
+    if (!migration) return;
+
+    const batch = await this.state.storage.list({
+      prefix: "delivery:",
+      limit: WEBHOOK_LOG_MIGRATION_BATCH,
+      ...(migration.after ? { startAfter: migration.after } : {})
+    });
+    const legacy = [...batch].filter(([key]) => key.split(":").length === 2);
+
+    if (legacy.length) {
+      const writes = {};
+      for (const [, delivery] of legacy) {
+        writes[deliveryKey(delivery.webhookId, delivery.id)] = delivery;
+        if (delivery.status === "pending" && delivery.nextAttemptAt) {
+          writes[webhookQueueKey(Date.parse(delivery.nextAttemptAt), delivery.id)] = deliveryKey(delivery.webhookId, delivery.id);
+        }
+      }
+      await this.state.storage.put(writes);
+      await this.state.storage.delete(legacy.map(([key]) => key));
+    }
+
+    if (batch.size === WEBHOOK_LOG_MIGRATION_BATCH) {
+      await this.state.storage.put(WEBHOOK_LOG_MIGRATION_KEY, { after: [...batch.keys()].pop() });
+    } else {
+      await this.state.storage.put(WEBHOOK_LOG_VERSION_KEY, WEBHOOK_LOG_VERSION);
+      await this.state.storage.delete(WEBHOOK_LOG_MIGRATION_KEY);
+    }
+  }
+
+  // One alarm per object: point it at the earliest pending work (webhook attempts, SLA deadlines, batched rebuilds)
+  async scheduleAlarm() {
+    const pending = [];
+    for (const prefix of ["webhook-queue:", "sla-queue:"]) {
+      const next = await this.state.storage.list({ prefix, limit: 1 });
+      const nextKey = [...next.keys()][0];
+      if (nextKey) pending.push(Number(nextKey.split(":")[1]));
+    }
+    for (const marker of [SEARCH_BUILD_KEY, WEBHOOK_LOG_MIGRATION_KEY]) {
+      if (await this.state.storage.get(marker)) pending.push(Date.now());
+    }
+
+    if (!pending.length) {
+      await this.state.storage.deleteAlarm();
+      return;
+    }
+
+    const due = Math.min(...pending);
+    const current = await this.state.storage.getAlarm();
+    if (current === null || current > due || current < Date.now()) {
+      await this.state.storage.setAlarm(Math.max(due, Date.now()));
+    }
+  }
+
+  /*
+    Storage helpers
+    Routes read/write a single incident's keys; only GET /incidents walks everything.
+  */
+  async getIncidentCore(id) {
+    if (!id) return null;
+    return (await this.state.storage.get(incidentKey(id))) || null;
+  }
+
+  // Core record plus its history, in the same shape GET /incidents returns
+  async getIncident(id) {
+    const core = await this.getIncidentCore(id);
+    if (!core) return null;
+
+    const incident = { ...core };
+    for (const [field, kind] of Object.entries(ENTRY_KINDS)) {
+      incident[field] = await this.listEntries(kind, id);
+    }
+    return incident;
+  }
+
+  async putIncidentCore(incident) {
+    // History arrays live under their own keys; never write them back onto the core record
+    const { core } = splitIncident(incident);
+    const previous = await this.getIncidentCore(core.id);
+
+    // SLA deadlines follow every write; the queue entry moves with the next check.
+    // The stored record says which queue key exists (an imported record's sla never had one here).
+    const previousCheck = previous?.sla?.nextCheckAt || null;
+    core.sla = slaState(core, readSlaPolicies(this.env), readLifecycle(this.env));
+    const nextCheck = core.sla.nextCheckAt;
+
+    const writes = { [incidentKey(core.id)]: core };
+    if (nextCheck !== previousCheck) {
+      if (previousCheck) await this.state.storage.delete(slaQueueKey(Date.parse(previousCheck), core.id));
+      if (nextCheck) writes[slaQueueKey(Date.parse(nextCheck), core.id)] = core.id;
+    }
+
+    await this.state.storage.put(writes);
+    if (nextCheck && nextCheck !== previousCheck) await this.scheduleAlarm();
+
+    for (const field of ["title", "description"]) {
+      if (previous?.[field] === core[field]) continue;
+      if (previous?.[field]) await this.indexDoc(core.id, field, previous[field], { remove: true });
+      await this.indexDoc(core.id, field, core[field]);
+    }
+  }
+
+  async appendEntry(kind, id, entry) {
+    const prefix = entryPrefix(kind, id);
+    const last = await this.state.storage.list({ prefix, reverse: true, limit: 1 });
+    const lastKey = [...last.keys()][0];
+    const seq = lastKey ? Number(lastKey.slice(prefix.length)) + 1 : 0;
+
+    if (!CHAINED_KINDS.includes(kind)) {
+      await this.state.storage.put(prefix + seqKey(seq), entry);
+    } else {
+      const head = await this.state.storage.get(chainHeadKey(kind, id));
+      entry.prevHash = head?.hash || null;
+      entry.hash = await entryHash(kind, id, seq, entry);
+
+      // Entry and head in one batch so they can't drift apart
+      await this.state.storage.put({
+        [prefix + seqKey(seq)]: entry,
+        [chainHeadKey(kind, id)]: { hash: entry.hash, seq }
+      });
+    }
+
+    if (SEARCH_KINDS.includes(kind)) await this.indexDoc(id, kind + ":" + seq, searchableText(kind, entry));
+    return entry;
+  }
+
+  /*
+    Search index: search:<term>:<id> → { <doc>: occurrences } for one incident, where doc is
+    "title", "description" or "<kind>:<seq>" of a note, timeline entry or AI output.
+    Per incident rather than per term, so a hot term never grows one value without bound.
+  */
+  async indexDoc(id, doc, text, { remove = false } = {}) {
+    const counts = searchTermCounts(text);
+    const terms = [...counts.keys()];
+
+    for (let i = 0; i < terms.length; i += STORAGE_BATCH) {
+      const batch = terms.slice(i, i + STORAGE_BATCH);
+      const postings = await this.state.storage.get(batch.map(term => searchKey(term, id)));
+      const writes = {};
+      const emptied = [];
+
+      for (const term of batch) {
+        const key = searchKey(term, id);
+        const posting = { ...postings.get(key) };
+        if (remove) delete posting[doc];
+        else posting[doc] = counts.get(term);
+
+        if (Object.keys(posting).length) writes[key] = posting;
+        else emptied.push(key);
+      }
+
+      if (Object.keys(writes).length) await this.state.storage.put(writes);
+      if (emptied.length) await this.state.storage.delete(emptied);
+    }
+  }
+
+  // Everything one incident contributes, in one pass: bulk writes (import) and the rebuild.
+  // Replaces its postings term by term, so it must not have any for terms it no longer contains.
+  async indexIncident(id) {
+    const core = await this.getIncidentCore(id);
+    if (!core) return;
+
+    const postings = new Map();
+    const add = (doc, text) => {
+      for (const [term, count] of searchTermCounts(text)) {
+        const key = searchKey(term, id);
+        postings.set(key, { ...postings.get(key), [doc]: count });
+      }
+    };
+
+    add("title", core.title);
+    add("description", core.description);
+    for (const kind of SEARCH_KINDS) {
+      const prefix = entryPrefix(kind, id);
+      for (const [key, entry] of await this.state.storage.list({ prefix })) {
+        add(kind + ":" + Number(key.slice(prefix.length)), searchableText(kind, entry));
+      }
+    }
+
+    const writes = [...postings];
+    for (let i = 0; i < writes.length; i += STORAGE_BATCH) {
+      await this.state.storage.put(Object.fromEntries(writes.slice(i, i + STORAGE_BATCH)));
+    }
+  }
+
+  // Re-derives the incident's terms from what it indexed; called before its records go
+  async unindexIncident(id) {
+    const core = await this.getIncidentCore(id);
+    const terms = new Set([...searchTermCounts(core?.title).keys(), ...searchTermCounts(core?.description).keys()]);
+
+    for (const kind of SEARCH_KINDS) {
+      for (const entry of (await this.state.storage.list({ prefix: entryPrefix(kind, id) })).values()) {
+        for (const term of searchTermCounts(searchableText(kind, entry)).keys()) terms.add(term);
+      }
+    }
+
+    const keys = [...terms].map(term => searchKey(term, id));
+    for (let i = 0; i < keys.length; i += STORAGE_BATCH) {
+      await this.state.storage.delete(keys.slice(i, i + STORAGE_BATCH));
+    }
+  }
+
+  // First start after the index was added (or its tokenizer changed): queue a rebuild for the alarm.
+  // An empty store has nothing to rebuild.
+  async startSearchIndexBuild() {
+    if ((await this.state.storage.get(SEARCH_INDEX_KEY)) === SEARCH_INDEX_VERSION) return;
+
+    const build = await this.state.storage.get(SEARCH_BUILD_KEY);
+    if (build?.version !== SEARCH_INDEX_VERSION) {
+      const existing = [
+        ...(await this.state.storage.list({ prefix: "incident:", limit: 1 })).keys(),
+        ...(await this.state.storage.list({ prefix: "search:", limit: 1 })).keys()
+      ];
+      if (!existing.length) {
+        await this.state.storage.put(SEARCH_INDEX_KEY, SEARCH_INDEX_VERSION);
+        return;
+      }
+      await this.state.storage.put(SEARCH_BUILD_KEY, { version: SEARCH_INDEX_VERSION, phase: "clear", after: null });
+    }
+
+    await this.scheduleAlarm();
+  }
+
+  /*
+    One batch of an index rebuild; the alarm runs it until the build marker is gone.
+    The marker holds the phase and the last key handled, so a batch that was cut short is just repeated.
+    "clear" drops the old postings, then "index" indexes incidents in key order. Writes during the
+    build keep their own postings current, and indexIncident replaces an incident's postings whole.
+  */
+  async buildSearchIndex() {
+    const build = await this.state.storage.get(SEARCH_BUILD_KEY);
+    if (!build) return;
+
+    const clearing = build.phase === "clear";
+    const limit = clearing ? SEARCH_BUILD_CLEAR_KEYS : SEARCH_BUILD_INCIDENTS;
+    const batch = await this.state.storage.list({
+      prefix: clearing ? "search:" : "incident:",
+      limit,
+      ...(build.after ? { startAfter: build.after } : {})
+    });
+    const keys = [...batch.keys()];
+
+    if (clearing) {
+      for (let i = 0; i < keys.length; i += STORAGE_BATCH) {
+        await this.state.storage.delete(keys.slice(i, i + STORAGE_BATCH));
+      }
+    } else {
+      for (const core of batch.values()) await this.indexIncident(core.id);
+    }
+
+    if (keys.length === limit) {
+      await this.state.storage.put(SEARCH_BUILD_KEY, { ...build, after: keys[keys.length - 1] });
+    } else if (clearing) {
+      await this.state.storage.put(SEARCH_BUILD_KEY, { ...build, phase: "index", after: null });
+    } else {
+      await this.state.storage.put(SEARCH_INDEX_KEY, SEARCH_INDEX_VERSION);
+      await this.state.storage.delete(SEARCH_BUILD_KEY);
+    }
+  }
+
+  /*
+    Walks one chain and reports the first broken link, if any.
+    brokenAt.index is the entry's position in the incident's list (same as its seq).
+  */
+  async verifyChain(kind, id) {
+    const prefix = entryPrefix(kind, id);
+    const entries = [...(await this.state.storage.list({ prefix }))];
+
+    let prevHash = null;
+    let sealed = 0;
+    let unsealed = 0;
+
+    const broken = (index, reason) => ({
+      ok: false,
+      entries: entries.length,
+      sealed,
+      unsealed,
+      brokenAt: {
+        index,
+        reason,
+        title: entries[index]?.[1]?.title || null,
+        createdAt: entries[index]?.[1]?.createdAt || null
+      }
+    });
+
+    for (let index = 0; index < entries.length; index++) {
+      const [key, entry] = entries[index];
+
+      if (Number(key.slice(prefix.length)) !== index) {
+        return broken(index, "Sequence gap: an earlier entry is missing");
+      }
+
+      if (!entry?.hash) {
+        if (sealed) return broken(index, "Unsealed entry inside the sealed chain");
+        unsealed++;
+        continue;
+      }
+
+      if ((entry.prevHash || null) !== prevHash) {
+        return broken(index, "Link mismatch: previous entry was changed, removed or reordered");
+      }
+
+      if ((await entryHash(kind, id, index, entry)) !== entry.hash) {
+        return broken(index, "Content does not match its hash");
+      }
+
+      prevHash = entry.hash;
+      sealed++;
+    }
+
+    const head = await this.state.storage.get(chainHeadKey(kind, id));
+    if ((head?.hash || null) !== prevHash) {
+      return broken(entries.length, "Chain head mismatch: entries missing from the end");
+    }
+
+    return { ok: true, entries: entries.length, sealed, unsealed, brokenAt: null };
+  }
+
+  // `last` keeps the N most recent entries (oldest first), matching the old `.slice(-N)` calls
+  async listEntries(kind, id, { last } = {}) {
+    const options = { prefix: entryPrefix(kind, id) };
+    if (last) {
+      options.reverse = true;
+      options.limit = last;
+    }
+
+    const entries = [...(await this.state.storage.list(options)).values()];
+    return last ? entries.reverse() : entries;
+  }
+
+  /*
+    Cores from before stateChanges get it (and a missing acknowledgedAt) from their timeline, once:
+    the result is stored. Changes and returns the core.
+  */
+  async withStateChanges(core) {
+    if (core.stateChanges) return core;
+
+    const { stateChanges, acknowledgedAt, acknowledgedBy } = timelineStateChanges(await this.listEntries("timeline", core.id));
+    core.stateChanges = stateChanges;
+    if (!core.acknowledgedAt && acknowledgedAt) Object.assign(core, { acknowledgedAt, acknowledgedBy });
+
+    await this.putIncidentCore(core);
+    return core;
+  }
+
+  // Cores only: every refresh of the dashboard's numbers comes here, so no histories are read
+  async computeMetrics({ from, to, groupBy }) {
+    const lifecycle = readLifecycle(this.env);
+    const now = Date.now();
+
+    const cores = [...(await this.state.storage.list({ prefix: "incident:" })).values()].filter(
+      core => !core.archivedAt && (!from || core.createdAt >= from) && (!to || core.createdAt <= to)
+    );
+    const histories = [];
+    for (const core of cores) {
+      const history = incidentHistory(await this.withStateChanges(core), lifecycle, now);
+      if (history) histories.push(history);
+    }
+
+    const result = {
+      generatedAt: new Date(now).toISOString(),
+      from,
+      to,
+      groupBy,
+      overall: summariseHistories(histories)
+    };
+
+    if (groupBy) {
+      const groups = new Map();
+      for (const h of histories) {
+        const key = metricGroupKey(h, groupBy);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(h);
+      }
+
+      // Severity highest first; date buckets oldest first
+      const keys = [...groups.keys()].sort((a, b) =>
+        groupBy === "severity" ? SEVERITIES.indexOf(b) - SEVERITIES.indexOf(a) || a.localeCompare(b) : a.localeCompare(b)
+      );
+      result.groups = keys.map(key => ({ key, ...summariseHistories(groups.get(key)) }));
+    }
+
+    return result;
+  }
+
+  /*
+    OpenMetrics counters (creations, resolutions, AI calls) are one record bumped as things happen,
+    so archiving or purging never lowers them. update(counters) changes it in place.
+  */
+  async countMetrics(update) {
+    const counters = (await this.state.storage.get(METRIC_COUNTERS_KEY)) || emptyMetricCounters();
+    update(counters);
+    await this.state.storage.put(METRIC_COUNTERS_KEY, counters);
+  }
+
+  // A store from before the counters starts them from what it holds; purged incidents count as created
+  async seedMetricCounters() {
+    if (await this.state.storage.get(METRIC_COUNTERS_KEY)) return;
+
+    const lifecycle = readLifecycle(this.env);
+    const now = Date.now();
+    const counters = emptyMetricCounters();
+
+    for (const incident of [...(await this.listIncidents()), ...(await this.listIncidents({ archived: true }))]) {
+      countIncident(counters, incident, lifecycle, now);
+    }
+    for (const t of (await this.state.storage.list({ prefix: "tombstone:" })).values()) countCreated(counters, t.severity);
+
+    await this.state.storage.put(METRIC_COUNTERS_KEY, counters);
+  }
+
+  /*
+    OpenMetrics exposition. The open gauge is read from incident cores on each scrape;
+    counters and histograms come from the running totals (see countMetrics).
+  */
+  async renderOpenMetrics() {
+    const lifecycle = readLifecycle(this.env);
+    const cores = [...(await this.state.storage.list({ prefix: "incident:" })).values()];
+    const counters = (await this.state.storage.get(METRIC_COUNTERS_KEY)) || emptyMetricCounters();
+
+    const openStates = lifecycle.states.filter(s => !s.closed).map(s => s.name);
+    const open = new Map();
+
+    // Every severity × open state is always present, so series don't vanish at zero
+    for (const severity of SEVERITIES) {
+      for (const status of openStates) open.set(severity + "\n" + status, 0);
+    }
+
+    for (const incident of cores) {
+      if (incident.archivedAt || isClosedStatus(lifecycle, incident.status)) continue;
+      const key = (cap(incident.severity) || "Unknown") + "\n" + incident.status;
+      open.set(key, (open.get(key) || 0) + 1);
+    }
+
+    const bySeverity = values => new Map([...SEVERITIES.map(s => [s, values[s] || 0]), ...Object.entries(values)]);
+    const created = bySeverity(counters.created);
+    const resolved = bySeverity(counters.resolved);
+    const resolution = new Map([...SEVERITIES.map(s => [s, counters.resolution[s] || null]), ...Object.entries(counters.resolution)]);
+    const aiTokens = Object.entries(counters.aiTokens).flatMap(([mode, kinds]) => Object.entries(kinds).map(([kind, n]) => [mode, kind, n]));
+
+    const lines = [
+      "# TYPE incidents_open gauge",
+      "# HELP incidents_open Open (non-archived) incidents by severity and status.",
+      ...[...open].map(([key, n]) => {
+        const [severity, status] = key.split("\n");
+        return "incidents_open" + metricLabels({ severity, status }) + " " + n;
+      }),
+
+      "# TYPE incidents_created counter",
+      "# HELP incidents_created Incidents created, by severity.",
+      ...[...created].map(([severity, n]) => "incidents_created_total" + metricLabels({ severity }) + " " + n),
+
+      "# TYPE incidents_resolved counter",
+      "# HELP incidents_resolved Transitions into a closed state, by severity (a reopened incident can resolve again).",
+      ...[...resolved].map(([severity, n]) => "incidents_resolved_total" + metricLabels({ severity }) + " " + n),
+
+      "# TYPE incident_resolution_seconds histogram",
+      "# UNIT incident_resolution_seconds seconds",
+      "# HELP incident_resolution_seconds Time spent in open states, observed each time an incident closes.",
+      ...[...resolution].flatMap(([severity, histogram]) =>
+        histogramLines("incident_resolution_seconds", { severity }, RESOLUTION_BUCKETS_SECONDS, histogram)
+      ),
+
+      "# TYPE ai_calls counter",
+      "# HELP ai_calls AI calls (failed and cancelled ones included) and postmortem drafts, by mode.",
+      ...Object.entries(counters.aiCalls).map(([mode, n]) => "ai_calls_total" + metricLabels({ mode }) + " " + n),
+
+      "# TYPE ai_tokens counter",
+      "# HELP ai_tokens Tokens used by AI calls, by mode and kind (prompt or completion), where the provider reported them.",
+      ...aiTokens.map(([mode, kind, n]) => "ai_tokens_total" + metricLabels({ mode, kind }) + " " + n),
+
+      "# TYPE ai_call_latency_seconds histogram",
+      "# UNIT ai_call_latency_seconds seconds",
+      "# HELP ai_call_latency_seconds Model latency per AI call (calls from before latency was recorded are left out).",
+      ...histogramLines("ai_call_latency_seconds", {}, AI_LATENCY_BUCKETS_SECONDS, counters.aiLatency),
+
+      "# EOF"
+    ];
+
+    return lines.join("\n") + "\n";
+  }
+
+  /*
+    Import
+    Plans every record first (validation, conflicts, renames), then writes unless dryRun.
+    IDs are claimed in payload order, so a duplicate inside the file conflicts like an existing one.
+    Purged IDs stay reserved: they can only come back under a new name.
+    Imported text is redacted like live input; chains are checked against the file as it was.
+  */
+  async importIncidents(records, { onConflict, dryRun, actor, exportedAt }) {
+    const lifecycle = readLifecycle(this.env);
+    const redaction = readRedaction(this.env);
+    const claimed = new Set();
+    const isTaken = async id =>
+      claimed.has(id) || Boolean(await this.getIncidentCore(id)) || Boolean(await this.state.storage.get(tombstoneKey(id)));
+
+    const results = [];
+    for (let index = 0; index < records.length; index++) {
+      const { record, errors, warnings } = validateImportRecord(records[index], lifecycle);
+      const result = { index, id: record?.id ?? null };
+      results.push(result);
+
+      if (errors.length) {
+        Object.assign(result, { action: "invalid", errors });
+        continue;
+      }
+
+      const counts = Object.fromEntries(Object.keys(ENTRY_KINDS).map(field => [field, record[field].length]));
+      const chain = {};
+      for (const [field, kind] of Object.entries(ENTRY_KINDS)) {
+        if (CHAINED_KINDS.includes(kind)) chain[field] = await chainState(kind, record.id, record[field]);
+      }
+      Object.assign(result, { counts, chain });
+
+      const { record: masked, redactions } = redactImportRecord(record, redaction);
+      if (redactions.length) result.redactions = Object.fromEntries(redactions.map(r => [r.field, r.counts]));
+
+      const purged = Boolean(await this.state.storage.get(tombstoneKey(record.id)));
+      const conflict = claimed.has(record.id) || purged || Boolean(await this.getIncidentCore(record.id));
+      let targetId = record.id;
+
+      if (!conflict) {
+        result.action = "create";
+      } else if (onConflict === "rename") {
+        for (let n = 2; await isTaken(targetId); n++) targetId = record.id + "-" + n;
+        result.action = "rename";
+        result.newId = targetId;
+      } else if (onConflict === "overwrite" && !purged && !claimed.has(record.id)) {
+        result.action = "overwrite";
+      } else {
+        result.action = "skip";
+        result.reason = claimed.has(record.id)
+          ? "Duplicate ID earlier in this import"
+          : purged
+          ? "ID was purged; import it with onConflict=rename"
+          : "ID already exists";
+      }
+
+      if (warnings.length) result.warnings = warnings;
+      if (result.action === "skip") continue;
+
+      claimed.add(targetId);
+      if (!dryRun) await this.writeImportedIncident(masked, targetId, result, { actor, exportedAt, redaction, redactions });
+    }
+
+    return results;
+  }
+
+  async writeImportedIncident(record, id, result, { actor, exportedAt, redaction, redactions }) {
+    if (result.action === "overwrite") await this.deleteIncidentRecords(id);
+
+    const { core, history } = splitIncident(record);
+    const renamed = id !== record.id;
+    const redactedFields = new Set(redactions.map(r => r.field));
+    const writes = {};
+
+    for (const [field, kind] of Object.entries(ENTRY_KINDS)) {
+      const entries = history[field].map(entry => ({ ...entry }));
+
+      // Hashes cover the incident ID and the content, so an intact chain is re-sealed under a new ID
+      // or after redaction. A broken chain is kept as it was, so verification still reports it.
+      if ((renamed || redactedFields.has(field)) && result.chain[field] === "intact") {
+        let prevHash = null;
+        for (let seq = 0; seq < entries.length; seq++) {
+          if (!entries[seq].hash) continue;
+          entries[seq].prevHash = prevHash;
+          entries[seq].hash = await entryHash(kind, id, seq, entries[seq]);
+          prevHash = entries[seq].hash;
+        }
+      }
+
+      entries.forEach((entry, seq) => {
+        writes[entryPrefix(kind, id) + seqKey(seq)] = entry;
+      });
+
+      const last = entries[entries.length - 1];
+      if (CHAINED_KINDS.includes(kind) && last?.hash) {
+        writes[chainHeadKey(kind, id)] = { hash: last.hash, seq: entries.length - 1 };
+      }
+    }
+
+    const batch = Object.entries(writes);
+    for (let i = 0; i < batch.length; i += STORAGE_BATCH) {
+      await this.state.storage.put(Object.fromEntries(batch.slice(i, i + STORAGE_BATCH)));
+    }
+
+    await this.putIncidentCore({ ...core, id, stateChanges: timelineStateChanges(history.timeline).stateChanges });
+    await this.indexIncident(id);
+
+    // An overwrite replaces an incident the counters already saw
+    if (result.action !== "overwrite") {
+      await this.countMetrics(counters => countIncident(counters, record, readLifecycle(this.env), Date.now()));
+    }
+
+    // Alert dedupe carries over unless the fingerprint already points at a live incident
+    if (core.fingerprint && !core.archivedAt) {
+      const mappingKey = "fingerprint:" + encodeURIComponent(core.fingerprint);
+      const mapped = await this.state.storage.get(mappingKey);
+      if (!mapped || !(await this.getIncidentCore(mapped))) await this.state.storage.put(mappingKey, id);
+    }
+
+    const now = new Date().toISOString();
+    const entry = await this.appendEntry("timeline", id, {
+      icon: "📥",
+      title: "Incident Imported",
+      body: [
+        exportedAt ? "From an export of " + exportedAt : "From an import file",
+        renamed ? "Renamed from " + record.id + (result.chain.timeline === "intact" ? "; history re-sealed under the new ID" : "") : "",
+        result.action === "overwrite" ? "Replaced the existing incident" : ""
+      ].filter(Boolean).join("\n"),
+      actor: actor.name,
+      createdAt: now
+    });
+
+    const redactionEntries = [];
+    for (const { field, raw, counts } of redactions) {
+      redactionEntries.push(await this.recordRedaction(id, field, raw, { counts }, redaction, actor, now));
+    }
+
+    await this.notify("incident.imported", id, actor, [entry, ...redactionEntries]);
+  }
+
+  // Either the live list or only archived incidents, never both
+  async listIncidents({ archived = false } = {}) {
+    const cores = await this.state.storage.list({ prefix: "incident:" });
+    const incidents = await this.withHistories([...cores.values()].filter(core => Boolean(core.archivedAt) === archived));
+
+    // Keys sort by encoded ID; keep the creation order the old array had
+    return incidents.sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")));
+  }
+
+  // Core records → full records, keeping their order
+  async withHistories(cores) {
+    const byId = new Map();
+    for (const core of cores) {
+      byId.set(core.id, { ...core, ...Object.fromEntries(Object.keys(ENTRY_KINDS).map(field => [field, []])) });
+    }
+
+    // One pass per entry kind (not per incident), grouped back onto their incident
+    for (const [field, kind] of Object.entries(ENTRY_KINDS)) {
+      const entries = await this.state.storage.list({ prefix: kind + ":" });
+      for (const [key, entry] of entries) {
+        const id = decodeURIComponent(key.split(":")[1]);
+        const incident = byId.get(id);
+        if (incident) incident[field].push(entry);
+      }
+    }
+
+    return [...byId.values()];
+  }
+
+  /*
+    GET /incidents with a parsed incidentQuery.
+    Filters and sorting only need core records; histories are loaded for the page being returned
+    (one pass per entry kind for an unpaged full listing, per incident for a page).
+  */
+  async queryIncidents(query) {
+    const cores = await this.state.storage.list({ prefix: "incident:" });
+    const lifecycle = readLifecycle(this.env);
+    const counts = { open: 0, closed: 0, mine: 0 };
+    const matches = [];
+
+    for (const core of cores.values()) {
+      if (Boolean(core.archivedAt) !== query.archived || !matchesIncidentQuery(core, query)) continue;
+
+      // counts ignore closed/mine so the dashboard's filter cards stay put while one is active
+      const closed = isClosedStatus(lifecycle, core.status);
+      const mine = isAssignedTo(core, query.actor);
+      counts[closed ? "closed" : "open"]++;
+      if (mine) counts.mine++;
+
+      if (query.closed !== null && closed !== query.closed) continue;
+      if (query.mine && !mine) continue;
+      matches.push({ core, key: incidentSortKey(core, query.sort.field) });
+    }
+
+    const compare = (a, b) => query.sort.dir * compareSortKeys(a, b);
+    matches.sort((a, b) => compare(a.key, b.key));
+
+    const paged = query.limit !== null;
+    let start = 0;
+    if (query.cursor) {
+      start = matches.findIndex(m => compare(m.key, query.cursor) > 0);
+      if (start === -1) start = matches.length;
+    }
+    const end = paged ? Math.min(start + query.limit, matches.length) : matches.length;
+    const pageCores = matches.slice(start, end).map(m => m.core);
+
+    let rows;
+    if (query.view === "summary") {
+      rows = pageCores.map(incidentSummary);
+    } else if (paged) {
+      rows = [];
+      for (const core of pageCores) rows.push(await this.getIncident(core.id));
+    } else {
+      rows = await this.withHistories(pageCores);
+    }
+    if (query.fields) rows = rows.map(row => pickFields(row, query.fields));
+
+    if (!paged) return rows;
+    return {
+      items: rows,
+      nextCursor: end < matches.length ? encodeIncidentCursor(query.sort, matches[end - 1].key) : null,
+      total: matches.length,
+      counts
+    };
+  }
+
+  /*
+    GET /search. Every query word has to match somewhere in the incident; words of
+    SEARCH_PREFIX_MIN+ characters also match longer terms ("payment" → "payments"), at a discount.
+    A doc scores field weight × (1 + ln occurrences) per term, rarer terms counting for more.
+    Exact terms are read in full. Longer terms stop at SEARCH_PREFIX_SCAN_MAX postings per word,
+    and a word cut short that way sets `truncated`, as some of its matches may be missing.
+  */
+  async searchIncidents({ words, archived, limit }) {
+    const perWord = [];
+    const terms = new Set();
+    let truncated = false;
+
+    for (const word of words) {
+      const byTerm = new Map();
+      const collect = postings => {
+        for (const [key, posting] of postings) {
+          const [, term, encodedId] = key.split(":");
+          if (!byTerm.has(term)) byTerm.set(term, []);
+          byTerm.get(term).push([decodeURIComponent(encodedId), posting]);
+        }
+      };
+
+      const exact = "search:" + word + ":";
+      for (let after = null; ; ) {
+        const page = await this.state.storage.list({ prefix: exact, limit: SEARCH_SCAN_PAGE, ...(after ? { startAfter: after } : {}) });
+        collect(page);
+        if (page.size < SEARCH_SCAN_PAGE) break;
+        after = [...page.keys()].pop();
+      }
+
+      // Longer terms sit either side of the exact ones: ":" sorts after digits and before letters
+      if (word.length >= SEARCH_PREFIX_MIN) {
+        let room = SEARCH_PREFIX_SCAN_MAX;
+        for (const range of [{ end: exact }, { start: "search:" + word + ";" }]) {
+          const page = [...(await this.state.storage.list({ prefix: "search:" + word, ...range, limit: room + 1 }))];
+          if (page.length > room) truncated = true;
+          collect(page.slice(0, room));
+          room -= Math.min(page.length, room);
+        }
+      }
+
+      const docScores = new Map(); // id → Map(doc → score)
+      for (const [term, hits] of byTerm) {
+        terms.add(term);
+        const weight = (term === word ? 1 : SEARCH_PREFIX_WEIGHT) / (1 + Math.log(hits.length));
+        for (const [id, posting] of hits) {
+          if (!docScores.has(id)) docScores.set(id, new Map());
+          const docs = docScores.get(id);
+          for (const [doc, count] of Object.entries(posting)) {
+            const score = weight * SEARCH_WEIGHTS[doc.split(":")[0]] * (1 + Math.log(count));
+            docs.set(doc, (docs.get(doc) || 0) + score);
+          }
+        }
+      }
+      perWord.push(docScores);
+    }
+
+    // Incidents matching every word, with each doc's score and how many words it matched
+    const candidates = new Map();
+    for (const id of perWord[0]?.keys() || []) {
+      if (!perWord.every(scores => scores.has(id))) continue;
+      const docs = new Map();
+      for (const scores of perWord) {
+        for (const [doc, score] of scores.get(id)) {
+          const d = docs.get(doc) || { score: 0, words: 0 };
+          docs.set(doc, { score: d.score + score, words: d.words + 1 });
+        }
+      }
+      candidates.set(id, docs);
+    }
+
+    const ids = [...candidates.keys()];
+    const results = [];
+    for (let i = 0; i < ids.length; i += STORAGE_BATCH) {
+      const cores = await this.state.storage.get(ids.slice(i, i + STORAGE_BATCH).map(incidentKey));
+      for (const core of cores.values()) {
+        if (Boolean(core.archivedAt) !== archived) continue;
+        const docs = [...candidates.get(core.id)].sort((a, b) => b[1].words - a[1].words || b[1].score - a[1].score);
+        results.push({ core, docs, score: docs.reduce((sum, [, d]) => sum + d.score, 0) });
+      }
+    }
+    results.sort((a, b) => b.score - a.score || String(b.core.createdAt || "").localeCompare(String(a.core.createdAt || "")));
+
+    const page = [];
+    for (const { core, docs, score } of results.slice(0, limit)) {
+      // Timeline entries often repeat a note or the description word for word; show that text once
+      const matches = [];
+      for (const [doc] of docs) {
+        if (matches.length === SEARCH_MATCHES_PER_RESULT) break;
+        const match = await this.searchMatch(core, doc, terms);
+        if (match && !matches.some(m => m.snippet === match.snippet)) matches.push(match);
+      }
+      page.push({ ...incidentSummary(core), score: Math.round(score * 1000) / 1000, matches });
+    }
+
+    return { terms: [...terms], total: results.length, truncated, results: page };
+  }
+
+  // One doc of a search hit as { source, index, label, snippet, highlights }; source/index locate it in GET /incident
+  async searchMatch(core, doc, terms) {
+    if (doc === "title" || doc === "description") {
+      return { source: doc, index: null, label: fieldLabel(doc), actor: null, createdAt: null, ...searchSnippet(core[doc], terms) };
+    }
+
+    const [kind, seq] = doc.split(":");
+    const entry = await this.state.storage.get(entryPrefix(kind, core.id) + seqKey(Number(seq)));
+    if (!entry) return null;
+
+    const source = Object.keys(ENTRY_KINDS).find(field => ENTRY_KINDS[field] === kind);
+    const label = kind === "note" ? "Note" : String(entry.title || (kind === "ai" ? "AI Output" : "Timeline"));
+    return {
+      source,
+      index: Number(seq),
+      label,
+      actor: entry.actor || null,
+      createdAt: entry.createdAt || null,
+      ...searchSnippet(searchableText(kind, entry), terms)
+    };
+  }
+
+  async deleteIncidentRecords(id) {
+    await this.unindexIncident(id);
+    const keys = [incidentKey(id), ...CHAINED_KINDS.map(kind => chainHeadKey(kind, id))];
+
+    // Drop the alert dedupe mapping too, if it still points here
+    const core = await this.getIncidentCore(id);
+    if (core?.sla?.nextCheckAt) keys.push(slaQueueKey(Date.parse(core.sla.nextCheckAt), id));
+    if (core?.fingerprint) {
+      const mappingKey = "fingerprint:" + encodeURIComponent(core.fingerprint);
+      if ((await this.state.storage.get(mappingKey)) === id) keys.push(mappingKey);
+    }
+
+    for (const kind of [...Object.values(ENTRY_KINDS), UNREDACTED_KIND]) {
+      const entries = await this.state.storage.list({ prefix: entryPrefix(kind, id) });
+      keys.push(...entries.keys());
+    }
+
+    for (let i = 0; i < keys.length; i += STORAGE_BATCH) {
+      await this.state.storage.delete(keys.slice(i, i + STORAGE_BATCH));
+    }
+  }
+
+  /*
+    One-time migration from the legacy single "incidents" array.
+    Writes are deterministic (same keys every run), so a half-finished migration
+    is simply repeated on the next start; the legacy key is only removed at the end.
+  */
+  async migrateLegacyArray() {
+    const legacy = await this.state.storage.get("incidents");
+    if (legacy === undefined) return;
+
+    const writes = {};
+    for (const incident of Array.isArray(legacy) ? legacy : []) {
+      if (!incident?.id) continue;
+
+      const { core, history } = splitIncident(incident);
+      writes[incidentKey(core.id)] = core;
+
+      // Same guardrails the old routes applied: missing arrays are treated as empty
+      for (const [field, kind] of Object.entries(ENTRY_KINDS)) {
+        const list = Array.isArray(history[field]) ? history[field] : [];
+        list.forEach((entry, seq) => {
+          writes[entryPrefix(kind, core.id) + seqKey(seq)] = entry;
+        });
+      }
+    }
+
+    const entries = Object.entries(writes);
+    for (let i = 0; i < entries.length; i += STORAGE_BATCH) {
+      await this.state.storage.put(Object.fromEntries(entries.slice(i, i + STORAGE_BATCH)));
+    }
+
+    await this.state.storage.delete("incidents");
+  }
+}
+
+/*
+  Worker entry:
+  - authenticates every request (API token or dashboard session)
+  - serves the login page + dashboard HTML
+  - proxies everything else to the Durable Object store, stamped with the actor
+*/
+export default {
+  async fetch(request, env) {
+    const url = new URL(request.url);
+
+    // Login: exchange an API token for a signed session cookie
+    if (url.pathname === "/login") {
+      if (request.method === "POST") {
+        const form = await request.formData();
+        const user = findUserByToken(env, String(form.get("token") || ""));
+        if (!user) return htmlResponse(renderLogin("Unknown token."), 401);
+
+        const cookie = await createSessionCookie(env, user);
+        if (!cookie) return htmlResponse(renderLogin("Sessions are not configured (SESSION_SECRET)."), 500);
+
+        return new Response(null, {
+          status: 303,
+          headers: { Location: "/dashboard", "Set-Cookie": cookie }
+        });
+      }
+
+      return htmlResponse(renderLogin(""));
+    }
+
+    if (url.pathname === "/logout") {
+      return new Response(null, {
+        status: 303,
+        headers: { Location: "/login", "Set-Cookie": SESSION_COOKIE + "=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Strict" }
+      });
+    }
+
+    const actor = await authenticate(request, env);
+
+    if (url.pathname === "/dashboard") {
+      if (!actor) {
+        return new Response(null, { status: 303, headers: { Location: "/login" } });
+      }
+
+      return htmlResponse(renderDashboard(actor, readLifecycle(env)));
+    }
+
+    if (!actor) {
+      return new Response("Unauthorized", {
+        status: 401,
+        headers: { "WWW-Authenticate": "Bearer" }
+      });
+    }
+
+    // Credentials stop here; the store only ever sees the resolved identity
+    const headers = new Headers(request.headers);
+    headers.delete("Authorization");
+    headers.delete("Cookie");
+    headers.set(ACTOR_HEADER, encodeURIComponent(JSON.stringify(actor)));
+
+    const id = env.INCIDENT_STORE.idFromName("global");
+    const stub = env.INCIDENT_STORE.get(id);
+    return stub.fetch(new Request(request, { headers }));
+  }
+};
+/* ======================================================
+   Dashboard UI (layout locked)
+   ====================================================== */
+function renderDashboard(actor, lifecycle) {
+  // Anything using `document` needs to stay inside this HTML string (Cloudflare Workers env).
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Incident Dashboard</title>
+<style>
+:root{
+  --bg:#0f1216;
+  --panel:#151a21;
+  --field:#1f2530;
+  --border:#333;
+  --text:#e6e6e6;
+  --muted:#9aa4b2;
+  --focus:#4ea1ff;
+
+  --sidebar-w:340px;
+  --control-h:42px;
+  --control-r:8px;
+  --control-px:12px;
+  --stack-gap:12px;
+}
+
+*{ box-sizing:border-box; }
+
+body{
+  margin:0;
+  background:var(--bg);
+  color:var(--text);
+  font-family:system-ui;
+}
+
+.container{
+  display:grid;
+  grid-template-columns:var(--sidebar-w) 1fr;
+  height:100vh;
+}
+
+.sidebar{
+  background:var(--panel);
+  padding:24px;
+  border-right:1px solid #222;
+  overflow-y:auto;
+}
+
+.sidebar h2{ margin:0 0 16px 0; }
+
+input, select, button{
+  width:100%;
+  height:var(--control-h);
+  padding:0 var(--control-px);
+  margin-bottom:var(--stack-gap);
+  border-radius:var(--control-r);
+  border:1px solid var(--border);
+  background:var(--field);
+  color:#fff;
+  font-size:14px;
+  outline:none;
+  appearance:none;
+}
+
+input::placeholder{ color:var(--muted); }
+
+input:focus, select:focus{
+  border-color:var(--focus);
+  box-shadow:0 0 0 3px rgba(78,161,255,.15);
+}
+
+button{
+  cursor:pointer;
+  font-weight:600;
+}
+button:hover{ border-color:var(--focus); }
+
+hr{
+  border:none;
+  border-top:1px solid #222;
+  margin:16px 0;
+}
+
+label.small{
+  display:block;
+  margin:-4px 0 6px 0;
+  font-size:12px;
+  color:var(--muted);
+}
+
+.main{
+  display:grid;
+  grid-template-columns: minmax(0, 1fr) 140px 420px;
+  gap:28px;
+  padding:20px 28px;
+  overflow-y:auto;
+}
+
+.incident{
+  display:flex;
+  align-items:center;
+  justify-content:space-between;
+  gap:10px;
+  background:#121720;
+  padding:10px 12px;
+  border-radius:10px;
+  margin-bottom:8px;
+
+  border-left:3px solid var(--focus);
+}
+
+.incident .name{
+  cursor:pointer;
+  flex:1;
+  min-width:0;
+}
+.incident .owner{
+  display:block;
+  margin-top:2px;
+  font-size:11px;
+  color:var(--muted);
+}
+
+/* status dot + bin group */
+.incident .tools{
+  display:flex;
+  align-items:center;
+  gap:10px;
+}
+
+.status-dot{
+  width:10px;
+  height:10px;
+  border-radius:50%;
+  background:#9aa4b2;
+  border:1px solid rgba(255,255,255,.15);
+  box-shadow:0 0 0 3px rgba(0,0,0,.12);
+}
+${lifecycleDotCss(lifecycle)}
+
+/* SLA countdown / breach marker, left of the status dot */
+.sla{
+  font-size:11px;
+  font-variant-numeric:tabular-nums;
+  color:var(--muted);
+  white-space:nowrap;
+}
+.sla.sla-soon{ color:#f0b429; }
+.sla.sla-due,
+.sla.sla-breach{
+  color:#ff4d4d;
+  font-weight:600;
+}
+
+.incident .bin{
+  font-size:20px;
+  cursor:pointer;
+  opacity:.75;
+  padding:2px 4px;
+}
+.incident .bin:hover{
+  opacity:1;
+  color:#ff6b6b;
+}
+
+/* Search matches under a result row; each jumps to its note / event */
+.incident .match{
+  display:block;
+  margin-top:6px;
+  font-size:12px;
+  color:#c9d1dc;
+  cursor:pointer;
+}
+.incident .match:hover{ color:#fff; }
+.incident .match .match-label{
+  display:block;
+  font-size:11px;
+  color:var(--muted);
+}
+mark{
+  background:rgba(217,164,65,.35);
+  color:inherit;
+  border-radius:3px;
+}
+.search-focus{ border-color:#d9a441 !important; }
+
+.card{
+  background:#151a21;
+  padding:18px;
+  border-radius:12px;
+  border:1px solid #222;
+  max-width:920px;
+}
+
+.card h3{ margin:0 0 6px 0; }
+.card p{ margin:8px 0; color:#d7dde6; }
+
+.actions{
+  display:flex;
+  gap:10px;
+  flex-wrap:wrap;
+  margin:14px 0 8px;
+}
+.actions button{
+  width:auto;
+  padding:0 14px;
+}
+
+/* Note input + note list */
+.note-wrap{
+  margin-top:12px;
+  border:1px solid #222;
+  border-radius:12px;
+  background:#121720;
+  padding:12px;
+}
+
+.note-list{
+  display:flex;
+  flex-direction:column;
+  gap:10px;
+  max-height:240px;
+  overflow:auto;
+  padding-right:6px;
+  margin-bottom:12px;
+}
+
+.note{
+  background:#151a21;
   border:1px solid rgba(255,255,255,.08);
   border-radius:12px;
-  padding:10px 12px;
+  padding:10px 12px;
+  font-size:13px;
+  line-height:1.45;
+  white-space:pre-wrap;
+  word-break:break-word;
+}
+
+.note-meta{
+  display:block;
+  margin-top:6px;
+  font-size:11px;
+  color:#9aa4b2;
+}
+
+textarea{
+  width:100%;
+  border-radius:10px;
+  border:1px solid #333;
+  background:#1f2530;
+  color:#fff;
+  font-size:14px;
+  padding:12px;
+  outline:none;
+  resize:vertical;
+  min-height:120px;
+}
+textarea:focus{
+  border-color:var(--focus);
+  box-shadow:0 0 0 3px rgba(78,161,255,.15);
+}
+
+.ai-block{
+  margin-top:14px;
+  background:#151a21;
+  border:1px solid #222;
+  border-left:3px solid var(--focus);
+  border-radius:12px;
+  padding:12px 14px;
+  max-width:920px;
+}
+.ai-block strong{
+  display:block;
+  margin-bottom:8px;
+  letter-spacing:.2px;
+}
+.ai-block pre{
+  margin:0;
+  white-space:pre-wrap;
+  word-break:break-word;
+  line-height:1.6;
+  font-family:ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+  font-size:13px;
+  color:#e9eef7;
+}
+.ai-block .ai-status{
+  display:inline;
+  font-size:12px;
+  font-weight:600;
+  color:#d9a441;
+}
+.ai-live{ border-left-color:#d9a441; }
+
+/* Action items */
+.action-item{
+  padding:8px 0;
+  border-bottom:1px solid #222;
+  font-size:13px;
+}
+.action-item input{ margin-bottom:8px; }
+.action-item input[type=checkbox]{ width:auto; margin:0; }
+.action-meta{
+  font-size:12px;
+  color:var(--muted);
+  margin-top:2px;
+}
+.action-overdue{ color:#ff4d4d; font-weight:600; }
+.action-done .action-title, .action-dropped .action-title{ text-decoration:line-through; color:var(--muted); }
+.action-buttons{ display:flex; gap:8px; margin-top:6px; }
+.action-buttons button{ width:auto; padding:0 10px; font-size:12px; }
+
+/* Postmortem document + version diffs */
+.postmortem .pm-meta{
+  font-size:12px;
+  color:var(--muted);
+}
+.postmortem .pm-title{
+  margin:12px 0 4px;
+  font-size:13px;
+  font-weight:600;
+  color:#cbd5e1;
+}
+.pm-version{
+  margin-top:12px;
+  padding-top:10px;
+  border-top:1px solid #222;
+}
+.diff-line{
+  font-family:ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+  font-size:12px;
+  white-space:pre-wrap;
+  word-break:break-word;
+}
+.diff-add{ color:#3a9b5a; }
+.diff-del{ color:#ff4d4d; }
+.diff-same{ color:var(--muted); }
+
+/* Metrics */
+.metrics{
+  display: flex;
+  flex-direction: column;
+  gap: 14px;
+  width: 320px;
+  align-self: start;
+}
+
+.metric{
+  background:#151a21;
+  border:1px solid #222;
+  border-radius:12px;
+  padding:16px;
+  text-align:center;
+}
+.metric .label{
   font-size:13px;
-  line-height:1.45;
-  white-space:pre-wrap;
-  word-break:break-word;
+  color:#cbd5e1;
+  margin-bottom:6px;
+}
+.metric .value{
+  font-size:26px;
+  font-weight:700;
+  letter-spacing:.2px;
+}
+.metric .sub{
+  margin-top:4px;
+  font-size:12px;
+  color:var(--muted);
+}
+#serverMetrics{
+  display:flex;
+  flex-direction:column;
+  gap:14px;
+}
+#serverMetrics .metric{ cursor:default; }
+  .metric{
+  cursor: pointer;
+  transition: border-color .15s ease, background-color .15s ease;
+}
+.metric:hover{
+  border-color: var(--focus);
+  background-color: #18202b;
+}
+  .metric.active{
+  border-color: var(--focus);
+  box-shadow: 0 0 0 2px rgba(78,161,255,.15);
+}
+  .metric:focus-visible{
+  outline: none;
+  border-color: var(--focus);
+  box-shadow: 0 0 0 3px rgba(78,161,255,.25);
+}
+  .metric[data-filter=""]{
+  cursor: default;
+}
+
+.whoami{
+  display:flex;
+  justify-content:space-between;
+  align-items:baseline;
+  margin:-8px 0 16px 0;
+  font-size:12px;
+  color:var(--muted);
+}
+.whoami a{ color:var(--focus); text-decoration:none; }
+
+.config-warning{
+  margin:-8px 0 16px 0;
+  padding:8px 10px;
+  border-left:3px solid #f0b429;
+  background:#151a21;
+  border-radius:8px;
+  font-size:12px;
+  white-space:pre-line;
+}
+
+#activeFilterHint{
+  align-self: start;
+  margin-top: 26px; 
+  font-size: 12px;
+  color: var(--muted);
+  opacity: .85;
+  white-space: nowrap;
+  pointer-events: none;
+}
+
+@media (max-width: 1200px){
+  .main{
+    grid-template-columns: 1fr;
+    grid-auto-rows: auto;
+    align-content: start;
+  }
+
+  /* Metrics always first */
+  .metrics{
+    position: static;
+    order: 0;
+    width: 100%;
+    display: grid;
+    grid-template-columns: repeat(2, minmax(0, 1fr));
+    gap: 14px;
+    margin-bottom: 8px;
+  }
+
+  /* Active filter always second */
+  #activeFilterHint{
+    order: 1;
+    display: block;
+    margin: 4px 0 8px;
+    text-align: center;
+  }
+
+  /* Main panel / empty state always last */
+  #details{
+    order: 2;
+    margin-top: 0;
+  }
+}
+
+/* Dropdown arrows (keeps exact same sizing/layout) */
+select{
+  padding-right:34px;
+  background-image:url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='18' height='18' viewBox='0 0 24 24' fill='none' stroke='%239aa4b2' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'%3E%3Cpolyline points='6 9 12 15 18 9'/%3E%3C/svg%3E");
+  background-repeat:no-repeat;
+  background-position:right 12px center;
+  background-size:18px 18px;
+}
+</style>
+</head>
+
+<body>
+<div class="container">
+
+  <div class="sidebar">
+    <h2>Incident Dashboard</h2>
+    <div class="whoami"><span id="whoami"></span><span id="liveState"></span><a href="/logout">Sign out</a></div>
+    <div id="configWarning" class="config-warning" hidden></div>
+
+    <div id="createForm">
+      <input id="cid" placeholder="Incident ID">
+      <input id="ctitle" placeholder="Title">
+      <input id="cdesc" placeholder="Description">
+
+      <select id="csev">
+        <option>High</option>
+        <option selected>Medium</option>
+        <option>Low</option>
+      </select>
+
+      <button onclick="create()">Create Incident</button>
+
+      <hr>
+    </div>
+
+    <input id="search" placeholder="Search incidents, notes, timeline and AI output" oninput="scheduleList()">
+
+    <label class="small">From date</label>
+    <input id="from" type="date" onchange="refreshList(true); loadMetrics()">
+
+    <label class="small">Until date</label>
+    <input id="until" type="date" onchange="refreshList(true); loadMetrics()">
+
+    <button id="archivedToggle" onclick="toggleArchived()">Show Archived</button>
+
+    <div id="exportButtons" style="display:flex;gap:10px">
+      <button onclick="downloadExport({ format: 'json' })">Export JSON</button>
+      <button onclick="downloadExport({ format: 'csv' })">Export CSV</button>
+    </div>
+
+    <hr>
+
+    <div id="list"></div>
+  </div>
+
+<div class="main">
+  <div id="details"></div>
+  <div id="activeFilterHint"></div>
+  <div class="metrics" id="metrics"></div>
+</div>
+
+<script>
+// Signed-in identity, resolved by the Worker (display only; the store enforces access)
+const ME = ${scriptJson(actor)};
+const ROLES = ${scriptJson(ROLES)};
+const LIFECYCLE = ${scriptJson(lifecycle)};
+const POSTMORTEM_SECTIONS = ${scriptJson(POSTMORTEM_SECTIONS)};
+
+let incidents = []; // sidebar rows (summaries) loaded so far, in server order
+let nextCursor = null; // GET /incidents cursor for "Load more"; null on the last page
+let listCounts = { open: 0, closed: 0, mine: 0 }; // for the filter cards, from the same query
+let current = null; // full record of currentId (GET /incident), patched by live events
+let searchResults = null; // GET /search reply; replaces the paged list while the search box has text
+let searchFocus = null; // { id, source, index, terms } of the search match last jumped to
+let currentId = null;
+let metricFilter = "all"; // all | open | resolved | mine
+let viewArchived = false; // sidebar shows either live or archived incidents
+let timelineOpen = false;
+let notesOpen = true;
+const aiOpenState = {};
+const chainChecks = {}; // incident id → { key, result } from /verify
+let editOpen = false; // "Edit Details" form in the main panel
+let postmortemEditing = false;
+let aiModes = []; // from /ai-modes: one AI button per enabled mode
+let postmortemHistoryOpen = false;
+let aiStream = null; // runAI in flight: { id, mode, label, text, controller }
+let actionItemEditing = null; // action item id with its inline edit form open
+
+/*
+  Metrics
+  These numbers drive the quick “Total/Open/Resolved/Mine/Avg Resolution” cards.
+  Counts come with each sidebar query (search + dates applied, card filter not).
+*/
+function renderMetrics(counts){
+  const total = counts.open + counts.closed;
+  // Same split as the sidebar + card filters: any non-closed lifecycle state counts as open
+  const open = counts.open;
+  const resolved = counts.closed;
+  const mine = counts.mine;
+
+metrics.innerHTML =
+  '<div class="metric" tabindex="0" data-filter="all">' +
+    '<div class="label">Total</div>' +
+    '<div class="value">' + total + '</div>' +
+  '</div>' +
+
+  '<div class="metric" tabindex="0" data-filter="open">' +
+    '<div class="label">Open</div>' +
+    '<div class="value">' + open + '</div>' +
+  '</div>' +
+
+  '<div class="metric" tabindex="0" data-filter="resolved">' +
+    '<div class="label">Resolved</div>' +
+    '<div class="value">' + resolved + '</div>' +
+  '</div>' +
+
+  '<div class="metric" tabindex="0" data-filter="mine">' +
+    '<div class="label">My Incidents</div>' +
+    '<div class="value">' + mine + '</div>' +
+  '</div>' +
+
+  '<div id="serverMetrics">' + renderServerMetrics() + '</div>';
+}
+
+/*
+  Response metrics come from GET /metrics (rebuilt from timelines on the server),
+  for the sidebar's date range.
+*/
+let serverMetrics = null;
+let metricsTimer = null;
+
+async function loadMetrics(){
+  const params = new URLSearchParams({ groupBy: "severity" });
+  if (from.value) params.set("from", from.value);
+  if (until.value) params.set("to", until.value);
+
+  const res = await safeFetch("/metrics?" + params);
+  if (!res.ok) return;
+  serverMetrics = await res.json();
+
+  const el = document.getElementById("serverMetrics");
+  if (el) el.innerHTML = renderServerMetrics();
+}
+
+// Live events arrive in bursts; refresh once they settle
+function scheduleMetrics(){
+  clearTimeout(metricsTimer);
+  metricsTimer = setTimeout(loadMetrics, 2000);
+}
+
+function renderServerMetrics(){
+  if (!serverMetrics) return "";
+  const o = serverMetrics.overall;
+
+  let html =
+    '<div class="metric">' +
+      '<div class="label">MTTA (median)</div>' +
+      '<div class="value">' + statValue(o.mtta.medianMs) + '</div>' +
+      '<div class="sub">' + statLine(o.mtta) + '</div>' +
+    '</div>' +
+
+    '<div class="metric">' +
+      '<div class="label">MTTR (median)</div>' +
+      '<div class="value">' + statValue(o.mttr.medianMs) + '</div>' +
+      '<div class="sub">' + statLine(o.mttr) + '</div>' +
+      '<div class="sub">Reopened: ' + o.reopened + (o.reopens > o.reopened ? " (" + o.reopens + " reopens)" : "") + '</div>' +
+    '</div>';
+
+  if ((serverMetrics.groups || []).length) {
+    html += '<div class="metric"><div class="label">By Severity (median MTTA / MTTR)</div>';
+    serverMetrics.groups.forEach(g => {
+      html += '<div class="sub">' + escapeHtml(g.key) + ': ' + g.incidents + ' · ' +
+        statValue(g.mtta.medianMs) + ' / ' + statValue(g.mttr.medianMs) + '</div>';
+    });
+    html += '</div>';
+  }
+
+  const states = Object.keys(o.timeInState);
+  if (states.length) {
+    // Lifecycle order first, then anything the config no longer knows
+    const order = LIFECYCLE.states.map(s => s.name);
+    states.sort((a, b) => (order.indexOf(a) + 1 || 99) - (order.indexOf(b) + 1 || 99));
+
+    html += '<div class="metric"><div class="label">Avg Time in State</div>';
+    states.forEach(s => {
+      html += '<div class="sub">' + escapeHtml(s) + ': ' + statValue(o.timeInState[s].meanMs) + '</div>';
+    });
+    html += '</div>';
+  }
+
+  return html;
+}
+
+function statValue(ms){
+  return ms === null || ms === undefined ? "—" : humanDuration(ms);
+}
+
+function statLine(stats){
+  if (!stats.count) return "No data yet";
+  return "avg " + statValue(stats.meanMs) + " · p90 " + statValue(stats.p90Ms) + " · n=" + stats.count;
+}
+
+function humanDuration(ms){
+  const mins = Math.round(ms / 60000);
+  if (mins < 60) return mins + "m";
+  const hrs = Math.round(mins / 60);
+  if (hrs < 24) return hrs + "h";
+  const days = Math.round(hrs / 24);
+  return days + "d";
+}
+
+/*
+  Sidebar rendering
+  The rows are already filtered and paged by the server (see listParams);
+  this splits the loaded ones into Open / Closed.
+*/
+function renderSidebar(list){
+  listEl.innerHTML = "";
+
+  if (viewArchived) {
+    if (list.length) {
+      listEl.appendChild(sectionHeader("Archived Cases"));
+      list.forEach(i => listEl.appendChild(renderRow(i)));
+    } else {
+      const empty = document.createElement("div");
+      empty.style.color = "#9aa4b2";
+      empty.style.fontSize = "13px";
+      empty.textContent = "No archived incidents.";
+      listEl.appendChild(empty);
+    }
+    appendLoadMore();
+    return;
+  }
+
+  const openCases = list.filter(i => !isClosed(i.status));
+  const closedCases = list.filter(i => isClosed(i.status));
+
+  if (openCases.length) {
+    listEl.appendChild(sectionHeader("Open Cases"));
+    openCases.forEach(i => listEl.appendChild(renderRow(i)));
+  }
+
+  if (closedCases.length) {
+    listEl.appendChild(sectionHeader("Closed Cases"));
+    closedCases.forEach(i => listEl.appendChild(renderRow(i)));
+  }
+
+  if (!openCases.length && !closedCases.length) {
+    const empty = document.createElement("div");
+    empty.style.color = "#9aa4b2";
+    empty.style.fontSize = "13px";
+    empty.textContent = "No incidents found.";
+    listEl.appendChild(empty);
+  }
+
+  appendLoadMore();
+}
+
+function renderSearchResults(data){
+  listEl.innerHTML = "";
+  listEl.appendChild(sectionHeader("Search Results"));
+
+  if (!data.results.length) {
+    const empty = document.createElement("div");
+    empty.style.color = "#9aa4b2";
+    empty.style.fontSize = "13px";
+    empty.textContent = "No matches.";
+    listEl.appendChild(empty);
+    return;
+  }
+
+  data.results.forEach(r => {
+    const row = renderRow(r);
+    const name = row.querySelector(".name");
+    r.matches.forEach(m => name.appendChild(renderMatch(r.id, m)));
+    listEl.appendChild(row);
+  });
+}
+
+// One snippet under a search result; clicking it opens the incident at that note / event
+function renderMatch(id, m){
+  const el = document.createElement("div");
+  el.className = "match";
+
+  const where =
+    m.source === "contextNotes" ? "Note"
+    : m.source === "timeline" ? "Timeline: " + m.label
+    : m.source === "aiOutput" ? "AI: " + m.label
+    : m.label;
+  const meta = (m.actor ? " · " + m.actor : "") + (m.createdAt ? " · " + niceDate(m.createdAt) : "");
+
+  el.innerHTML = "<span class='match-label'>" + escapeHtml(where + meta) + "</span>" + highlightSnippet(m.snippet, m.highlights);
+  el.addEventListener("click", (e) => {
+    e.stopPropagation();
+    openIncident(id, m);
+  });
+  return el;
+}
+
+// highlights: [start, end) offsets into the snippet, from the server
+function highlightSnippet(snippet, highlights){
+  let html = "";
+  let at = 0;
+  highlights.forEach(([start, end]) => {
+    html += escapeHtml(snippet.slice(at, start)) + "<mark>" + escapeHtml(snippet.slice(start, end)) + "</mark>";
+    at = end;
+  });
+  return html + escapeHtml(snippet.slice(at));
+}
+
+function searchAnchor(match){
+  const prefix = { contextNotes: "note-", timeline: "timeline-", aiOutput: "ai-" }[match.source];
+  return prefix ? prefix + match.index : "";
+}
+
+// Position of the focused search match within one section of the open incident, or -1
+function focusIndex(source){
+  if (!searchFocus || searchFocus.id !== currentId || searchFocus.source !== source) return -1;
+  return searchFocus.index === null ? 0 : searchFocus.index;
+}
+
+// Escaped text with the focused match's search terms in <mark> (same tokens as the server's index)
+function markTerms(text){
+  const terms = new Set(searchFocus ? searchFocus.terms : []);
+  return String(text || "")
+    .split(/([\\p{L}\\p{N}]+)/u)
+    .map(part => terms.has(part.toLowerCase()) ? "<mark>" + escapeHtml(part) + "</mark>" : escapeHtml(part))
+    .join("");
+}
+
+function appendLoadMore(){
+  if (!nextCursor) return;
+  const btn = document.createElement("button");
+  btn.textContent = "Load more";
+  btn.style.marginTop = "10px";
+  btn.addEventListener("click", loadMore);
+  listEl.appendChild(btn);
+}
+
+function renderRow(i){
+  const row = document.createElement("div");
+  row.className = "incident";
+
+  const name = document.createElement("div");
+  name.className = "name";
+  name.textContent = i.id + " (" + cap(i.severity) + ")";
+  name.addEventListener("click", () => openIncident(i.id));
+
+  const owner = document.createElement("span");
+  owner.className = "owner";
+  owner.textContent = i.commander ? "IC: " + i.commander : "Unassigned";
+  name.append(owner);
+
+  const dot = document.createElement("div");
+  dot.className = "status-dot " + statusDotClass(i.status);
+
+  // Bin archives (soft delete); in the archived view it restores instead
+  const bin = document.createElement("div");
+  bin.className = "bin";
+  bin.textContent = i.archivedAt ? "↩" : "🗑";
+  bin.title = i.archivedAt ? "Restore" : "Archive";
+  bin.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (i.archivedAt) restoreIncident(i.id);
+    else archiveIncident(i.id);
+  });
+
+  const tools = document.createElement("div");
+  tools.className = "tools";
+  const sla = renderSla(i);
+  if (sla) tools.append(sla);
+  tools.append(dot);
+  if (can("commander")) tools.append(bin);
+
+  row.append(name, tools);
+  return row;
+}
+
+// Breach marker, or a countdown to the incident's next SLA deadline
+function renderSla(i){
+  const sla = i.sla;
+  if (!sla || i.archivedAt) return null;
+
+  const el = document.createElement("span");
+  el.className = "sla";
+
+  if (sla.breached && sla.breached.length) {
+    el.classList.add("sla-breach");
+    el.textContent = "⚠ SLA";
+    el.title = "SLA breached: " + sla.breached.map(s => s === "acknowledge" ? "not acknowledged" : "no recent update").join(", ");
+    return el;
+  }
+
+  if (!sla.nextCheckAt) return null;
+
+  const isAck = sla.nextCheckAt === sla.ackDueAt;
+  el.dataset.due = sla.nextCheckAt;
+  el.dataset.label = isAck ? "Ack" : "Update";
+  el.title = (isAck ? "Acknowledge by " : "Next update due by ") + niceDate(sla.nextCheckAt);
+  tickSla(el);
+  return el;
+}
+
+function tickSla(el){
+  const left = Date.parse(el.dataset.due) - Date.now();
+  el.textContent = el.dataset.label + " " + formatCountdown(left);
+  el.classList.toggle("sla-soon", left > 0 && left <= 5 * 60000);
+  el.classList.toggle("sla-due", left <= 0);
+}
+
+// 4:07 under an hour, 2h 15m above
+function formatCountdown(ms){
+  if (ms <= 0) return "due";
+  const s = Math.ceil(ms / 1000);
+  if (s < 3600) return Math.floor(s / 60) + ":" + String(s % 60).padStart(2, "0");
+  return Math.floor(s / 3600) + "h " + Math.floor((s % 3600) / 60) + "m";
+}
+
+function sectionHeader(text){
+  const h = document.createElement("div");
+  h.textContent = text;
+  h.style.margin = "14px 0 6px";
+  h.style.fontSize = "12px";
+  h.style.fontWeight = "600";
+  h.style.letterSpacing = ".04em";
+  h.style.color = "#9aa4b2";
+  return h;
+}
+
+// Dot colours are generated per lifecycle state (see lifecycleDotCss on the Worker)
+function statusDotClass(status){
+  return "dot-" + String(status || LIFECYCLE.initial).toLowerCase().replace(/[^a-z0-9]+/g, "-");
+}
+
+function isClosed(status){
+  const s = LIFECYCLE.states.find(x => x.name === status);
+  return Boolean(s && s.closed);
+}
+
+// States the incident may move to next; unknown (legacy) states may go anywhere
+function nextStatuses(status){
+  const known = LIFECYCLE.states.some(s => s.name === status);
+  return known
+    ? (LIFECYCLE.transitions[status] || [])
+    : LIFECYCLE.states.map(s => s.name).filter(n => n !== status);
+}
+
+// Inputs for the fields a target state requires (e.g. resolutionSummary for Resolved)
+function renderStatusFields(target){
+  const state = LIFECYCLE.states.find(s => s.name === target);
+  return ((state && state.requires) || [])
+    .map(f =>
+      "<label class='small'>" + escapeHtml(fieldLabel(f)) + " (required)</label>" +
+      "<textarea id='statusField-" + escapeHtml(f) + "' data-status-field='" + escapeHtml(f) + "' style='min-height:80px;margin-bottom:12px'></textarea>"
+    )
+    .join("");
+}
+
+function fieldLabel(field){
+  const words = String(field).replace(/([A-Z])/g, " $1").trim().toLowerCase();
+  return words ? words[0].toUpperCase() + words.slice(1) : "";
+}
+
+/*
+  Main panel
+  Shows details, notes, timeline, and AI outputs.
+  Resolved cases intentionally collapse controls.
+*/
+function show(id){
+  // Live re-renders must not eat what someone is typing in the open panel
+  const drafts = details.dataset.incident === id ? captureDrafts() : null;
+  if (currentId !== id) {
+    editOpen = false;
+    actionItemEditing = null;
+    postmortemEditing = false;
+    postmortemHistoryOpen = false;
+  }
+  if (searchFocus && searchFocus.id !== id) searchFocus = null;
+
+  currentId = id;
+  const i = current && current.id === id ? current : null;
+  if (!i) {
+    details.innerHTML = "";
+    return;
+  }
+
+  const status = i.status || LIFECYCLE.initial;
+  const isResolved = isClosed(status);
+  const isArchived = Boolean(i.archivedAt);
+  const locked = isResolved || isArchived; // no edits until reopened / restored
+  const notes = Array.isArray(i.contextNotes) ? i.contextNotes : [];
+
+  let html = "";
+
+  html += "<div class='card'>";
+
+  // Title row: title left, created time right
+  html += "<div style='display:flex;justify-content:space-between;align-items:baseline;gap:12px'>";
+  html += "<h3 style='margin:0'>" + (focusIndex("title") !== -1 ? markTerms(i.title) : escapeHtml(i.title)) + "</h3>";
+  html += "<div style='font-size:12px;font-weight:600;color:#9aa4b2'>";
+  html += "Created: " + (i.createdAt ? niceDate(i.createdAt) : "-");
+  html += "</div>";
+  html += "</div>";
+
+  html += "<p style='font-size:13px;color:#d7dde6'>" + (focusIndex("description") !== -1 ? markTerms(i.description) : escapeHtml(i.description)) + "</p>";
+
+  // Corrections to title/description/severity; every change lands in the timeline
+  if (!locked && can("responder")) {
+    if (editOpen) {
+      html += "<div class='note-wrap' style='margin-bottom:12px'>";
+      html += "<label class='small'>Title</label>";
+      html += "<input id='editTitle' value='" + escapeHtml(i.title || "") + "'>";
+      html += "<label class='small'>Description</label>";
+      html += "<textarea id='editDesc' style='min-height:80px;margin-bottom:12px'>" + escapeHtml(i.description || "") + "</textarea>";
+      html += "<label class='small'>Severity" + (can("commander") ? "" : " (commanders only)") + "</label>";
+      html += "<select id='editSev'" + (can("commander") ? "" : " disabled") + ">";
+      ["High", "Medium", "Low"].forEach(s => { html += optionHtml(s, cap(i.severity)); });
+      html += "</select>";
+      html += "<div style='display:flex;gap:10px'>";
+      html += "<button id='saveEditBtn' style='width:auto;padding:0 14px'>Save Changes</button>";
+      html += "<button id='cancelEditBtn' style='width:auto;padding:0 14px'>Cancel</button>";
+      html += "</div>";
+      html += "</div>";
+    } else {
+      html += "<button id='editBtn' style='width:auto;padding:0 12px;font-size:12px'>Edit Details</button>";
+    }
+  }
+
+  if (isArchived) {
+    html += "<div class='note' style='border-left:3px solid #9aa4b2;margin:10px 0'>";
+    html += "<strong>Archived</strong> " + escapeHtml(niceDate(i.archivedAt)) + (i.archivedBy ? " by " + escapeHtml(i.archivedBy) : "");
+    html += "<br>" + escapeHtml(i.archiveReason ? "Reason: " + i.archiveReason : "No reason given");
+    html += "</div>";
+  }
+
+if (isResolved) {
+  html += "<div style='height:1px;background:#222;margin:14px 0'></div>";
+
+  html += "<div style='font-weight:700;font-size:20px;margin:8px 0'>";
+  html += "Post Incident Review";
+  html += "</div>";
+
+  html += "<div style='height:1px;background:#222;margin:14px 0'></div>";
+}
+
+  // Status controls: current state + the transitions the lifecycle allows from it.
+  // Closed cases still get them (e.g. Resolved → Postmortem Pending); notes/AI stay locked.
+  const moves = nextStatuses(status);
+  if (!isArchived && can("commander") && moves.length) {
+    html += "<div style='font-weight:700;font-size:15px;margin:12px 0 6px 0'>Status</div>";
+    html += "<select id='statusSelect'>";
+    html += optionHtml(status, status);
+    moves.forEach(s => { html += optionHtml(s, status); });
+    html += "</select>";
+
+    html += "<div id='statusFields'></div>";
+    html += "<button id='changeStatusBtn' style='width:auto;padding:0 14px'>Change Status</button>";
+  }
+
+  // Assignment: everyone sees it, commanders can change it
+  const responders = Array.isArray(i.responders) ? i.responders : [];
+  html += "<div style='font-weight:700;font-size:15px;margin:12px 0 6px 0'>Assignment</div>";
+  if (!locked && can("commander")) {
+    html += "<label class='small'>Incident commander</label>";
+    html += "<input id='commanderInput' placeholder='User name (empty = unassigned)' value='" + escapeHtml(i.commander || "") + "'>";
+    html += "<label class='small'>Responders (comma separated)</label>";
+    html += "<input id='respondersInput' placeholder='User names' value='" + escapeHtml(responders.join(", ")) + "'>";
+    html += "<button id='assignBtn' style='width:auto;padding:0 14px'>Save Assignment</button>";
+  } else {
+    html += "<p style='font-size:13px'>";
+    html += "<strong>Commander:</strong> " + escapeHtml(i.commander || "Unassigned") + "<br>";
+    html += "<strong>Responders:</strong> " + escapeHtml(responders.length ? responders.join(", ") : "None");
+    html += "</p>";
+  }
+
+  // Action items: everyone sees the checklist, responders work it
+  html += "<div style='font-weight:700;font-size:15px;margin:12px 0 6px 0'>Action Items</div>";
+  html += renderActionItems(i, !isArchived && can("responder"));
+
+if (i.resolvedAt) {
+  html += "<div style='margin-top:10px;text-align:right;font-size:12px'>";
+  html += "<strong style='color:#fff;font-weight:700'>Resolved:</strong> ";
+  html += "<span style='color:#9aa4b2;font-weight:600'>" + niceDate(i.resolvedAt) + "</span>";
+  html += "</div>";
+
+  if (isResolved && i.resolutionSummary) {
+    html += "<p style='font-size:13px'><strong>Resolution:</strong> " + escapeHtml(i.resolutionSummary) + "</p>";
+  }
+}
+
+  // Notes (collapsible)
+html += "<div style='margin-top:14px'>";
+
+const lastNoteIso = notes.length ? notes[notes.length - 1].createdAt : "";
+const lastNoteNice = lastNoteIso ? niceDate(lastNoteIso) : "—";
+
+html += "<div class='note-wrap' style='padding:6px 12px;border-left:3px solid var(--focus)'>";
+
+html += "<div style='display:flex;justify-content:space-between;align-items:baseline;margin-bottom:8px'>";
+
+html += "<strong" +
+        (isResolved && !notesOpen ? " style='position:relative;top:30px'" : "") +
+        ">Additional Context (Notes)</strong>";
+
+html += "<span style='font-size:12px;color:#9aa4b2;font-weight:600'>";
+html += "Last updated: " + escapeHtml(lastNoteNice);
+html += "</span>";
+
+html += "</div>";
+
+html += "<div id='notesInner' style='display:" + (notesOpen ? "block" : "none") + "'>";
+html += "<div class='note-list'>" + renderNotes(notes) + "</div>";
+
+if (!locked && can("responder")) {
+  html += "<textarea id='noteInput' placeholder='Add what you tried, logs, symptoms, mitigations, errors…'></textarea>";
+  html += "<div style='height:10px'></div>";
+}
+
+html += "</div>";
+
+html += "<div style='display:flex;align-items:center;justify-content:space-between;gap:10px;margin-top:10px'>";
+
+if (!locked && can("responder")) {
+  html += "<button id='addNoteBtn' style='width:auto;padding:0 14px'>Add Note</button>";
+} else {
+  html += "<div></div>";
+}
+
+html += "<button id='toggleNotesBtn' style='width:auto;padding:0 12px;font-size:12px'>";
+html += notesOpen ? "Hide" : "Show";
+html += "</button>";
+
+html += "</div>";
+
+html += "</div>";
+html += "</div>";
+
+  // Timeline (collapsible)
+const timeline = Array.isArray(i.timeline) ? i.timeline : [];
+const lastTimelineIso = timeline.length
+  ? timeline[timeline.length - 1].createdAt
+  : "";
+const lastTimelineNice = lastTimelineIso ? niceDate(lastTimelineIso) : "—";
+
+html += "<div style='margin-top:14px'>";
+html += "<div class='" + (timelineOpen ? "note-wrap" : "ai-block") + "'>";
+
+html += "<div style='display:flex;align-items:center;justify-content:space-between'>";
+
+html += "<strong style='position:relative;top:3px'>Timeline " + renderChainBadge(chainCheckFor(i)) + "</strong>";
+
+html += "<div style='display:flex;align-items:center;gap:12px'>";
+
+html += "<span style='font-size:12px;color:#9aa4b2;font-weight:600'>";
+html += "Last updated: " + escapeHtml(lastTimelineNice);
+html += "</span>";
+
+html += "<button id='toggleTimelineBtn' style='width:auto;padding:0 12px;font-size:12px;position:relative;top:6px'>";
+html += timelineOpen ? "Hide" : "Show";
+html += "</button>";
+
+html += "</div>";
+html += "</div>";
+
+html += "<div id='timelineWrap' style='display:" + (timelineOpen ? "block" : "none") + "'>";
+html += "<div class='note-list'>" + renderTimeline(timeline, chainCheckFor(i)) + "</div>";
+html += "</div>";
+
+html += "</div>";
+html += "</div>";
+
+  // AI buttons removed on resolved; replaced by reopen
+  html += "<div class='actions'>";
+  if (isArchived) {
+    if (can("commander")) html += "<button id='restoreBtn'>Restore Incident</button>";
+    if (can("admin")) html += "<button id='purgeBtn'>Purge Permanently</button>";
+  } else if (!isResolved) {
+    if (can("responder")) {
+      aiModes.filter(m => m.enabled !== false).forEach(m => {
+        html += "<button data-ai='" + escapeHtml(m.mode) + "'" + (aiStream ? " disabled" : "") + ">AI: " + escapeHtml(m.label) + "</button>";
+      });
+    }
+  } else if (can("commander")) {
+    html += "<button id='reopenBtn'>Reopen Case</button>";
+  }
+  html += "<button id='exportReportBtn'>Export Report</button>";
+  html += "</div>";
+
+  // Closed cases: the postmortem takes over from the live-incident AI buttons
+  if (isResolved) html += renderPostmortem(i, !isArchived && can("responder"));
+
+  html += "</div>";
+
+  // Generation in progress: the text so far, kept across re-renders until runAI finishes
+  if (aiStream && aiStream.id === i.id) {
+    html += "<div class='ai-block ai-live'>";
+    html += "<div style='display:flex;justify-content:space-between;align-items:center'>";
+    html += "<strong style='position:relative;top:3px'>" + escapeHtml(aiStream.label) + " <span class='ai-status'>writing…</span></strong>";
+    html += "<button id='aiCancelBtn' style='width:auto;padding:0 10px;font-size:12px;position:relative;top:6px'>Cancel</button>";
+    html += "</div>";
+    html += "<pre id='aiStreamText'>" + escapeHtml(aiStream.text) + "</pre>";
+    html += "</div>";
+  }
+
+  // AI output blocks (latest first)
+const outputs = (i.aiOutput || []).slice().reverse();
+
+for (const o of outputs) {
+  const key = o.createdAt + ":" + o.type;
+  const isOpen = aiOpenState[key] !== false;
+  const index = i.aiOutput.indexOf(o);
+  const focused = focusIndex("aiOutput") === index;
+
+  html += "<div class='ai-block" + (focused ? " search-focus" : "") + "' id='ai-" + index + "'>";
+
+  html += "<div style='display:flex;justify-content:space-between;align-items:center'>";
+
+  html += "<strong style='position:relative;top:3px'>" +
+        escapeHtml(o.title || "AI Output") +
+        (o.status === "cancelled" || o.status === "failed"
+          ? " <span class='ai-status'>" + escapeHtml(o.status) + (o.text ? ", partial" : "") + "</span>"
+          : "") +
+        "</strong>";
+
+  html += "<div style='display:flex;align-items:center;gap:12px'>";
+
+  if (!isOpen) {
+    html += "<span style='font-size:12px;color:#9aa4b2;font-weight:600'>";
+    html += "Last updated: " + escapeHtml(o.createdAt ? niceDate(o.createdAt) : "");
+    html += "</span>";
+  }
+
+html += "<button data-ai-toggle='" + escapeHtml(key) + "' " +
+        "style='width:auto;padding:0 10px;font-size:12px;position:relative;top:6px'>" +
+        (isOpen ? "Hide" : "Show") +
+        "</button>";
+
+  html += "</div>";
+  html += "</div>";
+
+  if (isOpen) {
+    html += "<pre>" + (focused ? markTerms(formatAI(o)) : escapeHtml(formatAI(o))) + "</pre>";
+    if (o.steps && o.steps.length) html += renderSuggestedSteps(o, !isArchived && can("responder"));
+  }
+
+  html += "</div>";
+}
+
+details.innerHTML = html;
+details.dataset.incident = id;
+if (drafts) restoreDrafts(drafts);
+
+document.querySelectorAll("[data-ai-toggle]").forEach(btn => {
+  btn.addEventListener("click", () => {
+    const key = btn.getAttribute("data-ai-toggle");
+    aiOpenState[key] = !(aiOpenState[key] !== false);
+    show(currentId);
+  });
+});
+
+  // Event binding kept defensive (elements may not exist on resolved view)
+  const statusBtn = document.getElementById("changeStatusBtn");
+  if (statusBtn) statusBtn.addEventListener("click", changeStatus);
+
+  const statusSel = document.getElementById("statusSelect");
+  if (statusSel) {
+    statusSel.addEventListener("change", () => {
+      document.getElementById("statusFields").innerHTML = renderStatusFields(statusSel.value);
+    });
+  }
+
+  const assignBtn = document.getElementById("assignBtn");
+  if (assignBtn) assignBtn.addEventListener("click", saveAssignment);
+
+  const editBtn = document.getElementById("editBtn");
+  if (editBtn) editBtn.addEventListener("click", () => { editOpen = true; show(currentId); });
+
+  const cancelEditBtn = document.getElementById("cancelEditBtn");
+  if (cancelEditBtn) cancelEditBtn.addEventListener("click", () => { editOpen = false; show(currentId); });
+
+  const saveEditBtn = document.getElementById("saveEditBtn");
+  if (saveEditBtn) saveEditBtn.addEventListener("click", saveEdits);
+
+  const noteBtn = document.getElementById("addNoteBtn");
+  if (noteBtn) {
+  noteBtn.addEventListener("click", () => {
+    if (!notesOpen) {
+      notesOpen = true;
+      show(currentId);
+      setTimeout(() => {
+        const box = document.getElementById("noteInput");
+        if (box) box.focus();
+      }, 0);
+      return;
+    }
+    addNote();
+  });
+}
+
+  const toggleNotesBtn = document.getElementById("toggleNotesBtn");
+if (toggleNotesBtn) {
+  toggleNotesBtn.addEventListener("click", () => {
+    notesOpen = !notesOpen;
+    show(currentId);
+  });
+}
+
+  const reopenBtn = document.getElementById("reopenBtn");
+  if (reopenBtn) reopenBtn.addEventListener("click", reopenCase);
+
+  document.getElementById("exportReportBtn").addEventListener("click", () => downloadExport({ format: "markdown", id: currentId }));
+
+  const pmDraftBtn = document.getElementById("pmDraftBtn");
+  if (pmDraftBtn) pmDraftBtn.addEventListener("click", () => draftPostmortem(pmDraftBtn));
+
+  const pmEditBtn = document.getElementById("pmEditBtn");
+  if (pmEditBtn) pmEditBtn.addEventListener("click", () => { postmortemEditing = true; show(currentId); });
+
+  const pmCancelBtn = document.getElementById("pmCancelBtn");
+  if (pmCancelBtn) pmCancelBtn.addEventListener("click", () => { postmortemEditing = false; show(currentId); });
+
+  const pmSaveBtn = document.getElementById("pmSaveBtn");
+  if (pmSaveBtn) pmSaveBtn.addEventListener("click", savePostmortem);
+
+  const pmHistoryBtn = document.getElementById("pmHistoryBtn");
+  if (pmHistoryBtn) pmHistoryBtn.addEventListener("click", () => { postmortemHistoryOpen = !postmortemHistoryOpen; show(currentId); });
+
+  const restoreBtn = document.getElementById("restoreBtn");
+  if (restoreBtn) restoreBtn.addEventListener("click", () => restoreIncident(currentId));
+
+  const purgeBtn = document.getElementById("purgeBtn");
+  if (purgeBtn) purgeBtn.addEventListener("click", () => purgeIncident(currentId));
+
+  checkChain(i);
+
+  document.querySelectorAll("[data-ai]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      runAI(btn.getAttribute("data-ai"));
+    });
+  });
+
+  const addActionBtn = document.getElementById("addActionBtn");
+  if (addActionBtn) addActionBtn.addEventListener("click", addActionItem);
+
+  details.querySelectorAll("[data-action-toggle]").forEach(box => {
+    box.addEventListener("change", () => {
+      updateActionItem(Number(box.getAttribute("data-action-toggle")), { status: box.checked ? "done" : "open" });
+    });
+  });
+
+  details.querySelectorAll("[data-action-status]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      updateActionItem(Number(btn.getAttribute("data-action-status")), { status: btn.getAttribute("data-status") });
+    });
+  });
+
+  details.querySelectorAll("[data-action-edit]").forEach(btn => {
+    btn.addEventListener("click", () => { actionItemEditing = Number(btn.getAttribute("data-action-edit")); show(currentId); });
+  });
+
+  details.querySelectorAll("[data-action-save]").forEach(btn => {
+    btn.addEventListener("click", () => saveActionItem(Number(btn.getAttribute("data-action-save"))));
+  });
+
+  details.querySelectorAll("[data-action-cancel]").forEach(btn => {
+    btn.addEventListener("click", () => { actionItemEditing = null; show(currentId); });
+  });
+
+  details.querySelectorAll("[data-accept-step]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const o = (i.aiOutput || []).find(x => x.createdAt === btn.getAttribute("data-output"));
+      const index = Number(btn.getAttribute("data-accept-step"));
+      if (!o || !o.steps[index]) return;
+
+      btn.disabled = true;
+      addActionItems([{ title: o.steps[index].title, fromAi: { createdAt: o.createdAt, step: index } }]);
+    });
+  });
+
+  const aiCancelBtn = document.getElementById("aiCancelBtn");
+  if (aiCancelBtn) aiCancelBtn.addEventListener("click", () => aiStream && aiStream.controller.abort());
+
+  // Timeline toggle
+  const toggleBtn = document.getElementById("toggleTimelineBtn");
+  const timelineWrap = document.getElementById("timelineWrap");
+  if (toggleBtn && timelineWrap) {
+    toggleBtn.addEventListener("click", () => {
+  timelineOpen = !timelineOpen;
+  timelineWrap.style.display = timelineOpen ? "block" : "none";
+  toggleBtn.textContent = timelineOpen ? "Hide" : "Show";
+});
+  }
+}
+
+/*
+  Actions: CRUD + AI calls
+*/
+async function create(){
+  const payload = {
+    id: cid.value.trim(),
+    title: ctitle.value.trim(),
+    description: cdesc.value.trim(),
+    severity: csev.value
+  };
+
+  const res = await safeFetch("/incident", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  cid.value = "";
+  ctitle.value = "";
+  cdesc.value = "";
+  await load();
+}
+
+async function changeStatus(){
+  const sel = document.getElementById("statusSelect");
+  if (!sel || !currentId) return;
+
+  const payload = { id: currentId, status: sel.value };
+  document.querySelectorAll("[data-status-field]").forEach(el => {
+    payload[el.getAttribute("data-status-field")] = el.value.trim();
+  });
+
+  // Open action items hold up closing; the server wants an explicit go-ahead
+  const i = current;
+  const open = ((i && i.actionItems) || []).filter(a => a.status === "open");
+  if (isClosed(sel.value) && !isClosed(i.status) && open.length) {
+    if (!confirm(open.length + " action item(s) are still open. " + sel.value + " anyway?")) return;
+    payload.allowOpenActionItems = true;
+  }
+
+  const res = await safeFetch("/status", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  await load();
+  show(currentId);
+}
+
+// Sends only the fields that actually changed
+async function saveEdits(){
+  const i = current;
+  if (!i) return;
+
+  const payload = { id: currentId };
+  const title = document.getElementById("editTitle").value.trim();
+  const description = document.getElementById("editDesc").value.trim();
+  const severity = document.getElementById("editSev").value;
+
+  if (title !== i.title) payload.title = title;
+  if (description !== i.description) payload.description = description;
+  if (severity !== cap(i.severity)) payload.severity = severity;
+
+  if (Object.keys(payload).length === 1) {
+    editOpen = false;
+    show(currentId);
+    return;
+  }
+
+  const res = await safeFetch("/incident", {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  editOpen = false;
+  await load();
+  show(currentId);
+}
+
+async function saveAssignment(){
+  const commanderBox = document.getElementById("commanderInput");
+  const respondersBox = document.getElementById("respondersInput");
+  if (!commanderBox || !respondersBox || !currentId) return;
+
+  const res = await safeFetch("/assign", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      id: currentId,
+      commander: commanderBox.value.trim(),
+      responders: respondersBox.value.split(",").map(s => s.trim()).filter(Boolean)
+    })
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  await load();
+  show(currentId);
+}
+
+async function addNote(){
+  const box = document.getElementById("noteInput");
+  if (!box || !currentId) return;
+
+  const text = box.value.trim();
+  if (!text) return;
+
+  const res = await safeFetch("/context-note", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: currentId, text })
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  box.value = "";
+  await load();
+  show(currentId);
+}
+
+/*
+  Streams one AI run from /ai/stream into the panel as it is written.
+  Cancel aborts the request; the server keeps what was written as a partial output.
+  If nothing changed since the last output of the mode the server returns that one (cached),
+  and the user can ask for a fresh run (refresh).
+*/
+async function runAI(mode, refresh){
+  if (aiStream) return;
+  let rerun = false;
+
+  const modeInfo = aiModes.find(m => m.mode === mode);
+  aiStream = { id: currentId, mode, label: modeInfo ? modeInfo.label : mode, text: "", controller: new AbortController() };
+  show(currentId);
+
+  try {
+    const res = await safeFetch("/ai/stream", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ id: currentId, mode, refresh: Boolean(refresh) }),
+      signal: aiStream.controller.signal
+    });
+    if (!res.ok) return; // safeFetch showed the reason (429 says when to retry)
+
+    await readEvents(res.body, (event, data) => {
+      if (event === "token") {
+        aiStream.text += data.text;
+        const pre = document.getElementById("aiStreamText");
+        if (pre) pre.textContent = aiStream.text;
+      }
+      if (event === "done" && data.status === "failed") {
+        alert("AI generation failed" + (aiStream.text ? " (partial output kept)" : "") + ":\\n\\n" + data.error);
+      }
+      if (event === "done" && data.cached) {
+        rerun = confirm(
+          "Nothing has changed since the " + aiStream.label + " output from " + niceDate(data.createdAt) +
+          ", so that one is shown.\\n\\nGenerate a fresh one anyway? (It counts towards the AI rate limit.)"
+        );
+      }
+    });
+  } catch (e) {
+    if (e.name !== "AbortError") alert("AI stream interrupted");
+  } finally {
+    aiStream = null;
+    await load();
+    show(currentId);
+  }
+
+  if (rerun) runAI(mode, true);
+}
+
+// Calls onEvent(name, data) for each server-sent event in a fetch response body
+async function readEvents(body, onEvent){
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split("\\n\\n");
+    buffer = events.pop();
+
+    for (const raw of events) {
+      let event = "message";
+      let data = "";
+      raw.split("\\n").forEach(line => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        if (line.startsWith("data:")) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+async function archiveIncident(id){
+  const reason = prompt("Archive " + id + "? It can be restored from the Archived view.\\n\\nReason:");
+  if (reason === null) return;
+
+  const res = await safeFetch("/archive", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id, reason })
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  if (currentId === id) {
+    currentId = null;
+    details.innerHTML = "";
+  }
+
+  await load();
+}
+
+async function restoreIncident(id){
+  const res = await safeFetch("/restore", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id })
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  if (currentId === id) currentId = null;
+  await load();
+}
+
+// Irreversible: only a tombstone (who, when, why) survives
+async function purgeIncident(id){
+  const reason = prompt("Permanently delete " + id + " and all of its history? This cannot be undone.\\n\\nReason (required):");
+  if (!reason || !reason.trim()) return;
+
+  const res = await safeFetch("/purge", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id, reason: reason.trim() })
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  currentId = null;
+  await load();
+}
+
+// The response is an attachment, so the browser downloads it and stays on the page
+function downloadExport(params){
+  location.href = "/export?" + new URLSearchParams(params);
+}
+
+function toggleArchived(){
+  viewArchived = !viewArchived;
+  currentId = null;
+  document.getElementById("archivedToggle").textContent = viewArchived ? "Show Active" : "Show Archived";
+  load();
+}
+
+/*
+  Postmortem
+  Latest version shown as sections; editing saves the whole document as a new version.
+  History lists every version with its line diff against the one before.
+*/
+function renderPostmortem(i, editable){
+  const versions = i.postmortemVersions || [];
+  const latest = versions[versions.length - 1];
+
+  let html = "<div class='ai-block postmortem'>";
+  html += "<div style='display:flex;justify-content:space-between;align-items:center;gap:10px'>";
+  html += "<strong>Postmortem</strong>";
+  html += "<span class='pm-meta'>" + (latest ? escapeHtml(versionLabel(latest)) : "No draft yet") + "</span>";
+  html += "</div>";
+
+  if (postmortemEditing && editable) {
+    POSTMORTEM_SECTIONS.forEach(s => {
+      html += "<label class='small'>" + escapeHtml(s.title) + "</label>";
+      html += "<textarea id='pm_" + s.key + "' style='min-height:90px;margin-bottom:12px'>" +
+        escapeHtml(latest ? latest.sections[s.key] || "" : "") + "</textarea>";
+    });
+    html += "<div class='actions'>";
+    html += "<button id='pmSaveBtn' data-base='" + (latest ? latest.version : 0) + "'>Save Version</button>";
+    html += "<button id='pmCancelBtn'>Cancel</button>";
+    html += "</div>";
+  } else if (latest) {
+    POSTMORTEM_SECTIONS.forEach(s => {
+      html += "<div class='pm-title'>" + escapeHtml(s.title) + "</div>";
+      html += "<pre>" + escapeHtml(latest.sections[s.key] || "—") + "</pre>";
+    });
+  } else {
+    html += "<p style='font-size:13px;color:#9aa4b2'>Draft one with AI from the timeline and notes, or write it yourself.</p>";
+  }
+
+  if (!postmortemEditing) {
+    html += "<div class='actions'>";
+    if (editable) {
+      html += "<button id='pmDraftBtn'>" + (latest ? "Redraft with AI" : "Draft with AI") + "</button>";
+      html += "<button id='pmEditBtn'>" + (latest ? "Edit" : "Write Manually") + "</button>";
+    }
+    if (versions.length) {
+      html += "<button id='pmHistoryBtn'>" + (postmortemHistoryOpen ? "Hide History" : "History (" + versions.length + ")") + "</button>";
+    }
+    html += "</div>";
+  }
+
+  if (postmortemHistoryOpen) {
+    versions.slice().reverse().forEach(v => {
+      html += "<div class='pm-version'>";
+      html += "<div class='pm-meta'>" + escapeHtml(versionLabel(v)) + "</div>";
+      (v.changed || []).forEach(key => {
+        const section = POSTMORTEM_SECTIONS.find(s => s.key === key);
+        html += "<div class='pm-title'>" + escapeHtml(section ? section.title : key) + "</div>";
+        (v.diff[key] || []).forEach(d => {
+          const cls = d.op === "+" ? "diff-add" : d.op === "-" ? "diff-del" : "diff-same";
+          html += "<div class='diff-line " + cls + "'>" + escapeHtml(d.op + " " + d.text) + "</div>";
+        });
+      });
+      html += "</div>";
+    });
+  }
+
+  html += "</div>";
+  return html;
+}
+
+function versionLabel(v){
+  return "v" + v.version + " · " + (v.source === "ai" ? "AI draft requested by " : "edited by ") + v.actor + ", " + niceDate(v.createdAt);
+}
+
+async function draftPostmortem(btn){
+  const i = current;
+  const versions = (i && i.postmortemVersions) || [];
+  if (versions.length && !confirm("Draft a new version with AI? The current version stays in the history.")) return;
+
+  btn.disabled = true;
+  btn.textContent = "Drafting…";
+
+  const res = await safeFetch("/postmortem/draft", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: currentId })
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    show(currentId);
+    return;
+  }
+
+  await load();
+  show(currentId);
+}
+
+async function savePostmortem(){
+  const sections = {};
+  POSTMORTEM_SECTIONS.forEach(s => { sections[s.key] = document.getElementById("pm_" + s.key).value; });
+
+  const res = await safeFetch("/postmortem", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      id: currentId,
+      sections,
+      baseVersion: Number(document.getElementById("pmSaveBtn").dataset.base)
+    })
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  postmortemEditing = false;
+  await load();
+  show(currentId);
+}
+
+/*
+  Action items checklist: tick to complete, Drop/Restore, inline Edit, and an add form.
+  Overdue open items are flagged in red.
+*/
+function renderActionItems(i, editable){
+  const items = i.actionItems || [];
+  let html = "<div class='action-items'>";
+
+  if (!items.length) html += "<p style='font-size:13px;color:#9aa4b2;margin:0 0 8px'>No action items yet.</p>";
+
+  items.forEach(a => {
+    if (editable && actionItemEditing === a.id) {
+      html += "<div class='action-item'>";
+      html += "<input id='actionEditTitle' value='" + escapeHtml(a.title) + "'>";
+      html += "<input id='actionEditOwner' placeholder='Owner (user name)' value='" + escapeHtml(a.owner || "") + "'>";
+      html += "<input id='actionEditDue' type='datetime-local' value='" + escapeHtml(localInputValue(a.dueAt)) + "'>";
+      html += "<div style='display:flex;gap:10px'>";
+      html += "<button data-action-save='" + a.id + "' style='width:auto;padding:0 14px'>Save</button>";
+      html += "<button data-action-cancel style='width:auto;padding:0 14px'>Cancel</button>";
+      html += "</div>";
+      html += "</div>";
+      return;
+    }
+
+    const overdue = a.status === "open" && a.dueAt && new Date(a.dueAt).getTime() < Date.now();
+    html += "<div class='action-item" + (a.status !== "open" ? " action-" + a.status : "") + "'>";
+    html += "<label style='display:flex;gap:8px;align-items:baseline;margin:0'>";
+    html += "<input type='checkbox' data-action-toggle='" + a.id + "'" +
+      (a.status === "done" ? " checked" : "") + (editable && a.status !== "dropped" ? "" : " disabled") + ">";
+    html += "<span class='action-title'>#" + a.id + " " + escapeHtml(a.title) + "</span>";
+    html += "</label>";
+    html += "<div class='action-meta'>";
+    html += escapeHtml(a.owner || "Unassigned");
+    if (a.dueAt) html += " · <span" + (overdue ? " class='action-overdue'" : "") + ">due " + escapeHtml(niceDate(a.dueAt)) + "</span>";
+    if (a.status === "dropped") html += " · dropped";
+    if (a.fromAi) html += " · from AI";
+    html += "</div>";
+    if (editable) {
+      html += "<div class='action-buttons'>";
+      html += "<button data-action-edit='" + a.id + "'>Edit</button>";
+      html += "<button data-action-status='" + a.id + "' data-status='" + (a.status === "dropped" ? "open" : "dropped") + "'>" +
+        (a.status === "dropped" ? "Restore" : "Drop") + "</button>";
+      html += "</div>";
+    }
+    html += "</div>";
+  });
+
+  if (editable) {
+    html += "<div style='display:flex;gap:8px;align-items:center;margin-top:8px'>";
+    html += "<input id='actionTitle' placeholder='New action item' style='flex:2;margin:0'>";
+    html += "<input id='actionOwner' placeholder='Owner' style='flex:1;margin:0'>";
+    html += "<input id='actionDue' type='datetime-local' style='flex:1;margin:0'>";
+    html += "<button id='addActionBtn' style='width:auto;padding:0 14px'>Add</button>";
+    html += "</div>";
+  }
+
+  html += "</div>";
+  return html;
+}
+
+// AI next steps under an output, each with Accept (or the item it already became)
+function renderSuggestedSteps(o, editable){
+  const items = (current && current.actionItems) || [];
+  let html = "<div class='pm-title'>Suggested action items</div>";
+
+  o.steps.forEach((step, index) => {
+    const accepted = items.find(a => a.fromAi && a.fromAi.createdAt === o.createdAt && a.fromAi.step === index);
+    html += "<div class='action-item'>";
+    html += "<span class='action-title'>" + escapeHtml(step.title) + "</span>";
+    if (step.detail) html += "<div class='action-meta'>" + escapeHtml(step.detail) + "</div>";
+    if (accepted) {
+      html += "<div class='action-meta'>Accepted as #" + accepted.id + "</div>";
+    } else if (editable) {
+      html += "<div class='action-buttons'><button data-accept-step='" + index + "' data-output='" + escapeHtml(o.createdAt) + "'>Accept</button></div>";
+    }
+    html += "</div>";
+  });
+
+  return html;
+}
+
+// ISO → the local "YYYY-MM-DDTHH:MM" a datetime-local input shows
+function localInputValue(iso){
+  if (!iso) return "";
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+async function addActionItems(items){
+  const res = await safeFetch("/action-items", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: currentId, items })
+  });
+
+  if (!res.ok) return false;
+
+  await load();
+  show(currentId);
+  return true;
+}
+
+async function addActionItem(){
+  const title = document.getElementById("actionTitle").value.trim();
+  if (!title) return;
+
+  const due = document.getElementById("actionDue").value;
+  await addActionItems([{
+    title,
+    owner: document.getElementById("actionOwner").value.trim(),
+    dueAt: due ? new Date(due).toISOString() : null
+  }]);
+}
+
+async function updateActionItem(itemId, fields){
+  const res = await safeFetch("/action-items", {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: currentId, itemId, ...fields })
+  });
+
+  if (!res.ok) {
+    show(currentId);
+    return;
+  }
+
+  actionItemEditing = null;
+  await load();
+  show(currentId);
+}
+
+// Sends only the fields that actually changed
+function saveActionItem(itemId){
+  const i = current;
+  const a = ((i && i.actionItems) || []).find(x => x.id === itemId);
+  if (!a) return;
+
+  const fields = {};
+  const title = document.getElementById("actionEditTitle").value.trim();
+  const owner = document.getElementById("actionEditOwner").value.trim() || null;
+  const due = document.getElementById("actionEditDue").value;
+
+  if (title !== a.title) fields.title = title;
+  if (owner !== (a.owner || null)) fields.owner = owner;
+  // The input only holds minutes; compare in its terms so untouched seconds don't count as an edit
+  if (due !== localInputValue(a.dueAt)) fields.dueAt = due ? new Date(due).toISOString() : null;
+
+  if (!Object.keys(fields).length) {
+    actionItemEditing = null;
+    show(currentId);
+    return;
+  }
+  updateActionItem(itemId, fields);
+}
+
+async function reopenCase(){
+  if (!currentId) return;
+
+  const payload = { id: currentId, status: LIFECYCLE.reopen };
+  const target = LIFECYCLE.states.find(s => s.name === LIFECYCLE.reopen);
+  for (const f of (target && target.requires) || []) {
+    const value = prompt(fieldLabel(f) + " (required to reopen):");
+    if (!value || !value.trim()) return;
+    payload[f] = value.trim();
+  }
+
+  const res = await safeFetch("/status", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+
+  if (!res.ok) {
+    alert(await res.text());
+    return;
+  }
+
+  await load();
+  show(currentId);
+}
+
+/*
+  Helpers: mostly string/HTML rendering and safety guards.
+*/
+
+// Unsaved edits in the details panel (value differs from what was rendered)
+function captureDrafts(){
+  const drafts = { values: {}, focus: document.activeElement ? document.activeElement.id : "" };
+  details.querySelectorAll("input[id], textarea[id]").forEach(el => {
+    if (el.value !== el.defaultValue) drafts.values[el.id] = el.value;
+  });
+  return drafts;
+}
+
+function restoreDrafts(drafts){
+  Object.keys(drafts.values).forEach(key => {
+    const el = document.getElementById(key);
+    if (el) el.value = drafts.values[key];
+  });
+
+  const focused = drafts.focus && details.querySelector("#" + drafts.focus);
+  if (focused) focused.focus();
+}
+
+// Mirrors the store's role check so the UI only offers what will succeed
+function can(role){
+  return ROLES.indexOf(ME.role) >= ROLES.indexOf(role);
+}
+
+function optionHtml(value, current){
+  return "<option " + (value === current ? "selected" : "") + ">" + escapeHtml(value) + "</option>";
+}
+
+function renderNotes(notes){
+  if (!notes || !notes.length) {
+    return "<div class='note'>"
+      + "No notes yet. Add what you tried, then run AI: Next Steps."
+      + "<span class='note-meta'></span>"
+      + "</div>";
+  }
+
+  // The last 40, reaching back further if a search match points at an older one
+  const focus = focusIndex("contextNotes");
+  let start = Math.max(0, notes.length - 40);
+  if (focus !== -1 && focus < start) start = focus;
+
+  return notes
+    .slice(start)
+    .map((n, k) => {
+      const focused = start + k === focus;
+      const meta = (n.createdAt ? niceDate(n.createdAt) : "") + (n.actor ? " · " + n.actor : "");
+      return "<div class='note" + (focused ? " search-focus" : "") + "' id='note-" + (start + k) + "'>"
+        + (focused ? markTerms(n.text || "") : escapeHtml(n.text || ""))
+        + "<span class='note-meta'>" + escapeHtml(meta) + "</span>"
+        + "</div>";
+    })
+    .join("");
+}
+    function updateActiveFilterHint(){
+  const el = document.getElementById("activeFilterHint");
+  if (!el) return;
+
+  if (searchResults) {
+    el.textContent = "Search: " + searchResults.total + " match" + (searchResults.total === 1 ? "" : "es") +
+      " for “" + searchResults.query + "”" + (viewArchived ? " in archived cases" : "") +
+      (searchResults.indexing ? " (index still building, results may be incomplete)" : "") +
+      (searchResults.truncated && !searchResults.indexing ? " (a short word matched too many longer words; some were skipped)" : "");
+  } else if (viewArchived) {
+    el.textContent = "Viewing archived cases";
+  } else if (metricFilter === "open") {
+    el.textContent = "Active filter: Open cases";
+  } else if (metricFilter === "resolved") {
+    el.textContent = "Active filter: Resolved cases";
+  } else if (metricFilter === "mine") {
+    el.textContent = "Active filter: My incidents";
+  } else {
+    el.textContent = "Active filter: Total cases";
+  }
+}
+
+/*
+  Empty state for the main panel.
+*/
+function renderEmptyMainState(hasIncidents){
+  return "<div class='card' style='opacity:.85'>"
+    + "<h3>" + (hasIncidents ? "No Incident Selected" : "No Incidents Yet") + "</h3>"
+    + "<p>"
+    + (hasIncidents
+        ? "Select an incident from the left to view details, investigate, add context notes, or generate AI-assisted guidance."
+        : "Create a new incident using the form on the left to begin tracking and investigation.")
+    + "</p>"
+    + "<p style='color:#9aa4b2;font-size:13px'>"
+    + "This panel will populate automatically once an incident is selected."
+    + "</p>"
+    + "</div>";
+}
+
+function safeText(v){
+  return typeof v === "string" && v.trim() ? v : "";
+}
+
+function renderTimeline(timeline, check){
+  if (!timeline || !timeline.length) {
+    return "<div class='note'>No timeline yet.<span class='note-meta'></span></div>";
+  }
+
+  // Only the last 60 (or back to a search match) are shown; keep their real positions for the broken-link marker
+  const focus = focusIndex("timeline");
+  let offset = Math.max(0, timeline.length - 60);
+  if (focus !== -1 && focus < offset) offset = focus;
+  const shown = timeline.slice(offset);
+  const broken = check && check.timeline && check.timeline.brokenAt;
+
+  return shown
+    .map((e, n) => {
+      const isBroken = broken && broken.index === offset + n;
+      const focused = offset + n === focus;
+      const icon = safeText(e.icon);
+      const title = safeText(e.title);
+      let body = safeText(e.body);
+      const meta = (e.createdAt ? niceDate(e.createdAt) : "") + (e.actor ? " · " + e.actor : "");
+
+      // Normalise "Action: ..." into a friendlier title case
+      if (body.toLowerCase().startsWith("action:")) {
+        const raw = body.slice(7).trim(); // after "Action:"
+        const cleaned = raw
+  .replaceAll("_", " ")
+  .split(" ")
+  .map(w => w ? w[0].toUpperCase() + w.slice(1) : "")
+  .join(" ");
+        body = "Action: " + cleaned;
+      }
+
+      return "<div class='note" + (focused ? " search-focus" : "") + "' id='timeline-" + (offset + n) + "'" +
+             (isBroken ? " style='border-color:#ff4d4d'" : "") + ">" +
+             escapeHtml((icon ? icon + " " : "") + title) +
+             (body ? "<br>" + (focused ? markTerms(body) : escapeHtml(body)) : "") +
+             (isBroken ? "<br><span style='color:#ff6b6b'>✖ " + escapeHtml(broken.reason) + "</span>" : "") +
+             "<span class='note-meta'>" + escapeHtml(meta) + "</span>" +
+             "</div>";
+    })
+    .join("");
+}
+
+/*
+  Hash-chain verification
+  Re-checked whenever the incident's timeline/notes change (cache key = their lengths).
+*/
+function chainKey(i){
+  return (i.timeline || []).length + ":" + (i.contextNotes || []).length;
+}
+
+function chainCheckFor(i){
+  const c = chainChecks[i.id];
+  return c && c.key === chainKey(i) ? c.result : null;
+}
+
+async function checkChain(i){
+  const key = chainKey(i);
+  const c = chainChecks[i.id];
+  if (c && (c.key === key || c.pending === key)) return;
+
+  chainChecks[i.id] = { key: c ? c.key : "", result: c ? c.result : null, pending: key };
+
+  let result = null;
+  try {
+    const res = await fetch("/verify?id=" + encodeURIComponent(i.id));
+    if (res.ok) result = await res.json();
+  } catch {
+    // Badge just stays "Verifying…"; next render retries
+  }
+
+  chainChecks[i.id] = result ? { key, result } : undefined;
+  if (result && currentId === i.id) show(currentId);
+}
+
+function renderChainBadge(check){
+  const base = "margin-left:8px;font-size:11px;font-weight:600;padding:2px 8px;border-radius:999px;";
+
+  if (!check) {
+    return "<span style='" + base + "color:#9aa4b2;border:1px solid #333'>Verifying…</span>";
+  }
+
+  if (!check.ok) {
+    const which = check.timeline.ok ? "Notes" : "Timeline";
+    const at = (check.timeline.ok ? check.contextNotes : check.timeline).brokenAt;
+    return "<span style='" + base + "color:#ff6b6b;border:1px solid #ff4d4d' title='" +
+      escapeHtml(at.reason) + "'>✖ " + which + " chain broken at #" + (at.index + 1) + "</span>";
+  }
+
+  const unsealed = check.timeline.unsealed + check.contextNotes.unsealed;
+  return "<span style='" + base + "color:#3a9b5a;border:1px solid #3a9b5a' title='" +
+    (unsealed ? unsealed + " entries predate hash chaining and are not covered" : "Every entry matches its hash chain") +
+    "'>✔ Verified</span>";
+}
+
+async function safeFetch(url, options){
+  try {
+    const res = await fetch(url, options);
+
+    // Session expired or revoked: back to the login page
+    if (res.status === 401) {
+      location.href = "/login";
+      return res;
+    }
+
+    if (!res.ok) {
+      const msg = await res.text();
+      alert(msg || "Request failed");
+    }
+    return res;
+  } catch (e) {
+    if (e.name !== "AbortError") alert("Network error");
+    return new Response("Network error", { status: 599 });
+  }
 }
 
-.note-meta{
-  display:block;
-  margin-top:6px;
-  font-size:11px;
-  color:#9aa4b2;
+// Renders timestamps nicely and strips duplicate "Update time:" lines from stored body
+function formatAI(o){
+  if (!o) return "";
+  const stamp = o.createdAt ? niceDate(o.createdAt) : "";
+  const raw = String(o.text || "");
+  const cleaned = raw.replace(/^Update time:.*\\n*/i, "") || (o.error ? "No output.\\n\\nError: " + o.error : "");
+  const usage = o.usage ? (o.usage.promptTokens ?? "?") + " + " + (o.usage.completionTokens ?? "?") + " tokens" : "";
+  const cost = [o.model, typeof o.latencyMs === "number" ? (o.latencyMs / 1000).toFixed(1) + "s" : "", usage].filter(Boolean).join(" · ");
+  const by = (o.actor ? "Requested by: " + o.actor + "\\n" : "") + (cost ? "Model: " + cost + "\\n" : "");
+  return (stamp ? "Update time: " + stamp + "\\n" : "") + by + (stamp || by ? "\\n" : "") + cleaned;
 }
 
-textarea{
-  width:100%;
-  border-radius:10px;
-  border:1px solid #333;
-  background:#1f2530;
-  color:#fff;
-  font-size:14px;
-  padding:12px;
-  outline:none;
-  resize:vertical;
-  min-height:120px;
+function niceDate(iso){
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return String(iso || "");
+  return d.toLocaleDateString() + ", " + d.toLocaleTimeString();
 }
-textarea:focus{
-  border-color:var(--focus);
-  box-shadow:0 0 0 3px rgba(78,161,255,.15);
+
+function cap(s){
+  if (!s) return "";
+  const v = String(s).trim();
+  return v ? v[0].toUpperCase() + v.slice(1).toLowerCase() : "";
 }
 
-.ai-block{
-  margin-top:14px;
-  background:#151a21;
-  border:1px solid #222;
-  border-left:3px solid var(--focus);
-  border-radius:12px;
-  padding:12px 14px;
-  max-width:920px;
+function escapeHtml(str){
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
 }
-.ai-block strong{
-  display:block;
-  margin-bottom:8px;
-  letter-spacing:.2px;
+
+/*
+  DOM refs
+*/
+const listEl = document.getElementById("list");
+const details = document.getElementById("details");
+const metrics = document.getElementById("metrics");
+
+const cid = document.getElementById("cid");
+const ctitle = document.getElementById("ctitle");
+const cdesc = document.getElementById("cdesc");
+const csev = document.getElementById("csev");
+
+const search = document.getElementById("search");
+
+document.getElementById("whoami").textContent = "Signed in as " + ME.name + " (" + ME.role + ")";
+if (!can("responder")) document.getElementById("createForm").style.display = "none";
+if (!can("admin")) document.getElementById("exportButtons").style.display = "none";
+const from = document.getElementById("from");
+const until = document.getElementById("until");
+
+/*
+  Load:
+  - fetch the open incident (and the AI modes for the action buttons)
+  - re-query the sidebar page, which renders metrics + sidebar + main panel
+*/
+async function load(){
+  const [modesRes] = await Promise.all([
+    safeFetch("/ai-modes"),
+    loadCurrent()
+  ]);
+  if (modesRes.ok) aiModes = await modesRes.json();
+  await refreshList(false);
+  loadMetrics();
+  if (can("admin")) loadConfigWarning();
 }
-.ai-block pre{
-  margin:0;
-  white-space:pre-wrap;
-  word-break:break-word;
-  line-height:1.6;
-  font-family:ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
-  font-size:13px;
-  color:#e9eef7;
+
+// Admins see config overrides the store ignored (GET /config)
+async function loadConfigWarning(){
+  const res = await safeFetch("/config");
+  if (!res.ok) return;
+  const { problems } = await res.json();
+
+  const el = document.getElementById("configWarning");
+  el.hidden = !problems.length;
+  el.textContent = problems.map(p => p.name + ": " + p.error).join("\\n");
 }
 
-/* Metrics */
-.metrics{
-  display: flex;
-  flex-direction: column;
-  gap: 14px;
-  width: 320px;
-  align-self: start;
+async function loadCurrent(){
+  if (!currentId) {
+    current = null;
+    return;
+  }
+  const res = await safeFetch("/incident?id=" + encodeURIComponent(currentId));
+  current = res.ok ? await res.json() : null;
+  if (!current) currentId = null;
 }
 
-.metric{
-  background:#151a21;
-  border:1px solid #222;
-  border-radius:12px;
-  padding:16px;
-  text-align:center;
+// match: a search hit to scroll to and highlight ({ source, index } from GET /search)
+async function openIncident(id, match){
+  const res = await safeFetch("/incident?id=" + encodeURIComponent(id));
+  if (!res.ok) return;
+  current = await res.json();
+  searchFocus = match ? { id, source: match.source, index: match.index, terms: searchResults ? searchResults.terms : [] } : null;
+
+  // Collapsed sections would hide the match
+  if (match && match.source === "contextNotes") notesOpen = true;
+  if (match && match.source === "timeline") timelineOpen = true;
+  const output = match && match.source === "aiOutput" && (current.aiOutput || [])[match.index];
+  if (output) aiOpenState[output.createdAt + ":" + output.type] = true;
+
+  show(id);
+
+  const anchor = match && document.getElementById(searchAnchor(match));
+  if (anchor) anchor.scrollIntoView({ block: "center" });
+  else if (match) details.scrollIntoView({ block: "start" });
 }
-.metric .label{
-  font-size:13px;
-  color:#cbd5e1;
-  margin-bottom:6px;
+
+/*
+  Sidebar queries
+  Search, dates and the card filter all run on the server (GET /incidents);
+  the list holds summaries, PAGE_SIZE at a time.
+*/
+const PAGE_SIZE = 50;
+const PAGE_MAX = 200; // the store's largest page
+let listSeq = 0; // drops responses overtaken by a newer query
+let listTimer = null;
+
+function listParams(extra){
+  const params = new URLSearchParams({ view: "summary", sort: "-createdAt", ...extra });
+  if (viewArchived) params.set("archived", "1");
+  if (from.value) params.set("createdFrom", from.value);
+  if (until.value) params.set("createdTo", until.value);
+  if (metricFilter === "open") params.set("closed", "0");
+  if (metricFilter === "resolved") params.set("closed", "1");
+  if (metricFilter === "mine") params.set("mine", "1");
+  return params;
 }
-.metric .value{
-  font-size:26px;
-  font-weight:700;
-  letter-spacing:.2px;
+
+// reset: filters changed, start over from the first page; otherwise keep as many rows as are loaded
+async function refreshList(reset){
+  if (search.value.trim()) return runSearch();
+
+  const seq = ++listSeq;
+  const limit = reset ? PAGE_SIZE : Math.min(Math.max(PAGE_SIZE, incidents.length), PAGE_MAX);
+  const res = await safeFetch("/incidents?" + listParams({ limit }));
+  if (!res.ok || seq !== listSeq) return;
+
+  const page = await res.json();
+  incidents = page.items;
+  nextCursor = page.nextCursor;
+  listCounts = page.counts;
+  searchResults = null;
+  render();
 }
-  .metric{
-  cursor: pointer;
-  transition: border-color .15s ease, background-color .15s ease;
+
+// Ranked matches across notes, timeline and AI output; the card and date filters don't apply
+async function runSearch(){
+  const seq = ++listSeq;
+  const params = new URLSearchParams({ q: search.value.trim() });
+  if (viewArchived) params.set("archived", "1");
+
+  const res = await safeFetch("/search?" + params);
+  if (!res.ok || seq !== listSeq) return;
+  searchResults = await res.json();
+  render();
 }
-.metric:hover{
-  border-color: var(--focus);
-  background-color: #18202b;
+
+async function loadMore(){
+  if (!nextCursor) return;
+  const seq = ++listSeq;
+  const res = await safeFetch("/incidents?" + listParams({ limit: PAGE_SIZE, cursor: nextCursor }));
+  if (!res.ok || seq !== listSeq) return;
+
+  const page = await res.json();
+  incidents = incidents.concat(page.items);
+  nextCursor = page.nextCursor;
+  listCounts = page.counts;
+  render();
 }
-  .metric.active{
-  border-color: var(--focus);
-  box-shadow: 0 0 0 2px rgba(78,161,255,.15);
+
+// Typing in search and bursts of live events settle before re-querying
+function scheduleList(reset = true){
+  clearTimeout(listTimer);
+  listTimer = setTimeout(() => refreshList(reset), reset ? 300 : 1000);
 }
-  .metric:focus-visible{
-  outline: none;
-  border-color: var(--focus);
-  box-shadow: 0 0 0 3px rgba(78,161,255,.25);
+
+/*
+  Render the metric cards, sidebar and main panel from the loaded state.
+  Used after each sidebar query and whenever a live event patches the open incident.
+*/
+function render(){
+  renderMetrics(listCounts);
+
+  document.querySelectorAll(".metric").forEach(m => {
+  const filter = m.dataset.filter;
+  const isActive = filter && filter === metricFilter;
+  m.classList.toggle("active", isActive);
+
+  m.onclick = () => {
+    if (!filter) return;
+    metricFilter = filter;
+    refreshList(true);
+  };
+
+  m.onkeydown = (e) => {
+    if (e.key === "Enter") {
+      m.click();
+    }
+  };
+});
+
+  if (searchResults) renderSearchResults(searchResults);
+  else renderSidebar(incidents);
+
+  updateActiveFilterHint();
+
+  if (currentId && current && current.id === currentId) {
+    show(currentId);
+  } else {
+    details.innerHTML = renderEmptyMainState(listCounts.open + listCounts.closed > 0);
+  }
 }
-  .metric[data-filter=""]{
-  cursor: default;
+
+/*
+  Live updates:
+  - the store pushes one event per change, carrying the updated incident
+  - we patch the open incident and its sidebar row right away, then re-query the
+    sidebar once events settle (membership, order and counts are the server's call)
+  - on reconnect we load() once, since events may have been missed while offline
+*/
+let liveSocket = null;
+let liveRetryMs = 1000;
+
+function connectLive(){
+  const ws = new WebSocket((location.protocol === "https:" ? "wss://" : "ws://") + location.host + "/ws");
+  liveSocket = ws;
+
+  ws.onopen = () => {
+    const reconnected = liveRetryMs > 1000;
+    liveRetryMs = 1000;
+    setLiveState(true);
+    if (reconnected) load();
+  };
+
+  ws.onmessage = (e) => {
+    if (e.data === "pong") return;
+
+    let event;
+    try {
+      event = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+
+    applyLiveEvent(event);
+  };
+
+  ws.onclose = () => {
+    if (liveSocket !== ws) return;
+    setLiveState(false);
+    setTimeout(connectLive, liveRetryMs);
+    liveRetryMs = Math.min(liveRetryMs * 2, 30000);
+  };
+}
+
+function applyLiveEvent(event){
+  if (!event || !event.id) return;
+
+  const idx = incidents.findIndex(i => i.id === event.id);
+
+  // Archiving/restoring moves an incident between the two sidebar views
+  const belongsHere = event.incident && Boolean(event.incident.archivedAt) === viewArchived;
+
+  if (!belongsHere) {
+    if (idx !== -1) incidents.splice(idx, 1);
+    if (currentId === event.id) {
+      currentId = null;
+      current = null;
+    }
+  } else {
+    if (idx !== -1) incidents[idx] = event.incident;
+    if (currentId === event.id && current) {
+      // Events carry the core and new timeline entries; other histories are re-fetched when they change
+      const known = new Set((current.timeline || []).map(e => e.hash));
+      const added = (event.timeline || []).filter(e => !known.has(e.hash));
+      current = Object.assign({}, current, event.incident, { timeline: (current.timeline || []).concat(added) });
+      if ((event.histories || []).length) refetchCurrent(event.id);
+    }
+  }
+
+  render();
+  scheduleList(false);
+  scheduleMetrics();
 }
 
-#activeFilterHint{
-  align-self: start;
-  margin-top: 26px; 
-  font-size: 12px;
-  color: var(--muted);
-  opacity: .85;
-  white-space: nowrap;
-  pointer-events: none;
+async function refetchCurrent(id){
+  const res = await safeFetch("/incident?id=" + encodeURIComponent(id));
+  if (!res.ok || currentId !== id) return;
+  current = await res.json();
+  render();
+}
+
+function setLiveState(connected){
+  const el = document.getElementById("liveState");
+  if (!el) return;
+  el.textContent = connected ? "● Live" : "○ Reconnecting…";
+  el.style.color = connected ? "#3a9b5a" : "#9aa4b2";
+}
+
+// SLA countdowns tick locally; breaches arrive as live events from the store's alarm
+setInterval(() => {
+  document.querySelectorAll(".sla[data-due]").forEach(tickSla);
+}, 1000);
+
+// Keepalive; answered by the store without waking it from hibernation
+setInterval(() => {
+  if (liveSocket && liveSocket.readyState === WebSocket.OPEN) liveSocket.send("ping");
+}, 30000);
+
+load();
+connectLive();
+</script>
+</body>
+</html>`;
+}
+
+/*
+  Login page: paste an API token once, get a session cookie for the dashboard.
+  `message` is always one of our own fixed strings, never user input.
+*/
+function renderLogin(message) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Sign in · Incident Dashboard</title>
+<style>
+body{
+  margin:0;
+  min-height:100vh;
+  display:grid;
+  place-items:center;
+  background:#0f1216;
+  color:#e6e6e6;
+  font-family:system-ui;
+}
+form{
+  width:340px;
+  background:#151a21;
+  border:1px solid #222;
+  border-radius:12px;
+  padding:24px;
+}
+h2{ margin:0 0 16px 0; }
+input, button{
+  width:100%;
+  height:42px;
+  padding:0 12px;
+  margin-bottom:12px;
+  border-radius:8px;
+  border:1px solid #333;
+  background:#1f2530;
+  color:#fff;
+  font-size:14px;
+  box-sizing:border-box;
+}
+button{ cursor:pointer; font-weight:600; }
+button:hover, input:focus{ border-color:#4ea1ff; outline:none; }
+.error{ color:#ff6b6b; font-size:13px; margin-bottom:12px; }
+</style>
+</head>
+<body>
+<form method="POST" action="/login">
+  <h2>Incident Dashboard</h2>
+  ${message ? `<div class="error">${message}</div>` : ""}
+  <input name="token" type="password" placeholder="API token" autocomplete="current-password" autofocus>
+  <button type="submit">Sign in</button>
+</form>
+</body>
+</html>`;
+}
+/* ======================================================
+   Worker-side helpers
+   ====================================================== */
+
+/*
+  A provider is {
+    run(env, model, { mode, prompt, maxTokens, temperature }) → { text, usage },
+    stream(env, model, settings) → async iterable of { text?, usage? } chunks
+  }.
+  Usage is { promptTokens, completionTokens } when the provider reports it.
+*/
+const AI_PROVIDERS = {
+  "workers-ai": {
+    async run(env, model, { prompt, maxTokens, temperature }) {
+      if (!env.AI) throw new Error("AI binding is not configured");
+
+      const result = await env.AI.run(model, { prompt, max_tokens: maxTokens, temperature });
+      return { text: result?.response || "", usage: workersAiUsage(result?.usage) };
+    },
+
+    // Workers AI streams text/event-stream: data: {"response":"..."} per chunk, then data: [DONE]
+    async *stream(env, model, { prompt, maxTokens, temperature }) {
+      if (!env.AI) throw new Error("AI binding is not configured");
+
+      const body = await env.AI.run(model, { prompt, max_tokens: maxTokens, temperature, stream: true });
+      for await (const data of sseData(body)) {
+        if (data === "[DONE]") return;
+
+        const chunk = JSON.parse(data);
+        yield { text: chunk.response || "", usage: workersAiUsage(chunk.usage) };
+      }
+    }
+  },
+
+  // Same prompt → same reply. Postmortem drafts come back with the expected headings so parsing works offline.
+  stub: {
+    async run(env, model, { mode, prompt }) {
+      const digest = (await sha256Hex(prompt)).slice(0, 12);
+      const title = String(prompt).match(/^Incident: (.*)$/m)?.[1] || "this incident";
+
+      const text =
+        mode === "postmortem"
+          ? POSTMORTEM_SECTIONS.map(s => s.title.toUpperCase() + ":\nStub " + s.title.toLowerCase() + " for " + title + ".").join("\n")
+          : "Stub " + mode + " for " + title + ".\n\nThis is a deterministic offline reply (prompt " + digest + ").";
+
+      return { text, usage: { promptTokens: Math.ceil(prompt.length / 4), completionTokens: Math.ceil(text.length / 4) } };
+    },
+
+    // The same reply a word at a time, paced so the dashboard visibly streams
+    async *stream(env, model, settings) {
+      const { text, usage } = await AI_PROVIDERS.stub.run(env, model, settings);
+
+      for (const word of text.match(/\s*\S+\s*/g) || []) {
+        await new Promise(resolve => setTimeout(resolve, 15));
+        yield { text: word };
+      }
+      yield { usage };
+    }
+  }
+};
+
+function workersAiUsage(usage) {
+  if (!usage) return null;
+  return { promptTokens: usage.prompt_tokens ?? null, completionTokens: usage.completion_tokens ?? null };
 }
 
-@media (max-width: 1200px){
-  .main{
-    grid-template-columns: 1fr;
-    grid-auto-rows: auto;
-    align-content: start;
-  }
+// The "data:" payloads of a text/event-stream body, one per event
+async function* sseData(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
 
-  /* Metrics always first */
-  .metrics{
-    position: static;
-    order: 0;
-    width: 100%;
-    display: grid;
-    grid-template-columns: repeat(2, minmax(0, 1fr));
-    gap: 14px;
-    margin-bottom: 8px;
-  }
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = done ? "" : events.pop();
+
+      for (const event of events) {
+        const data = event
+          .split(/\r?\n/)
+          .filter(line => line.startsWith("data:"))
+          .map(line => line.slice(5).replace(/^ /, ""))
+          .join("\n");
+        if (data) yield data;
+      }
 
-  /* Active filter always second */
-  #activeFilterHint{
-    order: 1;
-    display: block;
-    margin: 4px 0 8px;
-    text-align: center;
+      if (done) return;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
   }
+}
 
-  /* Main panel / empty state always last */
-  #details{
-    order: 2;
-    margin-top: 0;
+/*
+  Provider, settings and models to try (primary first) for one call.
+  Per-mode settings win over the caller's maxTokens (the mode template), which wins over the config.
+*/
+function aiCallPlan(env, { mode, prompt, maxTokens }) {
+  const config = readAiConfig(env);
+  const overrides = config.modes[mode] || {};
+  const primary = overrides.model || config.model;
+
+  return {
+    config,
+    provider: AI_PROVIDERS[config.provider],
+    settings: {
+      mode,
+      prompt,
+      maxTokens: overrides.maxTokens ?? maxTokens ?? config.maxTokens,
+      temperature: overrides.temperature ?? config.temperature
+    },
+    primary,
+    models: [...new Set([primary, overrides.fallbackModel || config.fallbackModel].filter(Boolean))]
+  };
+}
+
+// Settles like promise, or rejects once ms pass or the signal aborts
+function aiDeadline(promise, ms, signal) {
+  let timer;
+  let onAbort;
+
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error("timed out after " + ms + "ms")), ms);
+      onAbort = () => reject(new Error("cancelled"));
+      if (signal?.aborted) onAbort();
+      signal?.addEventListener("abort", onAbort);
+    })
+  ]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  });
+}
+
+/*
+  One AI call with the configured model, then the fallback model.
+  Throws with every attempt's error when none of them produced text.
+*/
+async function runAi(env, call) {
+  const { config, provider, settings, primary, models } = aiCallPlan(env, call);
+  const errors = [];
+  const began = Date.now();
+
+  for (const model of models) {
+    const started = Date.now();
+    try {
+      const out = await aiDeadline(provider.run(env, model, settings), config.timeoutMs);
+      if (!String(out?.text || "").trim()) throw new Error("empty response");
+
+      return {
+        text: out.text,
+        usage: out.usage || null,
+        provider: config.provider,
+        model,
+        fallback: model !== primary,
+        latencyMs: Date.now() - started,
+        status: "complete"
+      };
+    } catch (e) {
+      errors.push(model + ": " + String(e?.message || e));
+    }
   }
+
+  // Callers that keep a record of failed calls find it on error.result
+  const message = "AI unavailable (" + errors.join("; ") + ")";
+  throw Object.assign(new Error(message), {
+    result: aiFailure(config, primary, message, Date.now() - began)
+  });
 }
 
-/* Dropdown arrows (keeps exact same sizing/layout) */
-select{
-  padding-right:34px;
-  background-image:url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='18' height='18' viewBox='0 0 24 24' fill='none' stroke='%239aa4b2' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'%3E%3Cpolyline points='6 9 12 15 18 9'/%3E%3C/svg%3E");
-  background-repeat:no-repeat;
-  background-position:right 12px center;
-  background-size:18px 18px;
+function aiFailure(config, model, error, latencyMs) {
+  return { text: "", usage: null, provider: config.provider, model, fallback: false, latencyMs, status: "failed", error };
 }
-</style>
-</head>
 
-<body>
-<div class="container">
+/*
+  Streaming runAi: onText gets each chunk as it arrives, and timeoutMs applies between chunks.
+  The fallback model is only tried while nothing has been streamed; a later failure keeps the partial text.
+  Never throws. status is "complete", "cancelled" (signal aborted) or "failed" (with error).
+*/
+async function streamAi(env, call, { onText, signal }) {
+  const { config, provider, settings, primary, models } = aiCallPlan(env, call);
+  const errors = [];
+  const began = Date.now();
+
+  for (const model of models) {
+    const started = Date.now();
+    const result = { text: "", usage: null, provider: config.provider, model, fallback: model !== primary };
+    let chunks;
+
+    try {
+      chunks = provider.stream(env, model, settings)[Symbol.asyncIterator]();
+
+      while (true) {
+        const next = await aiDeadline(chunks.next(), config.timeoutMs, signal);
+        if (next.done) break;
+
+        if (next.value?.usage) result.usage = next.value.usage;
+        if (next.value?.text) {
+          result.text += next.value.text;
+          onText(next.value.text);
+        }
+      }
+      if (!result.text.trim()) throw new Error("empty response");
 
-  <div class="sidebar">
-    <h2>Incident Dashboard</h2>
+      return { ...result, latencyMs: Date.now() - started, status: "complete" };
+    } catch (e) {
+      chunks?.return?.().catch(() => {});
+      if (signal?.aborted) return { ...result, latencyMs: Date.now() - started, status: "cancelled" };
 
-    <input id="cid" placeholder="Incident ID">
-    <input id="ctitle" placeholder="Title">
-    <input id="cdesc" placeholder="Description">
+      const message = model + ": " + String(e?.message || e);
+      if (result.text) return { ...result, latencyMs: Date.now() - started, status: "failed", error: message };
+      errors.push(message);
+    }
+  }
 
-    <select id="csev">
-      <option>High</option>
-      <option selected>Medium</option>
-      <option>Low</option>
-    </select>
+  return aiFailure(config, primary, "AI unavailable (" + errors.join("; ") + ")", Date.now() - began);
+}
 
-    <button onclick="create()">Create Incident</button>
+// JSON vars that override a default config; each reader falls back to the default if its var doesn't validate
+const CONFIG_VARS = ["AI_CONFIG", "LIFECYCLE", "SLA_POLICIES", "REDACTION"];
 
-    <hr>
+/*
+  AI_CONFIG var merged over the defaults if it parses and names a known provider, else the defaults.
+  A broken override is reported (GET /config) rather than half-applied.
+*/
+function readAiConfig(env, problems) {
+  if (!env?.AI_CONFIG) return DEFAULT_AI_CONFIG;
 
-    <input id="search" placeholder="Search by title" oninput="renderSidebar(incidents)">
+  try {
+    const config = typeof env.AI_CONFIG === "string" ? JSON.parse(env.AI_CONFIG) : env.AI_CONFIG;
+    const merged = {
+      ...DEFAULT_AI_CONFIG,
+      ...config,
+      modes: config.modes || {},
+      rateLimits: { ...DEFAULT_AI_CONFIG.rateLimits, ...config.rateLimits }
+    };
+    const validLimit = rule =>
+      rule === null || (Number.isInteger(rule?.limit) && rule.limit > 0 && Number(rule.windowMinutes) > 0);
+
+    const valid =
+      AI_PROVIDERS[merged.provider] &&
+      typeof merged.model === "string" &&
+      (!merged.fallbackModel || typeof merged.fallbackModel === "string") &&
+      Number(merged.timeoutMs) > 0 &&
+      typeof merged.modes === "object" &&
+      !Array.isArray(merged.modes) &&
+      validLimit(merged.rateLimits.perIncident) &&
+      validLimit(merged.rateLimits.global);
+
+    if (valid) return merged;
+  } catch {
+    // fall through
+  }
 
-    <label class="small">From date</label>
-    <input id="from" type="date" onchange="renderSidebar(incidents)">
+  problems?.push({ name: "AI_CONFIG", error: "Invalid; using the default AI config" });
+  return DEFAULT_AI_CONFIG;
+}
 
-    <label class="small">Until date</label>
-    <input id="until" type="date" onchange="renderSidebar(incidents)">
+function isBuiltinAiMode(mode) {
+  return BUILTIN_AI_MODES.some(m => m.mode === mode);
+}
 
-    <hr>
+// {{name}} → value; placeholders are validated when a template is saved
+function renderAiTemplate(template, values) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in values ? String(values[name] ?? "") : match));
+}
 
-    <div id="list"></div>
-  </div>
+function severityGuidanceFor(severity, overrides) {
+  const key = SEVERITIES.includes(cap(severity)) ? cap(severity) : "Low";
+  return overrides?.[key] ?? DEFAULT_SEVERITY_GUIDANCE[key];
+}
 
-<div class="main">
-  <div id="details"></div>
-  <div id="activeFilterHint"></div>
-  <div class="metrics" id="metrics"></div>
-</div>
+/*
+  Cleans up AI output so it renders nicely in the UI.
+  - strips markdown artefacts
+  - normalises spacing
+  - keeps paragraphs readable
+*/
+function cleanAIText(text) {
+  return String(text || "")
+    .replace(/\*+/g, "")
+    .replace(/^\s*[-•]\s+/gm, "")
+    .replace(/\n{1,}/g, "\n\n")
+    .trim();
+}
 
-<script>
-let incidents = [];
-let currentId = null;
-let metricFilter = "all"; // all | open | resolved
-let timelineOpen = false;
-let notesOpen = true;
-const aiOpenState = {};
+/*
+  One dot colour per lifecycle state. Colours come from config, so only plain
+  hex/named colours are let through into the stylesheet.
+*/
+function lifecycleDotCss(lifecycle) {
+  return lifecycle.states
+    .map(s => {
+      const color = /^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(String(s.color || "")) ? s.color : "#9aa4b2";
+      return ".dot-" + String(s.name).toLowerCase().replace(/[^a-z0-9]+/g, "-") + "{ background:" + color + "; }";
+    })
+    .join("\n");
+}
 
 /*
-  Metrics
-  These numbers drive the quick “Total/Open/Resolved/Avg Resolution” cards.
+  JSON for inlining into a <script> block ("<" escaped so "</script>" can't end it early).
 */
-function renderMetrics(list){
-  const total = list.length;
-  const open = list.filter(i => (i.status || "").toLowerCase() === "open").length;
-  const resolved = list.filter(i => (i.status || "").toLowerCase() === "resolved").length;
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
 
-  const resolvedWithDates = list.filter(i => i.resolvedAt && i.createdAt);
-  let avg = "—";
-  if (resolvedWithDates.length) {
-    const ms = resolvedWithDates
-      .map(i => new Date(i.resolvedAt).getTime() - new Date(i.createdAt).getTime())
-      .filter(n => Number.isFinite(n) && n >= 0);
+/*
+  Capitalise a string in a predictable way.
+  Used for severity + small UI labels.
+*/
+function cap(s) {
+  const v = String(s || "").trim();
+  if (!v) return "";
+  return v[0].toUpperCase() + v.slice(1).toLowerCase();
+}
 
-    if (ms.length) {
-      const avgMs = ms.reduce((a,b) => a + b, 0) / ms.length;
-      avg = humanDuration(avgMs);
+/*
+  Storage key builders (see layout notes above IncidentStore).
+*/
+// Core record and history arrays (one per ENTRY_KINDS field) of an incident in the GET /incidents shape
+/*
+  An import record with the redaction rules applied to the same text live input goes through:
+  description, legacy additionalContext, note text and timeline bodies (which repeat note text).
+  redactions: [{ field, raw, counts }] per field that matched, raw being the original text(s).
+*/
+function redactImportRecord(record, redaction) {
+  const masked = { ...record, contextNotes: record.contextNotes.map(n => ({ ...n })), timeline: record.timeline.map(e => ({ ...e })) };
+  const redactions = [];
+
+  const mask = (field, targets, key) => {
+    const counts = {};
+    const raw = [];
+    for (const target of targets) {
+      if (typeof target[key] !== "string") continue;
+      const redacted = redactText(target[key], redaction);
+      if (!Object.keys(redacted.counts).length) continue;
+
+      for (const [name, n] of Object.entries(redacted.counts)) counts[name] = (counts[name] || 0) + n;
+      raw.push(target[key]);
+      target[key] = redacted.text;
     }
+    if (raw.length) redactions.push({ field, raw: raw.join("\n\n"), counts });
+  };
+
+  mask("description", [masked], "description");
+  mask("additionalContext", [masked], "additionalContext");
+  mask("contextNotes", masked.contextNotes, "text");
+  mask("timeline", masked.timeline, "body");
+
+  return { record: masked, redactions };
+}
+
+function splitIncident(incident) {
+  const core = { ...incident };
+  const history = {};
+  for (const field of Object.keys(ENTRY_KINDS)) {
+    history[field] = core[field];
+    delete core[field];
   }
+  return { core, history };
+}
 
-metrics.innerHTML =
-  '<div class="metric" tabindex="0" data-filter="all">' +
-    '<div class="label">Total</div>' +
-    '<div class="value">' + total + '</div>' +
-  '</div>' +
+function incidentKey(id) {
+  return "incident:" + encodeURIComponent(id);
+}
 
-  '<div class="metric" tabindex="0" data-filter="open">' +
-    '<div class="label">Open</div>' +
-    '<div class="value">' + open + '</div>' +
-  '</div>' +
+function entryPrefix(kind, id) {
+  return kind + ":" + encodeURIComponent(id) + ":";
+}
 
-  '<div class="metric" tabindex="0" data-filter="resolved">' +
-    '<div class="label">Resolved</div>' +
-    '<div class="value">' + resolved + '</div>' +
-  '</div>' +
+// Zero-padded so lexicographic key order matches insertion order
+function seqKey(seq) {
+  return String(seq).padStart(8, "0");
+}
 
-  '<div class="metric" tabindex="0" data-filter="">' +
-    '<div class="label">Avg Resolution</div>' +
-    '<div class="value">' + avg + '</div>' +
-  '</div>';
+function chainHeadKey(kind, id) {
+  return "chain:" + kind + ":" + encodeURIComponent(id);
 }
 
-function humanDuration(ms){
-  const mins = Math.round(ms / 60000);
-  if (mins < 60) return mins + "m";
-  const hrs = Math.round(mins / 60);
-  if (hrs < 24) return hrs + "h";
-  const days = Math.round(hrs / 24);
-  return days + "d";
+function aiModeKey(mode) {
+  return "ai-mode:" + encodeURIComponent(mode);
 }
 
-/*
-  Sidebar rendering
-  Keeps existing search + date filters, then splits into Open / Closed.
-*/
-function renderSidebar(list){
-  listEl.innerHTML = "";
+function aiModeVersionPrefix(mode) {
+  return "ai-mode-version:" + encodeURIComponent(mode) + ":";
+}
 
-  const q = (search.value || "").toLowerCase().trim();
-  const fromD = fromDate();
-  const untilD = untilDate();
+function tombstoneKey(id) {
+  return "tombstone:" + encodeURIComponent(id);
+}
 
-  const filtered = list.filter(i => {
-    const t = (i.title || "").toLowerCase();
-    const created = i.createdAt ? new Date(i.createdAt) : null;
+function deliveryKey(webhookId, deliveryId) {
+  return "delivery:" + webhookId + ":" + deliveryId;
+}
 
-    const okTitle = !q || t.includes(q);
-    const okFrom = !fromD || (created && created >= fromD);
-    const okUntil = !untilD || (created && created <= untilD);
+function webhookQueueKey(dueMs, deliveryId) {
+  return "webhook-queue:" + String(dueMs).padStart(15, "0") + ":" + deliveryId;
+}
 
-    return okTitle && okFrom && okUntil;
-  });
+function slaQueueKey(dueMs, id) {
+  return "sla-queue:" + String(dueMs).padStart(15, "0") + ":" + encodeURIComponent(id);
+}
 
-  const openCases = filtered.filter(i => i.status !== "Resolved");
-  const closedCases = filtered.filter(i => i.status === "Resolved");
+/*
+  Metrics
+  Derived from each core's stateChanges and acknowledgedAt, which the timeline fills in for
+  incidents from before them, so reopened and older incidents are measured the same way.
+  - MTTA: creation → first status change or incident commander assignment
+  - MTTR: time spent in open states, for incidents that are closed now (time sitting closed
+    before a reopen doesn't count)
+  - time in state: per incident, summed across visits. The current state counts up to now,
+    unless it is closed (then it only counts once the incident leaves it).
+  Durations are milliseconds.
+*/
+const METRIC_GROUPS = ["severity", "day", "week", "month"];
 
-  if (openCases.length) {
-    listEl.appendChild(sectionHeader("Open Cases"));
-    openCases.forEach(i => listEl.appendChild(renderRow(i)));
-  }
+/*
+  Status moves and the first acknowledgement, read from a timeline: what a core's stateChanges
+  and acknowledgedAt hold for incidents from before them, and for imports.
+*/
+function timelineStateChanges(timeline) {
+  const stateChanges = [];
+  let acknowledged = null;
 
-  if (closedCases.length) {
-    listEl.appendChild(sectionHeader("Closed Cases"));
-    closedCases.forEach(i => listEl.appendChild(renderRow(i)));
-  }
+  for (const entry of timeline || []) {
+    if (Number.isNaN(Date.parse(entry.createdAt))) continue;
 
-  if (!openCases.length && !closedCases.length) {
-    const empty = document.createElement("div");
-    empty.style.color = "#9aa4b2";
-    empty.style.fontSize = "13px";
-    empty.textContent = "No incidents found.";
-    listEl.appendChild(empty);
+    const isStatus = entry.title === "Status Changed";
+    if (!acknowledged && (isStatus || entry.title === "Incident Commander Assigned")) acknowledged = entry;
+    if (!isStatus) continue;
+
+    // Older entries only have "→ Status" in the body
+    const to = entry.to || String(entry.body || "").split("\n")[0].match(/→\s*(.+)$/)?.[1]?.trim();
+    if (to) stateChanges.push({ at: entry.createdAt, from: entry.from || null, to });
   }
+
+  return { stateChanges, acknowledgedAt: acknowledged?.createdAt || null, acknowledgedBy: acknowledged?.actor || null };
 }
 
-function renderRow(i){
-  const row = document.createElement("div");
-  row.className = "incident";
+// From the core's stateChanges when it has them, else from its timeline (full records from older stores)
+function incidentHistory(incident, lifecycle, now) {
+  const createdMs = Date.parse(incident.createdAt);
+  if (Number.isNaN(createdMs)) return null;
+
+  const source = incident.stateChanges ? incident : timelineStateChanges(incident.timeline);
+  const transitions = source.stateChanges.map(t => ({ ...t, at: Date.parse(t.at) })).filter(t => !Number.isNaN(t.at));
+  const ackAt = Date.parse(source.acknowledgedAt);
+  const ackMs = Number.isNaN(ackAt) ? null : ackAt - createdMs;
+
+  const timeInState = {};
+  let status = transitions[0]?.from || lifecycle.initial;
+  let since = createdMs;
+  let openMs = 0;
+  let reopens = 0;
+  let resolutions = 0;
+
+  const leave = (at) => {
+    const ms = Math.max(0, at - since);
+    timeInState[status] = (timeInState[status] || 0) + ms;
+    if (!isClosedStatus(lifecycle, status)) openMs += ms;
+  };
 
-  const name = document.createElement("div");
-  name.className = "name";
-  name.textContent = i.id + " (" + cap(i.severity) + ")";
-  name.addEventListener("click", () => show(i.id));
+  for (const t of transitions) {
+    leave(t.at);
+    if (isClosedStatus(lifecycle, status) && !isClosedStatus(lifecycle, t.to)) reopens++;
+    if (!isClosedStatus(lifecycle, status) && isClosedStatus(lifecycle, t.to)) resolutions++;
+    status = t.to;
+    since = t.at;
+  }
 
-  const dot = document.createElement("div");
-  dot.className = "status-dot " + statusDotClass(i.status);
+  const closed = isClosedStatus(lifecycle, status);
+  if (!closed) leave(now);
+
+  return {
+    severity: cap(incident.severity) || "Unknown",
+    createdAt: incident.createdAt,
+    status,
+    closed,
+    ackMs,
+    resolveMs: closed ? openMs : null,
+    reopens,
+    resolutions,
+    timeInState
+  };
+}
 
-  const bin = document.createElement("div");
-  bin.className = "bin";
-  bin.textContent = "🗑";
-  bin.addEventListener("click", (e) => {
-    e.stopPropagation();
-    removeIncident(i.id);
-  });
+function summariseHistories(histories) {
+  const timeInState = {};
+  for (const h of histories) {
+    for (const [status, ms] of Object.entries(h.timeInState)) {
+      (timeInState[status] ||= []).push(ms);
+    }
+  }
 
-  const tools = document.createElement("div");
-  tools.className = "tools";
-  tools.append(dot, bin);
+  return {
+    incidents: histories.length,
+    open: histories.filter(h => !h.closed).length,
+    resolved: histories.filter(h => h.closed).length,
+    reopened: histories.filter(h => h.reopens > 0).length,
+    reopens: histories.reduce((sum, h) => sum + h.reopens, 0),
+    mtta: durationStats(histories.map(h => h.ackMs)),
+    mttr: durationStats(histories.map(h => h.resolveMs)),
+    timeInState: Object.fromEntries(Object.entries(timeInState).map(([status, list]) => [status, durationStats(list)]))
+  };
+}
 
-  row.append(name, tools);
-  return row;
+// Nearest-rank percentiles; nulls (not acknowledged / not resolved yet) are left out
+function durationStats(values) {
+  const sorted = values.filter(v => typeof v === "number" && v >= 0).sort((a, b) => a - b);
+  if (!sorted.length) return { count: 0, meanMs: null, medianMs: null, p90Ms: null };
+
+  const rank = p => sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+  return {
+    count: sorted.length,
+    meanMs: Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+    medianMs: rank(0.5),
+    p90Ms: rank(0.9)
+  };
 }
 
-function sectionHeader(text){
-  const h = document.createElement("div");
-  h.textContent = text;
-  h.style.margin = "14px 0 6px";
-  h.style.fontSize = "12px";
-  h.style.fontWeight = "600";
-  h.style.letterSpacing = ".04em";
-  h.style.color = "#9aa4b2";
-  return h;
+// Date buckets are UTC; weeks start on Monday and are keyed by that date
+function metricGroupKey(history, groupBy) {
+  if (groupBy === "severity") return history.severity;
+  if (groupBy === "month") return history.createdAt.slice(0, 7);
+  if (groupBy === "day") return history.createdAt.slice(0, 10);
+
+  const d = new Date(history.createdAt);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
 }
 
-function statusDotClass(status){
-  const s = String(status || "Open").toLowerCase();
-  if (s === "resolved") return "dot-resolved";
-  if (s === "investigating") return "dot-investigating";
-  return "dot-open";
+// null when absent, undefined when unparseable; a bare date as an upper bound means end of that day
+function parseRangeBound(value, endOfDay) {
+  if (!value) return null;
+  const bareDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const ms = Date.parse(bareDate ? value + (endOfDay ? "T23:59:59.999Z" : "T00:00:00.000Z") : value);
+  return Number.isNaN(ms) ? undefined : new Date(ms).toISOString();
 }
 
 /*
-  Main panel
-  Shows details, notes, timeline, and AI outputs.
-  Resolved cases intentionally collapse controls.
+  Incident queries (GET /incidents)
+  Lists are comma-separated; q needs every word somewhere in the id, title or description.
+  sort is one of INCIDENT_SORTS, "-" prefixed for descending; ties break on id.
+  Cursors are opaque to clients: base64url of [sort, sort value, id] of the last row returned.
 */
-function show(id){
-  currentId = id;
-  const i = incidents.find(x => x.id === id);
-  if (!i) {
-    details.innerHTML = "";
-    return;
+const INCIDENT_SORTS = ["createdAt", "updatedAt", "resolvedAt", "severity", "title"];
+const INCIDENT_VIEWS = ["full", "summary"];
+const INCIDENT_PAGE_DEFAULT = 50;
+const INCIDENT_PAGE_MAX = 200;
+
+function incidentQuery(params, lifecycle, actor) {
+  const list = name => String(params.get(name) || "").split(",").map(s => s.trim()).filter(Boolean);
+
+  const statuses = list("status");
+  const stateNames = lifecycle.states.map(s => s.name);
+  const unknownStatus = statuses.find(s => !stateNames.includes(s));
+  if (unknownStatus) {
+    return { error: "Unknown status: " + unknownStatus + " (expected one of: " + stateNames.join(", ") + ")" };
   }
 
-  const status = i.status || "Open";
-  const isResolved = status === "Resolved";
-  const notes = Array.isArray(i.contextNotes) ? i.contextNotes : [];
+  const severities = list("severity").map(cap);
+  const unknownSeverity = list("severity").find(s => !SEVERITIES.includes(cap(s)));
+  if (unknownSeverity) {
+    return { error: "Unknown severity: " + unknownSeverity + " (expected one of: " + SEVERITIES.join(", ") + ")" };
+  }
+
+  const flags = {};
+  for (const name of ["closed", "mine"]) {
+    const value = params.get(name);
+    if (value && value !== "0" && value !== "1") return { error: "Invalid " + name + " (expected 0 or 1)" };
+    flags[name] = value ? value === "1" : null;
+  }
+
+  const bounds = {};
+  for (const [name, endOfDay] of [["createdFrom", false], ["createdTo", true], ["resolvedFrom", false], ["resolvedTo", true]]) {
+    bounds[name] = parseRangeBound(params.get(name), endOfDay);
+    if (bounds[name] === undefined) return { error: "Invalid " + name + " (expected an ISO date or timestamp)" };
+  }
+
+  const sortParam = params.get("sort") || "createdAt";
+  const sort = { param: sortParam, field: sortParam.replace(/^-/, ""), dir: sortParam.startsWith("-") ? -1 : 1 };
+  if (!INCIDENT_SORTS.includes(sort.field)) {
+    return { error: "Unknown sort: " + sortParam + " (expected one of: " + INCIDENT_SORTS.join(", ") + ", optionally prefixed with -)" };
+  }
+
+  const view = params.get("view") || "full";
+  if (!INCIDENT_VIEWS.includes(view)) {
+    return { error: "Unknown view: " + view + " (expected one of: " + INCIDENT_VIEWS.join(", ") + ")" };
+  }
+
+  let limit = null;
+  if (params.get("limit") !== null) {
+    limit = Number(params.get("limit"));
+    if (!Number.isInteger(limit) || limit < 1 || limit > INCIDENT_PAGE_MAX) {
+      return { error: "Invalid limit (expected 1-" + INCIDENT_PAGE_MAX + ")" };
+    }
+  }
+
+  let cursor = null;
+  if (params.get("cursor")) {
+    cursor = decodeIncidentCursor(params.get("cursor"), sort);
+    if (!cursor) return { error: "Invalid cursor (it must come from a query with the same sort)" };
+    limit ??= INCIDENT_PAGE_DEFAULT;
+  }
+
+  const fields = list("fields");
+
+  return {
+    query: {
+      archived: params.get("archived") === "1",
+      statuses,
+      severities,
+      closed: flags.closed,
+      mine: flags.mine,
+      words: String(params.get("q") || "").toLowerCase().split(/\s+/).filter(Boolean),
+      ...bounds,
+      sort,
+      view,
+      fields: fields.length ? ["id", ...fields.filter(f => f !== "id")] : null,
+      limit,
+      cursor,
+      actor
+    }
+  };
+}
+
+// Everything but closed/mine, which queryIncidents applies after counting
+function matchesIncidentQuery(core, query) {
+  if (query.statuses.length && !query.statuses.includes(core.status)) return false;
+  if (query.severities.length && !query.severities.includes(core.severity)) return false;
 
-  let html = "";
+  const created = core.createdAt || "";
+  if ((query.createdFrom && created < query.createdFrom) || (query.createdTo && created > query.createdTo)) return false;
 
-  html += "<div class='card'>";
+  // A resolved range leaves out anything not resolved yet
+  if (query.resolvedFrom || query.resolvedTo) {
+    const resolved = core.resolvedAt;
+    if (!resolved || (query.resolvedFrom && resolved < query.resolvedFrom) || (query.resolvedTo && resolved > query.resolvedTo)) {
+      return false;
+    }
+  }
 
-  // Title row: title left, created time right
-  html += "<div style='display:flex;justify-content:space-between;align-items:baseline;gap:12px'>";
-  html += "<h3 style='margin:0'>" + escapeHtml(i.title) + "</h3>";
-  html += "<div style='font-size:12px;font-weight:600;color:#9aa4b2'>";
-  html += "Created: " + (i.createdAt ? niceDate(i.createdAt) : "-");
-  html += "</div>";
-  html += "</div>";
+  if (query.words.length) {
+    const text = [core.id, core.title, core.description].join("\n").toLowerCase();
+    if (!query.words.every(word => text.includes(word))) return false;
+  }
+  return true;
+}
 
-  html += "<p style='font-size:13px;color:#d7dde6'>" + escapeHtml(i.description) + "</p>";
-if (isResolved) {
-  html += "<div style='height:1px;background:#222;margin:14px 0'></div>";
+// Commander or responder on the case
+function isAssignedTo(incident, actor) {
+  return incident.commander === actor?.name || (Array.isArray(incident.responders) && incident.responders.includes(actor?.name));
+}
 
-  html += "<div style='font-weight:700;font-size:20px;margin:8px 0'>";
-  html += "Post Incident Review";
-  html += "</div>";
+// [value, id]; severity sorts by rank, missing values sort first
+function incidentSortKey(core, field) {
+  const value = field === "severity" ? SEVERITIES.indexOf(core.severity) : String(core[field] || "");
+  return [value, String(core.id)];
+}
 
-  html += "<div style='height:1px;background:#222;margin:14px 0'></div>";
+function compareSortKeys(a, b) {
+  if (a[0] !== b[0]) return a[0] < b[0] ? -1 : 1;
+  return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
 }
 
-  // Status controls only make sense for active cases
-  if (!isResolved) {
-    html += "<div style='font-weight:700;font-size:15px;margin:12px 0 6px 0'>Status</div>";
-    html += "<select id='statusSelect'>";
-    html += optionHtml("Open", status);
-    html += optionHtml("Investigating", status);
-    html += optionHtml("Resolved", status);
-    html += "</select>";
+function encodeIncidentCursor(sort, key) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify([sort.param, ...key])));
+}
 
-    html += "<button id='changeStatusBtn' style='width:auto;padding:0 14px'>Change Status</button>";
+// null unless the cursor parses and was issued for the same sort
+function decodeIncidentCursor(cursor, sort) {
+  try {
+    const [param, value, id] = JSON.parse(new TextDecoder().decode(base64UrlDecode(cursor)));
+    if (param !== sort.param || typeof id !== "string") return null;
+    if (typeof value !== (sort.field === "severity" ? "number" : "string")) return null;
+    return [value, id];
+  } catch {
+    return null;
   }
+}
 
-if (i.resolvedAt) {
-  html += "<div style='margin-top:10px;text-align:right;font-size:12px'>";
-  html += "<strong style='color:#fff;font-weight:700'>Resolved:</strong> ";
-  html += "<span style='color:#9aa4b2;font-weight:600'>" + niceDate(i.resolvedAt) + "</span>";
-  html += "</div>";
+function pickFields(record, fields) {
+  return Object.fromEntries(fields.filter(f => f in record).map(f => [f, record[f]]));
 }
 
-  // Notes (collapsible)
-html += "<div style='margin-top:14px'>";
+/*
+  Full-text search (GET /search)
+  Terms are lower-cased runs of letters and digits, 2-40 characters, minus common stop words.
+  Bump SEARCH_INDEX_VERSION whenever that changes: after its next start the store rebuilds the
+  index in batches from the alarm, tracking progress under SEARCH_BUILD_KEY.
+*/
+const SEARCH_INDEX_KEY = "search-index";
+const SEARCH_INDEX_VERSION = 1;
+const SEARCH_BUILD_KEY = "search-build";
+const SEARCH_BUILD_CLEAR_KEYS = 1024; // old postings deleted per alarm run
+const SEARCH_BUILD_INCIDENTS = 25; // incidents indexed per alarm run
+const SEARCH_KINDS = ["note", "timeline", "ai"];
+const SEARCH_WEIGHTS = { title: 3, description: 2, note: 1.5, timeline: 1, ai: 0.8 };
+const SEARCH_TOKEN = /[\p{L}\p{N}]+/gu;
+const SEARCH_STOP_WORDS = new Set(
+  ("an and are as at be but by can for from had has have if in into is it its no not of on or our so " +
+   "than that the their them then there they this to was we were what when which who will with you").split(" ")
+);
+const SEARCH_PREFIX_MIN = 3;
+const SEARCH_PREFIX_WEIGHT = 0.6;
+const SEARCH_SCAN_PAGE = 1000; // postings per storage read
+const SEARCH_PREFIX_SCAN_MAX = 5000; // postings of longer terms read per query word
+const SEARCH_LIMIT_DEFAULT = 20;
+const SEARCH_LIMIT_MAX = 50;
+const SEARCH_MATCHES_PER_RESULT = 3;
+const SEARCH_SNIPPET_CHARS = 160;
+const SEARCH_SNIPPET_LEAD = 50; // context kept before the first hit
+
+function searchKey(term, id) {
+  return "search:" + term + ":" + encodeURIComponent(id);
+}
 
-const lastNoteIso = notes.length ? notes[notes.length - 1].createdAt : "";
-const lastNoteNice = lastNoteIso ? niceDate(lastNoteIso) : "—";
+function searchTerms(text) {
+  return [...String(text || "").toLowerCase().matchAll(SEARCH_TOKEN)]
+    .map(m => m[0])
+    .filter(term => term.length >= 2 && term.length <= 40 && !SEARCH_STOP_WORDS.has(term));
+}
 
-html += "<div class='note-wrap' style='padding:6px 12px;border-left:3px solid var(--focus)'>";
+function searchTermCounts(text) {
+  const counts = new Map();
+  for (const term of searchTerms(text)) counts.set(term, (counts.get(term) || 0) + 1);
+  return counts;
+}
 
-html += "<div style='display:flex;justify-content:space-between;align-items:baseline;margin-bottom:8px'>";
+// What gets indexed for each entry kind; a timeline entry's title is its label, not its content
+function searchableText(kind, entry) {
+  return (kind === "timeline" ? entry?.body : entry?.text) || "";
+}
 
-html += "<strong" +
-        (isResolved && !notesOpen ? " style='position:relative;top:30px'" : "") +
-        ">Additional Context (Notes)</strong>";
+// Text around the first hit with whitespace folded; highlights are [start, end) string offsets into the snippet
+function searchSnippet(text, terms) {
+  const flat = String(text || "").replace(/\s+/g, " ").trim();
+  const isHit = m => terms.has(m[0].toLowerCase());
+  const first = [...flat.matchAll(SEARCH_TOKEN)].find(isHit);
 
-html += "<span style='font-size:12px;color:#9aa4b2;font-weight:600'>";
-html += "Last updated: " + escapeHtml(lastNoteNice);
-html += "</span>";
+  let start = 0;
+  if (first && first.index > SEARCH_SNIPPET_LEAD) start = flat.lastIndexOf(" ", first.index - SEARCH_SNIPPET_LEAD) + 1;
+  let end = Math.min(flat.length, start + SEARCH_SNIPPET_CHARS);
+  if (end < flat.length && flat.lastIndexOf(" ", end) > start) end = flat.lastIndexOf(" ", end);
 
-html += "</div>";
+  const snippet = (start > 0 ? "…" : "") + flat.slice(start, end) + (end < flat.length ? "…" : "");
+  const highlights = [...snippet.matchAll(SEARCH_TOKEN)].filter(isHit).map(m => [m.index, m.index + m[0].length]);
+  return { snippet, highlights };
+}
 
-html += "<div id='notesInner' style='display:" + (notesOpen ? "block" : "none") + "'>";
-html += "<div class='note-list'>" + renderNotes(notes) + "</div>";
+/*
+  OpenMetrics helpers
+  Bucket bounds are upper limits in seconds; +Inf is added automatically.
+*/
+const RESOLUTION_BUCKETS_SECONDS = [300, 900, 1800, 3600, 7200, 14400, 28800, 86400, 259200, 604800];
+const AI_LATENCY_BUCKETS_SECONDS = [0.5, 1, 2, 5, 10, 20, 30, 60];
 
-if (!isResolved) {
-  html += "<textarea id='noteInput' placeholder='Add what you tried, logs, symptoms, mitigations, errors…'></textarea>";
-  html += "<div style='height:10px'></div>";
+/*
+  Running totals behind the counters and histograms:
+  { created: { severity: n }, resolved: { severity: n }, resolution: { severity: histogram },
+    aiCalls: { mode: n }, aiTokens: { mode: { prompt, completion } }, aiLatency: histogram }
+  A histogram is { buckets: [n per bound, then +Inf], count, sum }; null until its first observation.
+*/
+const METRIC_COUNTERS_KEY = "metric-counters";
+
+function emptyMetricCounters() {
+  return { created: {}, resolved: {}, resolution: {}, aiCalls: {}, aiTokens: {}, aiLatency: null };
 }
 
-html += "</div>";
+function observe(histogram, bounds, value) {
+  const h = histogram || { buckets: Array(bounds.length + 1).fill(0), count: 0, sum: 0 };
+  const index = bounds.findIndex(le => value <= le);
+  h.buckets[index === -1 ? bounds.length : index]++;
+  h.count++;
+  h.sum += value;
+  return h;
+}
 
-html += "<div style='display:flex;align-items:center;justify-content:space-between;gap:10px;margin-top:10px'>";
+function countCreated(counters, severity) {
+  const key = cap(severity) || "Unknown";
+  counters.created[key] = (counters.created[key] || 0) + 1;
+}
 
-if (!isResolved) {
-  html += "<button id='addNoteBtn' style='width:auto;padding:0 14px'>Add Note</button>";
-} else {
-  html += "<div></div>";
+function countResolution(counters, severity, resolveMs) {
+  const key = cap(severity) || "Unknown";
+  counters.resolved[key] = (counters.resolved[key] || 0) + 1;
+  if (resolveMs !== null) counters.resolution[key] = observe(counters.resolution[key], RESOLUTION_BUCKETS_SECONDS, resolveMs / 1000);
 }
 
-html += "<button id='toggleNotesBtn' style='width:auto;padding:0 12px;font-size:12px'>";
-html += notesOpen ? "Hide" : "Show";
-html += "</button>";
+// call: an AI output, a postmortem draft version or a runAi/streamAi result (usage, latencyMs)
+function countAiCall(counters, mode, call) {
+  counters.aiCalls[mode] = (counters.aiCalls[mode] || 0) + 1;
+  for (const [kind, field] of [["prompt", "promptTokens"], ["completion", "completionTokens"]]) {
+    const n = call.usage?.[field];
+    if (typeof n !== "number") continue;
+    counters.aiTokens[mode] ||= {};
+    counters.aiTokens[mode][kind] = (counters.aiTokens[mode][kind] || 0) + n;
+  }
+  if (typeof call.latencyMs === "number") {
+    counters.aiLatency = observe(counters.aiLatency, AI_LATENCY_BUCKETS_SECONDS, call.latencyMs / 1000);
+  }
+}
 
-html += "</div>";
+// A whole stored incident at once (seeding an older store, imports); its current severity stands for all of it
+function countIncident(counters, incident, lifecycle, now) {
+  countCreated(counters, incident.severity);
 
-html += "</div>";
-html += "</div>";
+  const history = incidentHistory(incident, lifecycle, now);
+  if (history) {
+    const key = cap(incident.severity) || "Unknown";
+    counters.resolved[key] = (counters.resolved[key] || 0) + history.resolutions;
+    if (history.resolveMs !== null) counters.resolution[key] = observe(counters.resolution[key], RESOLUTION_BUCKETS_SECONDS, history.resolveMs / 1000);
+  }
 
-  // Timeline (collapsible)
-const timeline = Array.isArray(i.timeline) ? i.timeline : [];
-const lastTimelineIso = timeline.length
-  ? timeline[timeline.length - 1].createdAt
-  : "";
-const lastTimelineNice = lastTimelineIso ? niceDate(lastTimelineIso) : "—";
+  // AI postmortem drafts are versions rather than aiOutput entries; they count as mode "postmortem"
+  for (const output of incident.aiOutput) countAiCall(counters, String(output.type || "unknown"), output);
+  for (const draft of incident.postmortemVersions.filter(v => v.source === "ai")) countAiCall(counters, "postmortem", draft);
+}
 
-html += "<div style='margin-top:14px'>";
-html += "<div class='" + (timelineOpen ? "note-wrap" : "ai-block") + "'>";
+function histogramLines(name, labels, bounds, histogram) {
+  const h = histogram || { buckets: Array(bounds.length + 1).fill(0), count: 0, sum: 0 };
+  const lines = [];
+  let count = 0;
+  [...bounds, "+Inf"].forEach((le, i) => {
+    count += h.buckets[i];
+    lines.push(name + "_bucket" + metricLabels({ ...labels, le: String(le) }) + " " + count);
+  });
+  lines.push(name + "_count" + metricLabels(labels) + " " + h.count);
+  lines.push(name + "_sum" + metricLabels(labels) + " " + h.sum);
+  return lines;
+}
 
-html += "<div style='display:flex;align-items:center;justify-content:space-between'>";
+function metricLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([k, v]) => k + '="' + String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n") + '"'
+  );
+  return pairs.length ? "{" + pairs.join(",") + "}" : "";
+}
 
-html += "<strong style='position:relative;top:3px'>Timeline</strong>";
+/*
+  Exports
+  The JSON dump is every incident with its full history, in the GET /incidents shape.
+  Bump EXPORT_VERSION only if that shape changes incompatibly.
+*/
+const EXPORT_FORMAT = "incident-export";
+const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  ["id", i => i.id],
+  ["title", i => i.title],
+  ["severity", i => i.severity],
+  ["status", i => i.status],
+  ["description", i => i.description],
+  ["createdAt", i => i.createdAt],
+  ["createdBy", i => i.createdBy],
+  ["acknowledgedAt", i => i.acknowledgedAt],
+  ["resolvedAt", i => i.resolvedAt],
+  ["resolutionSummary", i => i.resolutionSummary],
+  ["commander", i => i.commander],
+  ["responders", i => (i.responders || []).join("; ")],
+  ["source", i => i.source],
+  ["slaBreaches", i => i.sla?.breaches || 0],
+  ["notes", i => i.contextNotes.length],
+  ["timelineEntries", i => i.timeline.length],
+  ["aiOutputs", i => i.aiOutput.length],
+  ["postmortemVersions", i => i.postmortemVersions.length],
+  ["openActionItems", i => (i.actionItems || []).filter(a => a.status === "open").length],
+  ["archivedAt", i => i.archivedAt],
+  ["updatedAt", i => i.updatedAt]
+];
+
+function incidentsCsv(incidents) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  for (const incident of incidents) rows.push(CSV_COLUMNS.map(([, get]) => get(incident)));
+  return rows.map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
 
-html += "<div style='display:flex;align-items:center;gap:12px'>";
+// RFC 4180 quoting; a leading = + - @ is defused so spreadsheets don't run it as a formula
+function csvCell(value) {
+  let v = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(v)) v = "'" + v;
+  return /[",\r\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v;
+}
 
-html += "<span style='font-size:12px;color:#9aa4b2;font-weight:600'>";
-html += "Last updated: " + escapeHtml(lastTimelineNice);
-html += "</span>";
+/*
+  Markdown report: metadata, lifecycle timestamps, notes, the timeline and the
+  latest AI artefact of each kind. Plain GitHub-flavoured Markdown so it pastes into most wikis.
+*/
+function incidentReport(incident, lifecycle, generatedAt) {
+  const history = incidentHistory(incident, lifecycle, Date.parse(generatedAt));
+  const by = (at, who) => (at ? at + (who ? " by " + who : "") : "—");
+
+  const rows = [
+    ["Severity", incident.severity],
+    ["Status", incident.status],
+    ["Incident commander", incident.commander || "Unassigned"],
+    ["Responders", (incident.responders || []).join(", ") || "—"],
+    ["Created", by(incident.createdAt, incident.createdBy)],
+    ["Acknowledged", by(incident.acknowledgedAt, incident.acknowledgedBy)],
+    ["Resolved", incident.resolvedAt || "—"],
+    ["Time to acknowledge", history?.ackMs != null ? formatDuration(history.ackMs) : "—"],
+    ["Time to resolve", history?.resolveMs != null ? formatDuration(history.resolveMs) : "—"],
+    ["Reopened", history ? String(history.reopens) : "—"]
+  ];
+  if (incident.source) rows.push(["Source", incident.source + " alert"]);
+  if (incident.archivedAt) rows.push(["Archived", by(incident.archivedAt, incident.archivedBy)]);
+
+  const lines = [
+    "# " + incident.id + ": " + mdInline(incident.title),
+    "",
+    "| Field | Value |",
+    "| --- | --- |",
+    ...rows.map(([k, v]) => "| " + k + " | " + mdCell(v) + " |"),
+    "",
+    "## Description",
+    "",
+    incident.description || "—"
+  ];
+
+  if (incident.resolutionSummary) lines.push("", "## Resolution Summary", "", incident.resolutionSummary);
+
+  const statusChanges = incident.timeline.filter(e => e.title === "Status Changed");
+  lines.push("", "## Lifecycle", "", "- " + incident.createdAt + ": created as " + (statusChanges[0]?.from || lifecycle.initial));
+  for (const e of statusChanges) {
+    const change = e.from && e.to ? e.from + " → " + e.to : String(e.body || "").split("\n")[0];
+    lines.push("- " + e.createdAt + ": " + mdInline(change) + (e.actor ? " (" + e.actor + ")" : ""));
+  }
 
-html += "<button id='toggleTimelineBtn' style='width:auto;padding:0 12px;font-size:12px;position:relative;top:6px'>";
-html += timelineOpen ? "Hide" : "Show";
-html += "</button>";
+  const actionItems = incident.actionItems || [];
+  lines.push("", "## Action Items", "");
+  if (!actionItems.length) lines.push("None.");
+  for (const a of actionItems) {
+    lines.push(
+      "- [" + (a.status === "done" ? "x" : " ") + "] #" + a.id + " " + mdInline(a.title) +
+        (a.status === "dropped" ? " (dropped)" : "") +
+        " (owner: " + mdInline(a.owner || "unassigned") + (a.dueAt ? ", due " + a.dueAt : "") + ")"
+    );
+  }
 
-html += "</div>";
-html += "</div>";
+  lines.push("", "## Context Notes", "");
+  if (!incident.contextNotes.length) lines.push("None.");
+  for (const n of incident.contextNotes) {
+    lines.push("- **" + n.createdAt + "**" + (n.actor ? " (" + n.actor + ")" : "") + ": " + mdBlock(n.text));
+  }
 
-html += "<div id='timelineWrap' style='display:" + (timelineOpen ? "block" : "none") + "'>";
-html += "<div class='note-list'>" + renderTimeline(timeline) + "</div>";
-html += "</div>";
+  lines.push("", "## Timeline", "", "| Time | Event | Details | By |", "| --- | --- | --- | --- |");
+  for (const e of incident.timeline) {
+    lines.push(
+      "| " + e.createdAt + " | " + mdCell(((e.icon || "") + " " + (e.title || "")).trim()) + " | " + mdCell(e.body) + " | " + mdCell(e.actor) + " |"
+    );
+  }
 
-html += "</div>";
-html += "</div>";
+  const postmortem = incident.postmortemVersions[incident.postmortemVersions.length - 1];
+  if (postmortem) {
+    lines.push(
+      "",
+      "## Postmortem",
+      "",
+      "_Version " + postmortem.version + ", " + (postmortem.source === "ai" ? "AI draft" : "edited") +
+        " by " + postmortem.actor + ", " + postmortem.createdAt + "_"
+    );
+    for (const { key, title } of POSTMORTEM_SECTIONS) {
+      lines.push("", "### " + title, "", postmortem.sections[key] || "—");
+    }
+  }
 
-  // AI buttons removed on resolved; replaced by reopen
-  html += "<div class='actions'>";
-  if (!isResolved) {
-    html += "<button data-ai='summary'>AI: Summary</button>";
-    html += "<button data-ai='next_steps'>AI: Next Steps</button>";
-    html += "<button data-ai='stakeholder_update'>AI: Stakeholder Update</button>";
-  } else {
-    html += "<button id='reopenBtn'>Reopen Case</button>";
+  // Latest artefact per AI mode, newest first
+  const latest = new Map();
+  for (const o of incident.aiOutput) {
+    if (!o.status || o.status === "complete") latest.set(o.type, o);
+  }
+  const artefacts = [...latest.values()].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+  lines.push("", "## Latest AI Artefacts", "");
+  if (!artefacts.length) lines.push("None.");
+  for (const o of artefacts) {
+    lines.push(
+      "### " + (o.title || o.type),
+      "",
+      "_" + o.createdAt + (o.actor ? ", requested by " + o.actor : "") + "_",
+      "",
+      String(o.text || "").replace(/^Update time:.*\n*/i, "").trim(),
+      ""
+    );
   }
-  html += "</div>";
 
-  html += "</div>";
+  lines.push("", "_Report generated " + generatedAt + "._", "");
+  return lines.join("\n");
+}
 
-  // AI output blocks (latest first)
-const outputs = (i.aiOutput || []).slice().reverse();
+/*
+  Action item helpers
+  actionItemInput returns the validated fields present in raw, or { error }. A title is required on create.
+  owner must be a configured user (empty clears it); dueAt is anything Date.parse reads, stored as ISO.
+*/
+function actionItemInput(raw, env, { create }) {
+  const fields = {};
+
+  if (create || raw?.title !== undefined) {
+    const title = String(raw?.title || "").trim();
+    if (!title) return { error: "Missing title" };
+    if (title.length > 200) return { error: "title is longer than 200 characters" };
+    fields.title = title;
+  }
 
-for (const o of outputs) {
-  const key = o.createdAt + ":" + o.type;
-  const isOpen = aiOpenState[key] !== false;
+  if (raw?.owner !== undefined) {
+    const owner = String(raw.owner || "").trim() || null;
+    if (owner && !readAuthUsers(env).some(u => String(u.name) === owner)) {
+      return { error: "Unknown user: " + owner };
+    }
+    fields.owner = owner;
+  }
 
-  html += "<div class='ai-block'>";
+  if (raw?.dueAt !== undefined) {
+    const due = raw.dueAt ? Date.parse(raw.dueAt) : null;
+    if (Number.isNaN(due)) return { error: "Invalid dueAt: " + String(raw.dueAt) };
+    fields.dueAt = due === null ? null : new Date(due).toISOString();
+  }
 
-  html += "<div style='display:flex;justify-content:space-between;align-items:center'>";
+  if (!create && raw?.status !== undefined) {
+    if (!ACTION_ITEM_STATUSES.includes(raw.status)) {
+      return { error: "Unknown status: " + String(raw.status) + " (expected one of: " + ACTION_ITEM_STATUSES.join(", ") + ")" };
+    }
+    fields.status = raw.status;
+  }
 
-  html += "<strong style='position:relative;top:3px'>" +
-        escapeHtml(o.title || "AI Output") +
-        "</strong>";
+  return { fields };
+}
 
-  html += "<div style='display:flex;align-items:center;gap:12px'>";
+function actionItemLines(item) {
+  return [
+    "#" + item.id + " " + item.title,
+    "Owner: " + (item.owner || "Unassigned"),
+    "Due: " + (item.dueAt || "none"),
+    ...(item.fromAi ? ["Accepted from AI next steps"] : [])
+  ];
+}
 
-  if (!isOpen) {
-    html += "<span style='font-size:12px;color:#9aa4b2;font-weight:600'>";
-    html += "Last updated: " + escapeHtml(o.createdAt ? niceDate(o.createdAt) : "");
-    html += "</span>";
+/*
+  Numbered steps ("1. Do this. Because that.") out of a next-steps reply, before cleanAIText flattens it.
+  title is the step's first sentence, detail the rest including wrapped lines; a blank line ends a step.
+*/
+function parseSteps(text) {
+  const steps = [];
+  let current = null;
+
+  for (const raw of String(text || "").replace(/\*+/g, "").split(/\r?\n/)) {
+    const line = raw.trim();
+    const numbered = line.match(/^\d{1,2}[.)]\s+(.+)$/);
+
+    if (numbered) {
+      current = { text: numbered[1] };
+      steps.push(current);
+    } else if (!line) {
+      current = null;
+    } else if (current) {
+      current.text += " " + line;
+    }
   }
 
-html += "<button data-ai-toggle='" + escapeHtml(key) + "' " +
-        "style='width:auto;padding:0 10px;font-size:12px;position:relative;top:6px'>" +
-        (isOpen ? "Hide" : "Show") +
-        "</button>";
+  return steps.slice(0, 20).map(({ text: step }) => {
+    const [, title = step, detail = ""] = step.match(/^(.+?[.!?])\s+(.+)$/) || [];
+    return { title: title.replace(/\.$/, "").slice(0, 200), detail: detail.slice(0, 500) };
+  });
+}
 
-  html += "</div>";
-  html += "</div>";
+/*
+  Postmortem helpers
+  The draft is split on the requested headings; text before the first one is dropped.
+  If the model ignored the headings entirely, everything lands in Impact for a human to sort out.
+*/
+function parsePostmortemDraft(text) {
+  const sections = Object.fromEntries(POSTMORTEM_SECTIONS.map(s => [s.key, []]));
+  let current = null;
+  let found = false;
+
+  for (const line of String(text).split("\n")) {
+    const plain = line.replace(/[#*_]/g, "").trim();
+    const heading = POSTMORTEM_SECTIONS.find(s => {
+      const title = s.title.toLowerCase();
+      const lower = plain.toLowerCase();
+      return lower === title || lower.startsWith(title + ":");
+    });
 
-  if (isOpen) {
-    html += "<pre>" + escapeHtml(formatAI(o)) + "</pre>";
+    if (heading) {
+      current = heading.key;
+      found = true;
+      const rest = plain.slice(heading.title.length).replace(/^:\s*/, "");
+      if (rest) sections[current].push(rest);
+      continue;
+    }
+
+    if (current) sections[current].push(line.replace(/\*+/g, "").trimEnd());
   }
 
-  html += "</div>";
+  const result = Object.fromEntries(Object.entries(sections).map(([k, v]) => [k, v.join("\n").trim()]));
+  if (!found) result.impact = String(text).replace(/\*+/g, "").trim();
+  return result;
 }
 
-details.innerHTML = html;
+// Line diff via LCS: [{ op: " " | "-" | "+", text }]. Very large inputs fall back to remove-all / add-all.
+function lineDiff(before, after) {
+  const a = before ? before.split("\n") : [];
+  const b = after ? after.split("\n") : [];
 
-document.querySelectorAll("[data-ai-toggle]").forEach(btn => {
-  btn.addEventListener("click", () => {
-    const key = btn.getAttribute("data-ai-toggle");
-    aiOpenState[key] = !(aiOpenState[key] !== false);
-    show(currentId);
-  });
-});
+  if (a.length * b.length > 250000) {
+    return [...a.map(text => ({ op: "-", text })), ...b.map(text => ({ op: "+", text }))];
+  }
 
-  // Event binding kept defensive (elements may not exist on resolved view)
-  const statusBtn = document.getElementById("changeStatusBtn");
-  if (statusBtn) statusBtn.addEventListener("click", changeStatus);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
 
-  const noteBtn = document.getElementById("addNoteBtn");
-  if (noteBtn) {
-  noteBtn.addEventListener("click", () => {
-    if (!notesOpen) {
-      notesOpen = true;
-      show(currentId);
-      setTimeout(() => {
-        const box = document.getElementById("noteInput");
-        if (box) box.focus();
-      }, 0);
-      return;
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ op: " ", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: "-", text: a[i++] });
+    } else {
+      out.push({ op: "+", text: b[j++] });
     }
-    addNote();
-  });
+  }
+  while (i < a.length) out.push({ op: "-", text: a[i++] });
+  while (j < b.length) out.push({ op: "+", text: b[j++] });
+  return out;
 }
 
-  const toggleNotesBtn = document.getElementById("toggleNotesBtn");
-if (toggleNotesBtn) {
-  toggleNotesBtn.addEventListener("click", () => {
-    notesOpen = !notesOpen;
-    show(currentId);
-  });
+function postmortemOpenResponse(incident) {
+  return new Response("Postmortems are for closed incidents (status is " + incident.status + ")", { status: 409 });
 }
 
-  const reopenBtn = document.getElementById("reopenBtn");
-  if (reopenBtn) reopenBtn.addEventListener("click", reopenCase);
+function mdInline(text) {
+  return String(text ?? "").replace(/\s*\n\s*/g, " ");
+}
 
-  document.querySelectorAll("[data-ai]").forEach(btn => {
-    btn.addEventListener("click", () => {
-      runAI(btn.getAttribute("data-ai"));
-    });
-  });
+// Table cells: no pipes or line breaks
+function mdCell(text) {
+  return mdInline(text).replace(/\|/g, "\\|") || "—";
+}
 
-  // Timeline toggle
-  const toggleBtn = document.getElementById("toggleTimelineBtn");
-  const timelineWrap = document.getElementById("timelineWrap");
-  if (toggleBtn && timelineWrap) {
-    toggleBtn.addEventListener("click", () => {
-  timelineOpen = !timelineOpen;
-  timelineWrap.style.display = timelineOpen ? "block" : "none";
-  toggleBtn.textContent = timelineOpen ? "Hide" : "Show";
-});
-  }
+// Multi-line text inside a list item: continuation lines are indented
+function mdBlock(text) {
+  return String(text ?? "").split("\n").join("\n  ");
+}
+
+// 90061000 → "1d 1h 1m"
+function formatDuration(ms) {
+  const mins = Math.round(ms / 60000);
+  if (mins < 1) return "<1m";
+  const parts = [];
+  if (mins >= 1440) parts.push(Math.floor(mins / 1440) + "d");
+  if (mins % 1440 >= 60) parts.push(Math.floor((mins % 1440) / 60) + "h");
+  if (mins % 60) parts.push((mins % 60) + "m");
+  return parts.join(" ");
+}
+
+// For Content-Disposition filenames
+function fileSafe(text) {
+  return String(text).replace(/[^a-z0-9._-]+/gi, "_");
 }
 
 /*
-  Actions: CRUD + AI calls
+  Import validation
+  Required fields are checked; history arrays that are missing or not arrays become empty,
+  the same guardrail the legacy routes (and migrateLegacyArray) apply.
 */
-async function create(){
-  const payload = {
-    id: cid.value.trim(),
-    title: ctitle.value.trim(),
-    description: cdesc.value.trim(),
-    severity: csev.value
-  };
+const IMPORT_CONFLICT_MODES = ["skip", "overwrite", "rename"];
 
-  const res = await safeFetch("/incident", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload)
-  });
+function validateImportRecord(raw, lifecycle) {
+  const errors = [];
+  const warnings = [];
 
-  if (!res.ok) {
-    alert(await res.text());
-    return;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { record: null, errors: ["Record is not an object"], warnings };
   }
 
-  cid.value = "";
-  ctitle.value = "";
-  cdesc.value = "";
-  await load();
-}
+  const record = { ...raw };
+  for (const field of ["id", "title", "description", "status"]) {
+    record[field] = typeof raw[field] === "string" ? raw[field].trim() : "";
+    if (!record[field]) errors.push("Missing " + field);
+  }
+
+  record.severity = cap(raw.severity);
+  if (!SEVERITIES.includes(record.severity)) {
+    errors.push("Unknown severity: " + String(raw.severity) + " (expected one of: " + SEVERITIES.join(", ") + ")");
+  }
+
+  if (Number.isNaN(Date.parse(raw.createdAt))) errors.push("Missing or invalid createdAt");
+
+  if (record.status && !lifecycle.states.some(s => s.name === record.status)) {
+    warnings.push("Status " + record.status + " is not in the active lifecycle");
+  }
+
+  for (const field of Object.keys(ENTRY_KINDS)) {
+    if (!Array.isArray(raw[field])) {
+      if (raw[field] !== undefined) warnings.push(field + " was not an array; imported as empty");
+      record[field] = [];
+      continue;
+    }
+    if (raw[field].some(e => !e || typeof e !== "object" || Array.isArray(e))) {
+      errors.push(field + " contains entries that are not objects");
+    }
+  }
 
-async function changeStatus(){
-  const sel = document.getElementById("statusSelect");
-  if (!sel || !currentId) return;
+  return { record, errors, warnings };
+}
 
-  const res = await safeFetch("/status", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ id: currentId, status: sel.value })
-  });
+// "intact", "unsealed" (no hashes at all) or "broken": same rules as verifyChain, on an in-memory list
+async function chainState(kind, id, entries) {
+  let prevHash = null;
+  let sealed = 0;
 
-  if (!res.ok) {
-    alert(await res.text());
-    return;
+  for (let seq = 0; seq < entries.length; seq++) {
+    const entry = entries[seq];
+    if (!entry.hash) {
+      if (sealed) return "broken";
+      continue;
+    }
+    if ((entry.prevHash || null) !== prevHash) return "broken";
+    if ((await entryHash(kind, id, seq, entry)) !== entry.hash) return "broken";
+    prevHash = entry.hash;
+    sealed++;
   }
 
-  await load();
-  show(currentId);
+  return sealed ? "intact" : "unsealed";
 }
 
-async function addNote(){
-  const box = document.getElementById("noteInput");
-  if (!box || !currentId) return;
+// Time-ordered, collision-safe id for records that are listed chronologically
+function sortableId() {
+  return Date.now().toString(36).padStart(9, "0") + "-" + crypto.randomUUID().slice(0, 8);
+}
 
-  const text = box.value.trim();
-  if (!text) return;
+/*
+  Incident without its history arrays or legacy fields.
+  This is the shape external consumers (webhooks) can rely on.
+*/
+function incidentSummary(incident) {
+  return {
+    id: incident.id,
+    title: incident.title,
+    description: incident.description,
+    severity: incident.severity,
+    status: incident.status,
+    createdAt: incident.createdAt,
+    createdBy: incident.createdBy || null,
+    updatedAt: incident.updatedAt,
+    resolvedAt: incident.resolvedAt || null,
+    resolutionSummary: incident.resolutionSummary || null,
+    archivedAt: incident.archivedAt || null,
+    commander: incident.commander || null,
+    responders: Array.isArray(incident.responders) ? incident.responders : [],
+    acknowledgedAt: incident.acknowledgedAt || null,
+    sla: incident.sla || null
+  };
+}
 
-  const res = await safeFetch("/context-note", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ id: currentId, text })
-  });
+/*
+  Lifecycle config: LIFECYCLE var (JSON) if it parses and hangs together, else the default.
+  A broken override is reported (GET /config) rather than half-applied.
+*/
+function readLifecycle(env, problems) {
+  if (!env?.LIFECYCLE) return DEFAULT_LIFECYCLE;
 
-  if (!res.ok) {
-    alert(await res.text());
-    return;
+  try {
+    const config = typeof env.LIFECYCLE === "string" ? JSON.parse(env.LIFECYCLE) : env.LIFECYCLE;
+    const names = new Set((config.states || []).map(s => s?.name));
+
+    const valid =
+      names.size > 0 &&
+      names.size === config.states.length &&
+      names.has(config.initial) &&
+      (!config.reopen || names.has(config.reopen)) &&
+      Object.entries(config.transitions || {}).every(
+        ([from, to]) => names.has(from) && Array.isArray(to) && to.every(n => names.has(n))
+      );
+
+    if (valid) return { reopen: config.initial, ...config, transitions: config.transitions || {} };
+  } catch {
+    // fall through
   }
 
-  box.value = "";
-  await load();
-  show(currentId);
+  problems?.push({ name: "LIFECYCLE", error: "Invalid; using the default lifecycle" });
+  return DEFAULT_LIFECYCLE;
 }
 
-async function runAI(mode){
-  const res = await safeFetch("/ai", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ id: currentId, mode })
-  });
+/*
+  SLA config: SLA_POLICIES var (JSON, keyed by severity) if every policy is well-formed, else the default
+  (reported by GET /config). A severity missing from the override simply has no SLA.
+*/
+function readSlaPolicies(env, problems) {
+  if (!env?.SLA_POLICIES) return DEFAULT_SLA_POLICIES;
 
-  if (!res.ok) {
-    alert(await res.text());
-    return;
+  try {
+    const config = typeof env.SLA_POLICIES === "string" ? JSON.parse(env.SLA_POLICIES) : env.SLA_POLICIES;
+    const positive = v => v === undefined || v === null || (typeof v === "number" && v > 0);
+
+    const valid =
+      config &&
+      typeof config === "object" &&
+      Object.entries(config).every(
+        ([severity, p]) => SEVERITIES.includes(severity) && p && positive(p.ackMinutes) && positive(p.updateMinutes)
+      );
+
+    if (valid) return config;
+  } catch {
+    // fall through
   }
 
-  await load();
-  show(currentId);
+  problems?.push({ name: "SLA_POLICIES", error: "Invalid; using the default SLA policies" });
+  return DEFAULT_SLA_POLICIES;
 }
 
-async function removeIncident(id){
-  const res = await safeFetch("/incident?id=" + encodeURIComponent(id), { method: "DELETE" });
-  if (!res.ok) {
-    alert(await res.text());
-    return;
-  }
+/*
+  Redaction config: REDACTION var (JSON) merged over the defaults, with custom rules compiled.
+  A custom rule needs a name and a pattern that compiles and can't match empty text;
+  if any part is off, the whole override is reported (GET /config) and the defaults are used.
+*/
+function readRedaction(env, problems) {
+  const compile = config => ({
+    keepOriginal: config.keepOriginal === true,
+    rules: [
+      ...REDACTION_RULES.filter(r => (r.optIn ? config.enable.includes(r.name) : !config.disable.includes(r.name))),
+      ...config.rules.map(r => ({ name: r.name, pattern: new RegExp(r.pattern, String(r.flags || "").replace(/g/g, "") + "g") }))
+    ]
+  });
 
-  if (currentId === id) {
-    currentId = null;
-    details.innerHTML = "";
+  if (!env?.REDACTION) return compile(DEFAULT_REDACTION);
+
+  try {
+    const raw = typeof env.REDACTION === "string" ? JSON.parse(env.REDACTION) : env.REDACTION;
+    const config = { ...DEFAULT_REDACTION, ...raw };
+
+    const valid =
+      Array.isArray(config.enable) &&
+      Array.isArray(config.disable) &&
+      Array.isArray(config.rules) &&
+      config.rules.every(
+        r =>
+          /^[a-z0-9-]{1,40}$/.test(String(r?.name)) &&
+          typeof r.pattern === "string" &&
+          !new RegExp(r.pattern, String(r.flags || "").replace(/g/g, "")).test("")
+      );
+
+    if (valid) return compile(config);
+  } catch {
+    // fall through (bad JSON or a pattern that doesn't compile)
   }
 
-  await load();
+  problems?.push({ name: "REDACTION", error: "Invalid; using the default redaction rules" });
+  return compile(DEFAULT_REDACTION);
 }
 
-async function reopenCase(){
-  if (!currentId) return;
-
-  const res = await safeFetch("/status", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ id: currentId, status: "Investigating" })
-  });
+// { text, counts: { rule: matches } }; counts is empty when nothing matched
+function redactText(text, redaction) {
+  const counts = {};
+  let out = String(text || "");
 
-  if (!res.ok) {
-    alert(await res.text());
-    return;
+  for (const { name, pattern } of redaction.rules) {
+    out = out.replace(pattern, () => {
+      counts[name] = (counts[name] || 0) + 1;
+      return "[REDACTED:" + name + "]";
+    });
   }
 
-  await load();
-  show(currentId);
+  return { text: out, counts };
 }
 
 /*
-  Helpers: mostly string/HTML rendering and safety guards.
+  Deadlines for an incident as it stands now. Breach timestamps carry over from the
+  previous state; `breached` lists the SLAs currently in breach (for the dashboard).
+  Closed and archived incidents have no deadlines.
 */
-function optionHtml(value, current){
-  return "<option " + (value === current ? "selected" : "") + ">" + value + "</option>";
+function slaState(incident, policies, lifecycle) {
+  const previous = incident.sla || {};
+  const policy = policies[cap(incident.severity)] || null;
+  const open = !incident.archivedAt && !isClosedStatus(lifecycle, incident.status);
+
+  // Incidents from before SLAs have no acknowledgedAt; having moved on from the initial state counts
+  const acknowledged = Boolean(incident.acknowledgedAt || incident.commander || incident.status !== lifecycle.initial);
+  const lastUpdate = incident.lastUpdateAt || incident.createdAt;
+  const ackBreachedAt = previous.ackBreachedAt || null;
+  const updateBreachedAt = previous.updateBreachedAt || null;
+
+  const ackDueAt = open && !acknowledged && policy?.ackMinutes ? addMinutes(incident.createdAt, policy.ackMinutes) : null;
+
+  // After a breach the update clock restarts from the breach, so silence keeps escalating
+  const updateFrom = updateBreachedAt && updateBreachedAt > lastUpdate ? updateBreachedAt : lastUpdate;
+  const updateDueAt = open && policy?.updateMinutes ? addMinutes(updateFrom, policy.updateMinutes) : null;
+
+  const breached = [];
+  if (open && ackDueAt && ackBreachedAt) breached.push("acknowledge");
+  if (open && updateBreachedAt && updateBreachedAt >= lastUpdate) breached.push("update");
+
+  return {
+    policy,
+    ackDueAt,
+    updateDueAt,
+    nextCheckAt: [ackBreachedAt ? null : ackDueAt, updateDueAt].filter(Boolean).sort()[0] || null,
+    breached,
+    ackBreachedAt,
+    updateBreachedAt,
+    breaches: previous.breaches || 0
+  };
 }
 
-function renderNotes(notes){
-  if (!notes || !notes.length) {
-    return "<div class='note'>"
-      + "No notes yet. Add what you tried, then run AI: Next Steps."
-      + "<span class='note-meta'></span>"
-      + "</div>";
-  }
+function addMinutes(iso, minutes) {
+  const ms = Date.parse(iso);
+  return Number.isNaN(ms) ? null : new Date(ms + minutes * 60e3).toISOString();
+}
 
-  return notes
-    .slice(-40)
-    .map(n => {
-      const meta = n.createdAt ? niceDate(n.createdAt) : "";
-      return "<div class='note'>"
-        + escapeHtml(n.text || "")
-        + "<span class='note-meta'>" + escapeHtml(meta) + "</span>"
-        + "</div>";
-    })
-    .join("");
+function isClosedStatus(lifecycle, status) {
+  return Boolean(lifecycle.states.find(s => s.name === status)?.closed);
 }
-    function updateActiveFilterHint(){
-  const el = document.getElementById("activeFilterHint");
-  if (!el) return;
 
-  if (metricFilter === "open") {
-    el.textContent = "Active filter: Open cases";
-  } else if (metricFilter === "resolved") {
-    el.textContent = "Active filter: Resolved cases";
-  } else {
-    el.textContent = "Active filter: Total cases";
-  }
+// "resolutionSummary" → "Resolution summary"
+function fieldLabel(field) {
+  const words = String(field).replace(/([A-Z])/g, " $1").trim().toLowerCase();
+  return words ? words[0].toUpperCase() + words.slice(1) : "";
 }
 
 /*
-  Empty state for the main panel.
+  Alert ingestion
+  Normalises Alertmanager and generic payloads into:
+  { source, status: "firing" | "resolved", fingerprint, title, description, severity, labels, startsAt, endsAt }
+
+  Generic alerts: { title, description?, severity?, status?, fingerprint?, source?, labels? },
+  posted alone, as an array, or as { alerts: [...] }.
 */
-function renderEmptyMainState(hasIncidents){
-  return "<div class='card' style='opacity:.85'>"
-    + "<h3>" + (hasIncidents ? "No Incident Selected" : "No Incidents Yet") + "</h3>"
-    + "<p>"
-    + (hasIncidents
-        ? "Select an incident from the left to view details, investigate, add context notes, or generate AI-assisted guidance."
-        : "Create a new incident using the form on the left to begin tracking and investigation.")
-    + "</p>"
-    + "<p style='color:#9aa4b2;font-size:13px'>"
-    + "This panel will populate automatically once an incident is selected."
-    + "</p>"
-    + "</div>";
+async function normalizeAlerts(body) {
+  const list = Array.isArray(body) ? body : Array.isArray(body?.alerts) ? body.alerts : body ? [body] : [];
+  const out = [];
+
+  for (const raw of list) {
+    if (!raw || typeof raw !== "object") continue;
+
+    // Alertmanager alerts always carry labels (alertname at minimum)
+    if (raw.labels && typeof raw.labels === "object" && !raw.title) {
+      const labels = raw.labels;
+      const annotations = raw.annotations || {};
+      const title =
+        String(annotations.summary || "").trim() ||
+        String(labels.alertname || "Alert") + (labels.instance ? " on " + labels.instance : "");
+
+      out.push({
+        source: "alertmanager",
+        status: raw.status === "resolved" ? "resolved" : "firing",
+        fingerprint: String(raw.fingerprint || "") || (await sha256Hex(canonicalJson(labels))),
+        title,
+        description: String(annotations.description || annotations.message || "").trim() || title,
+        severity: alertSeverity(labels.severity),
+        labels,
+        startsAt: raw.startsAt || null,
+        endsAt: raw.status === "resolved" ? raw.endsAt || null : null
+      });
+      continue;
+    }
+
+    const title = String(raw.title || "").trim();
+    if (!title) continue;
+
+    const source = String(raw.source || "generic").trim();
+    out.push({
+      source,
+      status: raw.status === "resolved" ? "resolved" : "firing",
+      fingerprint: String(raw.fingerprint || "") || (await sha256Hex(source + "\n" + title)),
+      title,
+      description: String(raw.description || "").trim() || title,
+      severity: alertSeverity(raw.severity),
+      labels: raw.labels && typeof raw.labels === "object" ? raw.labels : {},
+      startsAt: raw.startsAt || null,
+      endsAt: raw.status === "resolved" ? raw.endsAt || null : null
+    });
+  }
+
+  return out;
 }
 
-function safeText(v){
-  return typeof v === "string" && v.trim() ? v : "";
+// Monitoring severities vary by team; fold them into our three
+function alertSeverity(value) {
+  const v = String(value || "").toLowerCase();
+  if (["critical", "page", "high", "error", "p1", "sev1"].includes(v)) return "High";
+  if (["info", "low", "minor", "none", "p4", "p5", "sev4"].includes(v)) return "Low";
+  return "Medium";
 }
 
-function renderTimeline(timeline){
-  if (!timeline || !timeline.length) {
-    return "<div class='note'>No timeline yet.<span class='note-meta'></span></div>";
-  }
+// Position and owner are part of the hash, so entries can't be moved between incidents or reordered
+async function entryHash(kind, id, seq, entry) {
+  const { hash, ...content } = entry;
+  return sha256Hex(canonicalJson({ incidentId: id, kind, seq, entry: content }));
+}
 
-  return timeline
-    .slice(-60)
-    .map(e => {
-      const icon = safeText(e.icon);
-      const title = safeText(e.title);
-      let body = safeText(e.body);
-      const meta = e.createdAt ? niceDate(e.createdAt) : "";
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return toHex(new Uint8Array(digest));
+}
 
-      // Normalise "Action: ..." into a friendlier title case
-      if (body.toLowerCase().startsWith("action:")) {
-        const raw = body.slice(7).trim(); // after "Action:"
-        const cleaned = raw
-  .replaceAll("_", " ")
-  .split(" ")
-  .map(w => w ? w[0].toUpperCase() + w.slice(1) : "")
-  .join(" ");
-        body = "Action: " + cleaned;
-      }
+// Stable JSON (sorted keys) so equal objects always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return "[" + value.map(canonicalJson).join(",") + "]";
+  if (value && typeof value === "object") {
+    return "{" + Object.keys(value).sort().map(k => JSON.stringify(k) + ":" + canonicalJson(value[k])).join(",") + "}";
+  }
+  return JSON.stringify(value ?? null);
+}
 
-      return "<div class='note'>" +
-             escapeHtml((icon ? icon + " " : "") + title) +
-             (body ? "<br>" + escapeHtml(body) : "") +
-             "<span class='note-meta'>" + escapeHtml(meta) + "</span>" +
-             "</div>";
-    })
-    .join("");
+function archivedResponse() {
+  return new Response("Incident is archived; restore it first", { status: 409 });
 }
 
-async function safeFetch(url, options){
-  try {
-    const res = await fetch(url, options);
-    if (!res.ok) {
-      const msg = await res.text();
-      alert(msg || "Request failed");
-    }
-    return res;
-  } catch (e) {
-    alert("Network error");
-    return new Response("Network error", { status: 599 });
-  }
+function aiRateLimitedResponse(hit) {
+  const minutes = Math.max(1, Math.ceil(hit.retryAfter / 60));
+  return new Response(
+    "AI rate limit reached " + (hit.scope === "global" ? "across all incidents" : "for this incident") +
+      ": " + hit.limit + " model calls per " + hit.windowMinutes + " minutes. Try again in " + minutes +
+      " minute" + (minutes === 1 ? "" : "s") + ", or use the latest output.",
+    { status: 429, headers: { "Retry-After": String(hit.retryAfter) } }
+  );
 }
 
-// Renders timestamps nicely and strips duplicate "Update time:" lines from stored body
-function formatAI(o){
-  if (!o) return "";
-  const stamp = o.createdAt ? niceDate(o.createdAt) : "";
-  const raw = String(o.text || "");
-  const cleaned = raw.replace(/^Update time:.*\\n*/i, "");
-  return (stamp ? "Update time: " + stamp + "\\n\\n" : "") + cleaned;
+// Last 4 characters are enough to tell secrets apart, and only for long ones
+function maskWebhook(hook) {
+  const secret = String(hook.secret || "");
+  return { ...hook, secret: "••••" + (secret.length > 12 ? secret.slice(-4) : "") };
 }
 
-function niceDate(iso){
-  const d = new Date(iso);
-  if (Number.isNaN(d.getTime())) return String(iso || "");
-  return d.toLocaleDateString() + ", " + d.toLocaleTimeString();
+/*
+  Auth helpers
+  No users configured means nobody gets in (fail closed), not everybody.
+*/
+function readAuthUsers(env) {
+  try {
+    const users = JSON.parse(env.AUTH_USERS || "[]");
+    return Array.isArray(users) ? users.filter(u => u?.name && u?.token) : [];
+  } catch {
+    return [];
+  }
 }
 
-function cap(s){
-  if (!s) return "";
-  const v = String(s).trim();
-  return v ? v[0].toUpperCase() + v.slice(1).toLowerCase() : "";
+function findUserByToken(env, token) {
+  if (!token) return null;
+  const user = readAuthUsers(env).find(u => timingSafeEqual(String(u.token), token));
+  return user ? toActor(user) : null;
 }
 
-function fromDate(){
-  return from.value ? new Date(from.value) : null;
+function toActor(user) {
+  const role = ROLES.includes(user.role) ? user.role : "viewer";
+  return { name: String(user.name), role };
 }
 
-function untilDate(){
-  return until.value ? new Date(until.value + "T23:59:59") : null;
+function hasRole(actor, required) {
+  return ROLES.indexOf(actor?.role) >= ROLES.indexOf(required);
 }
 
-function escapeHtml(str){
-  return String(str)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
+async function authenticate(request, env) {
+  const header = request.headers.get("Authorization") || "";
+  if (header.startsWith("Bearer ")) {
+    return findUserByToken(env, header.slice(7).trim());
+  }
+
+  const session = parseCookies(request.headers.get("Cookie"))[SESSION_COOKIE];
+  return session ? verifySession(env, session) : null;
 }
 
 /*
-  DOM refs
+  Session cookie: base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload)).
+  The payload only carries the user name and expiry; the user must still exist on every request.
 */
-const listEl = document.getElementById("list");
-const details = document.getElementById("details");
-const metrics = document.getElementById("metrics");
+async function createSessionCookie(env, user) {
+  if (!env.SESSION_SECRET) return null;
+
+  const payload = base64UrlEncode(
+    new TextEncoder().encode(
+      JSON.stringify({ name: user.name, exp: Date.now() + SESSION_TTL_SECONDS * 1000 })
+    )
+  );
+  const signature = base64UrlEncode(await hmacSha256(env.SESSION_SECRET, payload));
+
+  return (
+    SESSION_COOKIE + "=" + payload + "." + signature +
+    "; Path=/; Max-Age=" + SESSION_TTL_SECONDS + "; HttpOnly; Secure; SameSite=Strict"
+  );
+}
 
-const cid = document.getElementById("cid");
-const ctitle = document.getElementById("ctitle");
-const cdesc = document.getElementById("cdesc");
-const csev = document.getElementById("csev");
+async function verifySession(env, value) {
+  if (!env.SESSION_SECRET) return null;
 
-const search = document.getElementById("search");
-const from = document.getElementById("from");
-const until = document.getElementById("until");
+  const [payload, signature] = String(value).split(".");
+  if (!payload || !signature) return null;
 
-/*
-  Load:
-  - fetch incidents
-  - render metrics + bind filter behaviour
-  - update sidebar + main panel
-*/
-async function load(){
-  const res = await safeFetch("/incidents");
-  incidents = await res.json();
+  const expected = base64UrlEncode(await hmacSha256(env.SESSION_SECRET, payload));
+  if (!timingSafeEqual(expected, signature)) return null;
 
-  renderMetrics(incidents);
+  let session;
+  try {
+    session = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+  } catch {
+    return null;
+  }
 
-  document.querySelectorAll(".metric").forEach(m => {
-  const filter = m.dataset.filter;
-  const isActive = filter && filter === metricFilter;
-  m.classList.toggle("active", isActive);
+  if (!session?.name || !(session.exp > Date.now())) return null;
 
-  m.onclick = () => {
-    if (!filter) return;
-    metricFilter = filter;
-    load();
-  };
+  // Removing a user from AUTH_USERS ends their sessions too
+  // Role changes apply immediately too; only the name travels in the cookie
+  const user = readAuthUsers(env).find(u => u.name === session.name);
+  return user ? toActor(user) : null;
+}
 
-  m.onkeydown = (e) => {
-    if (e.key === "Enter") {
-      m.click();
-    }
-  };
-});
+// Raw HMAC bytes; callers pick the encoding (base64url for cookies, hex for webhooks)
+async function hmacSha256(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return new Uint8Array(mac);
+}
 
-  const filteredForSidebar =
-    metricFilter === "open"
-      ? incidents.filter(i => i.status !== "Resolved")
-      : metricFilter === "resolved"
-      ? incidents.filter(i => i.status === "Resolved")
-      : incidents;
+function toHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, "0")).join("");
+}
 
-  renderSidebar(filteredForSidebar);
+// Constant-time for equal lengths; length itself isn't treated as secret
+function timingSafeEqual(a, b) {
+  const x = String(a);
+  const y = String(b);
+  if (x.length !== y.length) return false;
 
-const hint = document.getElementById("activeFilterHint");
-if (hint) {
-  hint.textContent =
-    metricFilter === "open"
-      ? "Active filter: Open cases"
-      : metricFilter === "resolved"
-      ? "Active filter: Resolved cases"
-      : "Active filter: Total cases";
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x.charCodeAt(i) ^ y.charCodeAt(i);
+  return diff === 0;
 }
 
-  if (currentId && incidents.some(i => i.id === currentId)) {
-    show(currentId);
-  } else {
-    details.innerHTML = renderEmptyMainState(incidents.length > 0);
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    out[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
   }
+  return out;
 }
 
-load();
-</script>
-</body>
-</html>`;
+function base64UrlEncode(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
 }
-/* ======================================================
-   Worker-side helpers
-   ====================================================== */
 
-/*
-  Cleans up AI output so it renders nicely in the UI.
-  - strips markdown artefacts
-  - normalises spacing
-  - keeps paragraphs readable
-*/
-function cleanAIText(text) {
-  return String(text || "")
-    .replace(/\*+/g, "")
-    .replace(/^\s*[-•]\s+/gm, "")
-    .replace(/\n{1,}/g, "\n\n")
-    .trim();
+function base64UrlDecode(str) {
+  const b64 = String(str).replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
 }
 
 /*
-  Capitalise a string in a predictable way.
-  Used for severity + small UI labels.
+  Reads the identity the Worker entry attached. The store is only reachable through
+  the Worker, so a missing header means something bypassed authentication.
 */
-function cap(s) {
-  const v = String(s || "").trim();
-  if (!v) return "";
-  return v[0].toUpperCase() + v.slice(1).toLowerCase();
+function readActor(request) {
+  try {
+    const actor = JSON.parse(decodeURIComponent(request.headers.get(ACTOR_HEADER) || ""));
+    return actor?.name && ROLES.includes(actor.role) ? actor : null;
+  } catch {
+    return null;
+  }
+}
+
+function downloadResponse(body, type, filename) {
+  return new Response(body, {
+    headers: {
+      "Content-Type": type,
+      "Content-Disposition": 'attachment; filename="' + filename + '"'
+    }
+  });
+}
+
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
 }
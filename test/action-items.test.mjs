@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const add = (world, items) => world.call("POST", "/action-items", { id: "INC-1", items }, "tok-rob");
+const update = (world, itemId, fields) => world.call("PATCH", "/action-items", { id: "INC-1", itemId, ...fields }, "tok-rob");
+const resolve = (world, extra = {}) =>
+  world.call("POST", "/status", { id: "INC-1", status: "Resolved", resolutionSummary: "Rolled back", ...extra }, "tok-cole");
+const incident = async world => (await world.call("GET", "/incident?id=INC-1")).json;
+
+test("added items are numbered from 1, open, and each gets a timeline entry", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  const res = await add(world, [{ title: "Add canary for checkout", owner: "rob", dueAt: "2024-06-01" }, { title: "Page payments team" }]);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.items.map(i => [i.id, i.status]), [[1, "open"], [2, "open"]]);
+
+  const after = await incident(world);
+  assert.equal(after.actionItems[0].dueAt, "2024-06-01T00:00:00.000Z");
+  const [first, second] = after.timeline.slice(-2);
+  assert.equal(first.title, "Action Item Added");
+  assert.equal(first.body, "#1 Add canary for checkout\nOwner: rob\nDue: 2024-06-01T00:00:00.000Z");
+  assert.equal(second.body, "#2 Page payments team\nOwner: Unassigned\nDue: none");
+
+  assert.equal((await add(world, [{ title: "Third" }])).json.items[0].id, 3);
+});
+
+test("a bad item rejects the whole batch", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  const before = await incident(world);
+
+  assert.equal((await add(world, [])).text, "items must be a non-empty array");
+  assert.equal((await add(world, [{ title: "Fine" }, { title: "  " }])).text, "Missing title");
+  assert.equal((await add(world, [{ title: "Fine" }, { title: "Owned", owner: "zed" }])).text, "Unknown user: zed");
+  assert.equal((await add(world, [{ title: "Fine" }, { title: "Due", dueAt: "soon" }])).text, "Invalid dueAt: soon");
+  assert.deepEqual(await incident(world), before);
+});
+
+test("an AI step can only be accepted once", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  const fromAi = { createdAt: "2024-05-01T10:00:00.000Z", step: 0 };
+
+  await add(world, [{ title: "Roll back", fromAi }]);
+  const again = await add(world, [{ title: "Roll back again", fromAi }]);
+  assert.equal(again.status, 409);
+  assert.equal(again.text, "That AI step is already action item #1");
+  assert.match((await incident(world)).timeline.at(-1).body, /Accepted from AI next steps/);
+});
+
+test("updates record only the fields that change", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await add(world, [{ title: "Add canary", owner: "rob" }]);
+
+  await update(world, 1, { owner: "val", title: "Add canary" });
+  let entry = (await incident(world)).timeline.at(-1);
+  assert.equal(entry.title, "Action Item Updated");
+  assert.equal(entry.body, "#1 Add canary\nOwner: rob → val");
+
+  await update(world, 1, { status: "done" });
+  const after = await incident(world);
+  assert.equal(after.actionItems[0].status, "done");
+  assert.equal(after.actionItems[0].updatedBy, "rob");
+  entry = after.timeline.at(-1);
+  assert.equal(entry.title, "Action Item Completed");
+
+  assert.equal((await update(world, 1, { status: "done" })).text, "No changes");
+  assert.equal((await update(world, 1, { status: "closed" })).status, 400);
+  assert.equal((await update(world, 7, { status: "done" })).status, 404);
+});
+
+test("open items hold up closing unless the caller goes ahead anyway", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await add(world, [{ title: "Add canary" }, { title: "Fix alert" }, { title: "Write runbook" }]);
+  await update(world, 2, { status: "dropped" });
+
+  const blocked = await resolve(world);
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.text, "2 open action item(s): #1 Add canary; #3 Write runbook. Complete or drop them, or resend with allowOpenActionItems: true");
+  assert.equal((await incident(world)).status, "Open");
+
+  // Only a literal true counts
+  assert.equal((await resolve(world, { allowOpenActionItems: "yes" })).status, 409);
+  assert.equal((await resolve(world, { allowOpenActionItems: true })).status, 200);
+
+  // Moving between closed states isn't closing again
+  assert.equal((await world.call("POST", "/status", { id: "INC-1", status: "Postmortem Pending" }, "tok-cole")).status, 200);
+});
+
+test("with every item done or dropped the incident closes normally", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await add(world, [{ title: "Add canary" }]);
+  await update(world, 1, { status: "done" });
+
+  assert.equal((await resolve(world)).status, 200);
+});
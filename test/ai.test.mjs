@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const STUB = { AI_CONFIG: JSON.stringify({ provider: "stub" }) };
+
+async function latestOutput(world, id = "INC-1") {
+  return (await world.call("GET", "/incident?id=" + id)).json.aiOutput.at(-1);
+}
+
+test("stub provider answers offline and records where the output came from", async () => {
+  const world = await makeWorld(STUB);
+  await createIncident(world);
+
+  const res = await world.call("POST", "/ai", { id: "INC-1", mode: "summary" }, "tok-rob");
+  assert.equal(res.status, 200);
+  assert.equal(res.json.cached, false);
+
+  const output = await latestOutput(world);
+  assert.equal(output.status, "complete");
+  assert.equal(output.provider, "stub");
+  assert.equal(output.actor, "rob");
+  assert.match(output.text, /Stub summary for Checkout failing/);
+  assert.match(output.promptHash, /^[0-9a-f]{64}$/);
+});
+
+test("stub output is deterministic for the same prompt", async () => {
+  const texts = [];
+  for (let i = 0; i < 2; i++) {
+    const world = await makeWorld(STUB);
+    await createIncident(world);
+    await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+    texts.push((await latestOutput(world)).text.replace(/^Update time: .*\n+/, ""));
+  }
+  assert.equal(texts[0], texts[1]);
+});
+
+test("an unchanged prompt is served from the cache unless refresh is set", async () => {
+  const world = await makeWorld(STUB);
+  await createIncident(world);
+  await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+
+  const cached = await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+  assert.equal(cached.json.cached, true);
+  assert.equal((await world.call("GET", "/incident?id=INC-1")).json.aiOutput.length, 1);
+
+  const refreshed = await world.call("POST", "/ai", { id: "INC-1", mode: "summary", refresh: true });
+  assert.equal(refreshed.json.cached, false);
+  assert.equal((await world.call("GET", "/incident?id=INC-1")).json.aiOutput.length, 2);
+});
+
+test("asking again after a severity change is a cache hit", async () => {
+  const prompts = [];
+  const world = await makeWorld({
+    AI: {
+      async run(model, input) {
+        prompts.push(input.prompt);
+        return { response: "Summary " + prompts.length };
+      }
+    }
+  });
+  await createIncident(world, { severity: "Medium" });
+  await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+  assert.equal((await world.call("PATCH", "/incident", { id: "INC-1", severity: "High" }, "tok-cole")).status, 200);
+
+  const changed = await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+  assert.equal(changed.json.cached, false);
+  assert.match(prompts[1], /Severity changes since the last AI output/);
+
+  const again = await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+  assert.equal(again.json.cached, true);
+  assert.match(again.json.output.text, /Summary 2$/);
+  assert.equal(prompts.length, 2);
+});
+
+test("switching the model misses the cache", async () => {
+  const world = await makeWorld(STUB);
+  await createIncident(world);
+  await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+
+  world.env.AI_CONFIG = JSON.stringify({ provider: "stub", model: "stub-large" });
+  const res = await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+  assert.equal(res.json.cached, false);
+  assert.equal((await latestOutput(world)).model, "stub-large");
+
+  world.env.AI_CONFIG = JSON.stringify({ provider: "stub", modes: { summary: { model: "stub-summary" } } });
+  assert.equal((await world.call("POST", "/ai", { id: "INC-1", mode: "summary" })).json.cached, false);
+  assert.equal((await world.call("POST", "/ai", { id: "INC-1", mode: "summary" })).json.cached, true);
+});
+
+test("streaming sends start, tokens and done, then saves the output", async () => {
+  const world = await makeWorld(STUB);
+  await createIncident(world);
+
+  const res = await world.call("POST", "/ai/stream", { id: "INC-1", mode: "next_steps" }, "tok-rob");
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("Content-Type"), /text\/event-stream/);
+
+  const events = [...res.text.matchAll(/event: (\w+)\ndata: (.*)\n\n/g)].map(m => ({ type: m[1], data: JSON.parse(m[2]) }));
+  assert.equal(events[0].type, "start");
+  assert.equal(events.at(-1).type, "done");
+  assert.equal(events.at(-1).data.status, "complete");
+  assert.equal(events.at(-1).data.saved, true);
+
+  const streamed = events.filter(e => e.type === "token").map(e => e.data.text).join("");
+  assert.ok((await latestOutput(world)).text.endsWith(streamed.trim()));
+});
+
+test("a stream whose output cannot be saved ends with a failed done event", async () => {
+  const world = await makeWorld(STUB);
+  await createIncident(world);
+  world.store.saveAiOutput = async () => { throw new Error("storage unavailable"); };
+
+  const res = await world.call("POST", "/ai/stream", { id: "INC-1", mode: "summary" }, "tok-rob");
+  assert.equal(res.status, 200);
+
+  const events = [...res.text.matchAll(/event: (\w+)\ndata: (.*)\n\n/g)].map(m => ({ type: m[1], data: JSON.parse(m[2]) }));
+  assert.equal(events[0].type, "start");
+  assert.equal(events.at(-1).type, "done");
+  assert.equal(events.at(-1).data.status, "error");
+  assert.equal(events.at(-1).data.error, "storage unavailable");
+  assert.equal(events.at(-1).data.saved, false);
+  assert.equal((await world.call("GET", "/incident?id=INC-1")).json.aiOutput.length, 0);
+});
+
+test("the stub drafts a postmortem with every section", async () => {
+  const world = await makeWorld(STUB);
+  await createIncident(world);
+  await world.call("POST", "/status", { id: "INC-1", status: "Resolved", resolutionSummary: "Rolled back" }, "tok-cole");
+
+  const res = await world.call("POST", "/postmortem/draft", { id: "INC-1" }, "tok-rob");
+  assert.equal(res.status, 200);
+
+  const version = (await world.call("GET", "/incident?id=INC-1")).json.postmortemVersions.at(-1);
+  assert.equal(version.source, "ai");
+  for (const section of Object.values(version.sections)) assert.ok(String(section).trim());
+});
+
+test("model calls are rate limited per incident", async () => {
+  const world = await makeWorld({
+    AI_CONFIG: JSON.stringify({ provider: "stub", rateLimits: { perIncident: { limit: 1, windowMinutes: 10 }, global: null } })
+  });
+  await createIncident(world);
+
+  assert.equal((await world.call("POST", "/ai", { id: "INC-1", mode: "summary" })).status, 200);
+  const limited = await world.call("POST", "/ai", { id: "INC-1", mode: "next_steps" });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("Retry-After")) > 0);
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld } from "./support/world.mjs";
+
+// One Alertmanager webhook payload
+function alertmanager(status, labels = {}, extra = {}) {
+  return {
+    version: "4",
+    status,
+    alerts: [
+      {
+        status,
+        labels: { alertname: "HighErrorRate", instance: "api-1", severity: "critical", ...labels },
+        annotations: { summary: "Error rate above 5%", description: "5xx responses on checkout" },
+        startsAt: "2024-05-01T10:00:00Z",
+        endsAt: status === "resolved" ? "2024-05-01T10:30:00Z" : "0001-01-01T00:00:00Z",
+        fingerprint: "3f2a9c1de0b4",
+        ...extra
+      }
+    ]
+  };
+}
+
+const post = (world, body) => world.call("POST", "/alerts", body, "tok-rob");
+
+test("a firing Alertmanager alert opens an incident", async () => {
+  const world = await makeWorld();
+
+  const res = await post(world, alertmanager("firing"));
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.results, [{ fingerprint: "3f2a9c1de0b4", action: "created", incidentId: "ALERT-3F2A9C1D" }]);
+
+  const incident = (await world.call("GET", "/incident?id=ALERT-3F2A9C1D")).json;
+  assert.equal(incident.title, "Error rate above 5%");
+  assert.equal(incident.description, "5xx responses on checkout");
+  assert.equal(incident.severity, "High");
+  assert.equal(incident.source, "alertmanager");
+  assert.equal(incident.alertCount, 1);
+  assert.equal(incident.labels.instance, "api-1");
+  assert.match(incident.timeline[0].body, /Source: alertmanager alert/);
+});
+
+test("the same alert firing again is added to the open incident", async () => {
+  const world = await makeWorld();
+  await post(world, alertmanager("firing"));
+
+  const again = await post(world, alertmanager("firing"));
+  assert.equal(again.json.results[0].action, "appended");
+  assert.equal(again.json.results[0].incidentId, "ALERT-3F2A9C1D");
+
+  const list = (await world.call("GET", "/incidents")).json;
+  assert.equal(list.length, 1);
+  assert.equal(list[0].alertCount, 2);
+  assert.equal((await world.call("GET", "/incident?id=ALERT-3F2A9C1D")).json.timeline.at(-1).title, "Alert Fired Again");
+});
+
+test("a resolved alert leaves a note but not the status", async () => {
+  const world = await makeWorld();
+  await post(world, alertmanager("firing"));
+
+  const cleared = await post(world, alertmanager("resolved"));
+  assert.equal(cleared.json.results[0].action, "cleared");
+
+  const incident = (await world.call("GET", "/incident?id=ALERT-3F2A9C1D")).json;
+  assert.equal(incident.status, "Open");
+  assert.equal(incident.timeline.at(-1).title, "Signal Cleared");
+  assert.match(incident.timeline.at(-1).body, /Ended: 2024-05-01T10:30:00Z/);
+
+  // Nothing open for it any more: another resolve is ignored
+  await world.call("POST", "/status", { id: "ALERT-3F2A9C1D", status: "Resolved", resolutionSummary: "Scaled up" }, "tok-cole");
+  assert.equal((await post(world, alertmanager("resolved"))).json.results[0].action, "ignored");
+});
+
+test("firing after the incident closed opens a new one under a suffixed ID", async () => {
+  const world = await makeWorld();
+  await post(world, alertmanager("firing"));
+  await world.call("POST", "/status", { id: "ALERT-3F2A9C1D", status: "Resolved", resolutionSummary: "Scaled up" }, "tok-cole");
+
+  const res = await post(world, alertmanager("firing"));
+  assert.deepEqual(res.json.results[0], { fingerprint: "3f2a9c1de0b4", action: "created", incidentId: "ALERT-3F2A9C1D-2" });
+  assert.equal((await world.call("GET", "/incident?id=ALERT-3F2A9C1D")).json.status, "Resolved");
+});
+
+test("generic alerts dedupe on source and title when they carry no fingerprint", async () => {
+  const world = await makeWorld();
+  const alert = { source: "cron", title: "Nightly backup failed", severity: "p4" };
+
+  const res = await post(world, [alert, alert, { source: "cron", title: "Disk almost full" }]);
+  assert.deepEqual(res.json.results.map(r => r.action), ["created", "appended", "created"]);
+
+  const list = (await world.call("GET", "/incidents")).json;
+  assert.equal(list.length, 2);
+  const backup = list.find(i => i.title === "Nightly backup failed");
+  assert.equal(backup.severity, "Low");
+  assert.equal(backup.description, "Nightly backup failed");
+  assert.equal(list.find(i => i.title === "Disk almost full").severity, "Medium");
+});
+
+test("payloads without usable alerts are rejected", async () => {
+  const world = await makeWorld();
+  assert.equal((await post(world, { alerts: [] })).status, 400);
+  assert.equal((await post(world, [{ description: "no title" }, "nope"])).status, 400);
+  assert.equal((await world.call("GET", "/incidents")).json.length, 0);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const ids = async (world, path) => (await world.call("GET", path)).json.map(i => i.id);
+
+async function archivedWorld() {
+  const world = await makeWorld();
+  await createIncident(world);
+  await createIncident(world, { id: "INC-2", title: "Search slow" });
+  const res = await world.call("POST", "/archive", { id: "INC-1", reason: "Duplicate of INC-2" }, "tok-cole");
+  assert.equal(res.status, 200);
+  return world;
+}
+
+test("an archived incident leaves the list but keeps its record and history", async () => {
+  const world = await archivedWorld();
+
+  assert.deepEqual(await ids(world, "/incidents"), ["INC-2"]);
+  assert.deepEqual(await ids(world, "/incidents?archived=1"), ["INC-1"]);
+
+  const incident = (await world.call("GET", "/incident?id=INC-1")).json;
+  assert.equal(incident.archivedBy, "cole");
+  assert.equal(incident.archiveReason, "Duplicate of INC-2");
+  assert.equal(incident.timeline.at(-1).title, "Incident Archived");
+  assert.equal(incident.timeline.at(-1).body, "Reason: Duplicate of INC-2");
+});
+
+test("writes to an archived incident are refused until it is restored", async () => {
+  const world = await archivedWorld();
+  const before = (await world.call("GET", "/incident?id=INC-1")).json;
+
+  const writes = [
+    ["PATCH", "/incident", { id: "INC-1", title: "Changed" }],
+    ["POST", "/context-note", { id: "INC-1", text: "Too late" }],
+    ["POST", "/status", { id: "INC-1", status: "Investigating" }],
+    ["POST", "/assign", { id: "INC-1", commander: "cole" }],
+    ["POST", "/incident", { id: "INC-1", additionalContext: "Legacy route" }]
+  ];
+  for (const [method, path, body] of writes) {
+    const res = await world.call(method, path, body, "tok-cole");
+    assert.equal(res.status, 409, method + " " + path);
+    assert.equal(res.text, "Incident is archived; restore it first");
+  }
+  assert.equal((await world.call("POST", "/archive", { id: "INC-1" }, "tok-cole")).status, 409);
+  assert.deepEqual((await world.call("GET", "/incident?id=INC-1")).json, before);
+
+  // Its ID stays taken
+  const reused = await world.call("POST", "/incident", { id: "INC-1", title: "New", description: "Same ID", severity: "Low" });
+  assert.equal(reused.status, 409);
+});
+
+test("restoring brings an incident back and it takes writes again", async () => {
+  const world = await archivedWorld();
+
+  assert.equal((await world.call("POST", "/restore", { id: "INC-1" }, "tok-cole")).status, 200);
+  assert.equal((await world.call("POST", "/restore", { id: "INC-1" }, "tok-cole")).status, 409);
+  assert.deepEqual(await ids(world, "/incidents"), ["INC-1", "INC-2"]);
+
+  const incident = (await world.call("GET", "/incident?id=INC-1")).json;
+  assert.equal(incident.archivedAt, null);
+  assert.equal(incident.timeline.at(-1).title, "Incident Restored");
+  assert.equal((await world.call("POST", "/context-note", { id: "INC-1", text: "Back on it" })).status, 200);
+});
+
+test("DELETE /incident archives instead of deleting", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  assert.equal((await world.call("DELETE", "/incident?id=INC-1&reason=Test", undefined, "tok-cole")).status, 200);
+  const incident = (await world.call("GET", "/incident?id=INC-1")).json;
+  assert.ok(incident.archivedAt);
+  assert.equal(incident.archiveReason, "Test");
+});
+
+test("only archived incidents can be purged, and a tombstone remains", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  assert.equal((await world.call("POST", "/purge", { id: "INC-1", reason: "Test data" })).status, 409);
+
+  await world.call("POST", "/archive", { id: "INC-1" }, "tok-cole");
+  assert.equal((await world.call("POST", "/purge", { id: "INC-1" })).status, 400);
+  assert.equal((await world.call("POST", "/purge", { id: "INC-1", reason: "Test data" })).status, 200);
+
+  assert.equal((await world.call("GET", "/incident?id=INC-1")).status, 404);
+  assert.deepEqual(world.storage.keys("timeline:"), []);
+
+  const [tombstone] = (await world.call("GET", "/tombstones")).json;
+  assert.equal(tombstone.id, "INC-1");
+  assert.equal(tombstone.purgedBy, "ann");
+  assert.equal(tombstone.reason, "Test data");
+  assert.equal(tombstone.counts.timeline, 2);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const incident = async world => (await world.call("GET", "/incident?id=INC-1")).json;
+
+test("assigning a commander and responders records each change on the timeline", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  const res = await world.call("POST", "/assign", { id: "INC-1", commander: "cole", responders: ["rob", "val", "rob"] }, "tok-cole");
+  assert.equal(res.status, 200);
+
+  const after = await incident(world);
+  assert.equal(after.commander, "cole");
+  assert.deepEqual(after.responders, ["rob", "val"]);
+
+  const [commander, responders] = after.timeline.slice(-2);
+  assert.equal(commander.title, "Incident Commander Assigned");
+  assert.equal(commander.body, "Unassigned → cole");
+  assert.equal(responders.title, "Responders Updated");
+  assert.equal(responders.body, "Added: rob, val");
+  assert.equal(responders.actor, "cole");
+});
+
+test("only the fields sent change, and clearing the commander is recorded", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await world.call("POST", "/assign", { id: "INC-1", commander: "cole", responders: ["rob"] }, "tok-cole");
+
+  await world.call("POST", "/assign", { id: "INC-1", responders: ["val"] }, "tok-cole");
+  let after = await incident(world);
+  assert.equal(after.commander, "cole");
+  assert.deepEqual(after.responders, ["val"]);
+  assert.equal(after.timeline.at(-1).body, "Added: val\nRemoved: rob");
+
+  await world.call("POST", "/assign", { id: "INC-1", commander: null }, "tok-cole");
+  after = await incident(world);
+  assert.equal(after.commander, null);
+  assert.equal(after.timeline.at(-1).title, "Incident Commander Cleared");
+
+  // Sending what is already set adds nothing
+  const entries = after.timeline.length;
+  await world.call("POST", "/assign", { id: "INC-1", responders: ["val"] }, "tok-cole");
+  assert.equal((await incident(world)).timeline.length, entries);
+});
+
+test("a commander counts as acknowledging the incident", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  assert.equal((await incident(world)).acknowledgedAt, null);
+
+  await world.call("POST", "/assign", { id: "INC-1", commander: "ann" }, "tok-cole");
+  const after = await incident(world);
+  assert.ok(after.acknowledgedAt);
+  assert.equal(after.acknowledgedBy, "cole");
+});
+
+test("assignees must be known users and responders a list", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  const unknown = await world.call("POST", "/assign", { id: "INC-1", commander: "zed", responders: ["rob", "amy"] }, "tok-cole");
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.text, "Unknown user(s): zed, amy");
+
+  assert.equal((await world.call("POST", "/assign", { id: "INC-1", responders: "rob" }, "tok-cole")).status, 400);
+  assert.equal((await world.call("POST", "/assign", { id: "INC-1" }, "tok-cole")).status, 400);
+  assert.equal((await world.call("POST", "/assign", { id: "INC-9", commander: "cole" }, "tok-cole")).status, 404);
+  assert.equal((await incident(world)).commander, null);
+});
+
+test("mine lists incidents the caller commands or responds to", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await createIncident(world, { id: "INC-2", title: "Search slow" });
+  await createIncident(world, { id: "INC-3", title: "Emails delayed" });
+  await world.call("POST", "/assign", { id: "INC-1", commander: "rob" }, "tok-cole");
+  await world.call("POST", "/assign", { id: "INC-3", responders: ["rob"] }, "tok-cole");
+
+  const mine = (await world.call("GET", "/incidents?mine=1", undefined, "tok-rob")).json;
+  assert.deepEqual(mine.map(i => i.id), ["INC-1", "INC-3"]);
+
+  const page = (await world.call("GET", "/incidents?limit=10", undefined, "tok-rob")).json;
+  assert.equal(page.counts.mine, 2);
+});
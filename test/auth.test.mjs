@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../src/index.js";
+import { makeWorld, createIncident, USERS } from "./support/world.mjs";
+
+// Straight to the Worker with whatever headers a client sends (world.call always adds a token)
+async function send(world, method, path, { headers = {}, body } = {}) {
+  const res = await worker.fetch(new Request("https://incidents.test" + path, { method, headers, body }), world.env, { waitUntil() {} });
+  return { status: res.status, headers: res.headers, text: await res.text() };
+}
+
+async function login(world, token) {
+  const form = new FormData();
+  form.set("token", token);
+  return send(world, "POST", "/login", { body: form });
+}
+
+const sessionOf = res => res.headers.get("Set-Cookie").split(";")[0];
+
+test("requests without valid credentials are turned away", async () => {
+  const world = await makeWorld();
+
+  const anonymous = await send(world, "GET", "/incidents");
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get("WWW-Authenticate"), "Bearer");
+  assert.equal((await send(world, "GET", "/incidents", { headers: { Authorization: "Bearer tok-nobody" } })).status, 401);
+
+  const dashboard = await send(world, "GET", "/dashboard");
+  assert.equal(dashboard.status, 303);
+  assert.equal(dashboard.headers.get("Location"), "/login");
+});
+
+test("nobody gets in when no users are configured", async () => {
+  const world = await makeWorld({ AUTH_USERS: "" });
+  assert.equal((await world.call("GET", "/incidents")).status, 401);
+  assert.equal((await login(world, "tok-ann")).status, 401);
+});
+
+test("every write is attributed to the authenticated user", async () => {
+  const world = await makeWorld();
+  await world.call("POST", "/incident", { id: "INC-2", title: "Queue backlog", description: "Jobs waiting", severity: "Low" }, "tok-rob");
+  await world.call("POST", "/context-note", { id: "INC-2", text: "Scaling workers" }, "tok-rob");
+
+  const incident = (await world.call("GET", "/incident?id=INC-2")).json;
+  assert.equal(incident.createdBy, "rob");
+  assert.equal(incident.contextNotes[0].actor, "rob");
+  assert.ok(incident.timeline.every(entry => entry.actor === "rob"));
+});
+
+test("an identity header sent by the client is replaced with the real one", async () => {
+  const world = await makeWorld();
+  const forged = encodeURIComponent(JSON.stringify({ name: "ann", role: "admin" }));
+
+  const res = await send(world, "POST", "/incident", {
+    headers: { Authorization: "Bearer tok-val", "X-Incident-Actor": forged, "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "INC-1", title: "Forged", description: "Should not exist", severity: "Low" })
+  });
+  assert.equal(res.status, 403);
+  assert.match(res.text, /val is viewer/);
+});
+
+test("signing in with a token sets a session cookie the dashboard and API accept", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  const res = await login(world, "tok-rob");
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get("Location"), "/dashboard");
+  assert.match(res.headers.get("Set-Cookie"), /HttpOnly; Secure; SameSite=Strict/);
+
+  const cookie = sessionOf(res);
+  assert.equal((await send(world, "GET", "/dashboard", { headers: { Cookie: cookie } })).status, 200);
+
+  const note = await send(world, "POST", "/context-note", {
+    headers: { Cookie: cookie, "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "INC-1", text: "Via the dashboard" })
+  });
+  assert.equal(note.status, 200);
+  assert.equal((await world.call("GET", "/incident?id=INC-1")).json.contextNotes[0].actor, "rob");
+
+  assert.equal((await login(world, "tok-wrong")).status, 401);
+});
+
+test("tampered, expired or orphaned sessions are rejected", async () => {
+  const world = await makeWorld();
+  const cookie = sessionOf(await login(world, "tok-rob"));
+  const [name, value] = cookie.split("=");
+  const [payload, signature] = value.split(".");
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  const forgedPayload = Buffer.from(JSON.stringify({ ...claims, name: "ann" })).toString("base64url");
+  assert.equal((await send(world, "GET", "/incidents", { headers: { Cookie: name + "=" + forgedPayload + "." + signature } })).status, 401);
+
+  const expired = Buffer.from(JSON.stringify({ ...claims, exp: Date.now() - 1000 })).toString("base64url");
+  assert.equal((await send(world, "GET", "/incidents", { headers: { Cookie: name + "=" + expired + "." + signature } })).status, 401);
+
+  // Removing the user ends their sessions; a changed role applies at once
+  world.env.AUTH_USERS = JSON.stringify(USERS.filter(u => u.name !== "rob"));
+  assert.equal((await send(world, "GET", "/incidents", { headers: { Cookie: cookie } })).status, 401);
+
+  world.env.AUTH_USERS = JSON.stringify(USERS.map(u => (u.name === "rob" ? { ...u, role: "viewer" } : u)));
+  const demoted = await send(world, "POST", "/context-note", {
+    headers: { Cookie: cookie, "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "INC-1", text: "Still allowed?" })
+  });
+  assert.equal(demoted.status, 403);
+});
+
+test("signing out clears the session cookie", async () => {
+  const world = await makeWorld();
+  const res = await send(world, "GET", "/logout");
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get("Location"), "/login");
+  assert.match(res.headers.get("Set-Cookie"), /Max-Age=0/);
+});
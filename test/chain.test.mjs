@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+async function seeded() {
+  const world = await makeWorld();
+  await createIncident(world);
+  await world.call("POST", "/context-note", { id: "INC-1", text: "Rolled back deploy 4821" }, "tok-rob");
+  await world.call("POST", "/context-note", { id: "INC-1", text: "Error rate recovering" }, "tok-rob");
+  await world.call("POST", "/status", { id: "INC-1", status: "Mitigated" }, "tok-cole");
+  return world;
+}
+
+const verify = async world => (await world.call("GET", "/verify?id=INC-1")).json;
+
+test("an untouched incident verifies", async () => {
+  const result = await verify(await seeded());
+  assert.equal(result.ok, true);
+  assert.equal(result.contextNotes.sealed, 2);
+  assert.equal(result.timeline.sealed, result.timeline.entries);
+  assert.equal(result.timeline.brokenAt, null);
+});
+
+test("editing a stored entry breaks the chain at that entry", async () => {
+  const world = await seeded();
+  const [key] = world.storage.keys("note:");
+  world.storage.data.set(key, { ...world.storage.data.get(key), text: "Nothing happened" });
+
+  const result = await verify(world);
+  assert.equal(result.ok, false);
+  assert.equal(result.timeline.ok, true);
+  assert.deepEqual(
+    { index: result.contextNotes.brokenAt.index, reason: result.contextNotes.brokenAt.reason },
+    { index: 0, reason: "Content does not match its hash" }
+  );
+});
+
+test("removing an entry from the middle is reported as a gap", async () => {
+  const world = await seeded();
+  const keys = world.storage.keys("timeline:");
+  world.storage.data.delete(keys[1]);
+
+  const result = await verify(world);
+  assert.equal(result.timeline.ok, false);
+  assert.equal(result.timeline.brokenAt.index, 1);
+  assert.match(result.timeline.brokenAt.reason, /Sequence gap/);
+});
+
+test("truncating the end is caught by the chain head", async () => {
+  const world = await seeded();
+  world.storage.data.delete(world.storage.keys("note:").at(-1));
+
+  const result = await verify(world);
+  assert.equal(result.contextNotes.ok, false);
+  assert.match(result.contextNotes.brokenAt.reason, /Chain head mismatch/);
+});
+
+test("verification is open to viewers", async () => {
+  const world = await seeded();
+  assert.equal((await world.call("GET", "/verify?id=INC-1", undefined, "tok-val")).status, 200);
+  assert.equal((await world.call("GET", "/verify?id=INC-404", undefined, "tok-val")).status, 404);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld } from "./support/world.mjs";
+
+test("with no overrides the config is clean", async () => {
+  const world = await makeWorld();
+  const res = await world.call("GET", "/config");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json, { ok: true, overrides: [], problems: [] });
+});
+
+test("invalid overrides are ignored and reported, not logged", async t => {
+  const logged = t.mock.method(console, "error", () => {});
+  const world = await makeWorld({
+    AI_CONFIG: JSON.stringify({ provider: "stub" }),
+    LIFECYCLE: "{not json",
+    SLA_POLICIES: JSON.stringify({ Urgent: { ackMinutes: 5 } }),
+    REDACTION: JSON.stringify({ rules: [{ name: "everything", pattern: ".*" }] })
+  });
+
+  const res = await world.call("GET", "/config");
+  assert.equal(res.json.ok, false);
+  assert.deepEqual(res.json.overrides, ["AI_CONFIG", "LIFECYCLE", "SLA_POLICIES", "REDACTION"]);
+  assert.deepEqual(res.json.problems.map(p => p.name), ["LIFECYCLE", "SLA_POLICIES", "REDACTION"]);
+
+  // The defaults apply meanwhile
+  assert.equal((await world.call("GET", "/lifecycle")).json.initial, "Open");
+  assert.equal(logged.mock.callCount(), 0);
+});
+
+test("config problems are for admins only", async () => {
+  const world = await makeWorld();
+  assert.equal((await world.call("GET", "/config", undefined, "tok-cole")).status, 403);
+});
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { makeWorld, USERS } from "./support/world.mjs";
+
+// The dashboard script lives in a template literal, where a single-escaped "\n" breaks it
+test("the dashboard script parses for every role", async () => {
+  const world = await makeWorld();
+
+  for (const user of USERS) {
+    const res = await world.call("GET", "/dashboard", undefined, user.token);
+    assert.equal(res.status, 200);
+
+    const scripts = [...res.text.matchAll(/<script>([\s\S]*?)<\/script>/g)].map(m => m[1]);
+    assert.ok(scripts.length);
+    for (const script of scripts) assert.doesNotThrow(() => new vm.Script(script), user.role);
+  }
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const edit = (world, fields, token = "tok-cole") => world.call("PATCH", "/incident", { id: "INC-1", ...fields }, token);
+const incident = async world => (await world.call("GET", "/incident?id=INC-1")).json;
+
+test("each changed field gets its own entry with the old and new value", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  const entries = (await incident(world)).timeline.length;
+
+  const res = await edit(world, { title: "Checkout down", description: "All card payments fail", severity: "High" }, "tok-rob");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.changes.map(c => c.field), ["title", "description"]);
+
+  const after = await incident(world);
+  assert.equal(after.title, "Checkout down");
+  assert.equal(after.description, "All card payments fail");
+
+  const [title, description] = after.timeline.slice(entries);
+  assert.equal(after.timeline.length, entries + 2);
+  assert.equal(title.title, "Title Edited");
+  assert.equal(title.body, "From: Checkout failing\nTo: Checkout down");
+  assert.equal(title.from, "Checkout failing");
+  assert.equal(title.to, "Checkout down");
+  assert.equal(title.actor, "rob");
+  assert.equal(description.title, "Description Edited");
+  assert.match(description.body, /^From: .+\nTo: All card payments fail$/);
+});
+
+test("severity moves are recorded as escalation or de-escalation", async () => {
+  const world = await makeWorld();
+  await createIncident(world, { severity: "Medium" });
+  const events = [];
+  world.sockets.push({ send: message => events.push(JSON.parse(message).type) });
+
+  await edit(world, { severity: "high" });
+  let entry = (await incident(world)).timeline.at(-1);
+  assert.equal(entry.title, "Severity Escalated");
+  assert.equal(entry.body, "Medium → High");
+  assert.equal(entry.from, "Medium");
+  assert.equal(entry.to, "High");
+
+  await edit(world, { severity: "Low" });
+  entry = (await incident(world)).timeline.at(-1);
+  assert.equal(entry.title, "Severity De-escalated");
+  assert.equal(entry.body, "High → Low");
+
+  await edit(world, { title: "Checkout flaky" });
+  assert.deepEqual(events, ["incident.escalated", "incident.deescalated", "incident.updated"]);
+});
+
+test("edits that change nothing or carry bad values are refused", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  const before = await incident(world);
+
+  const same = await edit(world, { title: "Checkout failing", severity: "High" });
+  assert.equal(same.status, 400);
+  assert.equal(same.text, "No changes");
+  assert.equal((await edit(world, {})).text, "No changes");
+
+  assert.equal((await edit(world, { title: "  " })).text, "Empty title");
+  const severity = await edit(world, { title: "Checkout down", severity: "Critical" });
+  assert.equal(severity.status, 400);
+  assert.equal(severity.text, "Unknown severity: Critical (expected one of: Low, Medium, High)");
+
+  assert.equal((await world.call("PATCH", "/incident", { id: "INC-9", title: "X" }, "tok-cole")).status, 404);
+  assert.deepEqual(await incident(world), before);
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const setStatus = (world, status, extra = {}) => world.call("POST", "/status", { id: "INC-1", status, ...extra }, "tok-cole");
+const incident = async world => (await world.call("GET", "/incident?id=INC-1")).json;
+
+const CUSTOM = {
+  initial: "Triage",
+  states: [
+    { name: "Triage" },
+    { name: "Fixing" },
+    { name: "Done", closed: true, requires: ["rootCause"] }
+  ],
+  transitions: { Triage: ["Fixing"], Fixing: ["Done"], Done: ["Fixing"] }
+};
+
+test("allowed transitions move the incident and record from and to", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  assert.equal((await setStatus(world, "Investigating")).status, 200);
+  assert.equal((await setStatus(world, "Mitigated")).status, 200);
+
+  const after = await incident(world);
+  assert.equal(after.status, "Mitigated");
+  const entry = after.timeline.at(-1);
+  assert.equal(entry.title, "Status Changed");
+  assert.equal(entry.from, "Investigating");
+  assert.equal(entry.to, "Mitigated");
+  assert.equal(entry.actor, "cole");
+});
+
+test("illegal, repeated and unknown transitions are refused", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  const illegal = await setStatus(world, "Postmortem Pending");
+  assert.equal(illegal.status, 409);
+  assert.equal(illegal.text, "Illegal transition: Open → Postmortem Pending (allowed: Investigating, Identified, Mitigated, Resolved)");
+
+  const same = await setStatus(world, "Open");
+  assert.equal(same.status, 409);
+  assert.equal(same.text, "Incident is already Open");
+
+  assert.equal((await setStatus(world, "Closed")).status, 400);
+  assert.equal((await incident(world)).status, "Open");
+});
+
+test("closing states ask for their required fields and set resolvedAt; reopening clears it", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  const missing = await setStatus(world, "Resolved");
+  assert.equal(missing.status, 400);
+  assert.equal(missing.text, "Missing field for Resolved: resolutionSummary");
+
+  await setStatus(world, "Resolved", { resolutionSummary: "Rolled back deploy 4821" });
+  let after = await incident(world);
+  assert.equal(after.resolutionSummary, "Rolled back deploy 4821");
+  assert.ok(after.resolvedAt);
+  assert.match(after.timeline.at(-1).body, /Resolution summary: Rolled back deploy 4821/);
+
+  await setStatus(world, "Investigating");
+  after = await incident(world);
+  assert.equal(after.resolvedAt, null);
+});
+
+test("resolving fires incident.resolved; other moves fire incident.status_changed", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  const events = [];
+  world.sockets.push({ send: message => events.push(JSON.parse(message).type) });
+
+  await setStatus(world, "Investigating");
+  await setStatus(world, "Resolved", { resolutionSummary: "Fixed" });
+  await setStatus(world, "Postmortem Pending");
+  assert.deepEqual(events, ["incident.status_changed", "incident.resolved", "incident.status_changed"]);
+});
+
+test("a LIFECYCLE override replaces the states, the initial state and the rules", async () => {
+  const world = await makeWorld({ LIFECYCLE: JSON.stringify(CUSTOM) });
+  await createIncident(world);
+
+  assert.deepEqual((await world.call("GET", "/lifecycle", undefined, "tok-val")).json.states.map(s => s.name), ["Triage", "Fixing", "Done"]);
+  assert.equal((await incident(world)).status, "Triage");
+
+  assert.equal((await setStatus(world, "Done", { rootCause: "Config" })).status, 409);
+  assert.equal((await setStatus(world, "Investigating")).status, 400);
+  assert.equal((await setStatus(world, "Fixing")).status, 200);
+  assert.equal((await setStatus(world, "Done")).text, "Missing field for Done: rootCause");
+  assert.equal((await setStatus(world, "Done", { rootCause: "Bad config push" })).status, 200);
+
+  const after = await incident(world);
+  assert.equal(after.rootCause, "Bad config push");
+  assert.ok(after.resolvedAt);
+});
+
+test("incidents in a state the config no longer knows can move anywhere", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await setStatus(world, "Investigating");
+
+  world.env.LIFECYCLE = JSON.stringify(CUSTOM);
+  assert.equal((await setStatus(world, "Fixing")).status, 200);
+  assert.equal((await incident(world)).status, "Fixing");
+});
+
+test("an invalid LIFECYCLE falls back to the default and is reported", async () => {
+  const world = await makeWorld({ LIFECYCLE: JSON.stringify({ ...CUSTOM, transitions: { Triage: ["Nowhere"] } }) });
+  await createIncident(world);
+
+  assert.equal((await incident(world)).status, "Open");
+  const config = (await world.call("GET", "/config")).json;
+  assert.equal(config.ok, false);
+  assert.deepEqual(config.problems, [{ name: "LIFECYCLE", error: "Invalid; using the default lifecycle" }]);
+});
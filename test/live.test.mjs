@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+// A connected dashboard, as the store sees it
+function listen(world) {
+  const events = [];
+  world.sockets.push({ send: message => events.push(JSON.parse(message)) });
+  return events;
+}
+
+test("live events carry the core record and the new timeline entries, not the history", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  for (let n = 0; n < 5; n++) await world.call("POST", "/context-note", { id: "INC-1", text: "Note " + n });
+  const events = listen(world);
+
+  await world.call("POST", "/status", { id: "INC-1", status: "Mitigated" }, "tok-cole");
+
+  assert.equal(events.length, 1);
+  const [event] = events;
+  assert.equal(event.type, "incident.status_changed");
+  assert.equal(event.incident.status, "Mitigated");
+  for (const field of ["contextNotes", "timeline", "aiOutput", "postmortemVersions"]) assert.equal(event.incident[field], undefined);
+  assert.deepEqual(event.timeline.map(e => e.title), ["Status Changed"]);
+  assert.deepEqual(event.histories, []);
+
+  const stored = (await world.call("GET", "/incident?id=INC-1")).json;
+  assert.deepEqual(event.timeline[0], stored.timeline.at(-1));
+});
+
+test("events that add to another history name it", async () => {
+  const world = await makeWorld({ AI_CONFIG: JSON.stringify({ provider: "stub" }) });
+  await createIncident(world);
+  const events = listen(world);
+
+  await world.call("POST", "/context-note", { id: "INC-1", text: "Rolled back" });
+  await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+
+  assert.deepEqual(events.map(e => [e.type, e.histories]), [
+    ["incident.note_added", ["contextNotes"]],
+    ["incident.ai_generated", ["aiOutput"]]
+  ]);
+});
+
+test("a purge is announced without an incident", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await world.call("POST", "/archive", { id: "INC-1" }, "tok-cole");
+  const events = listen(world);
+
+  assert.equal((await world.call("POST", "/purge", { id: "INC-1", reason: "Test data" })).status, 200);
+
+  assert.equal(events.at(-1).type, "incident.purged");
+  assert.equal(events.at(-1).incident, null);
+});
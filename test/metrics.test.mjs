@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const STUB = { AI_CONFIG: JSON.stringify({ provider: "stub" }) };
+
+// "name{labels}" → value, from one scrape
+async function scrape(world) {
+  const res = await world.call("GET", "/openmetrics", undefined, "tok-val");
+  assert.equal(res.status, 200);
+  assert.ok(res.text.endsWith("# EOF\n"));
+  return new Map(
+    res.text.split("\n").filter(line => line && !line.startsWith("#")).map(line => {
+      const at = line.lastIndexOf(" ");
+      return [line.slice(0, at), Number(line.slice(at + 1))];
+    })
+  );
+}
+
+async function resolvedWithAi(vars = STUB) {
+  const world = await makeWorld(vars);
+  await createIncident(world);
+  await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+  await world.call("POST", "/status", { id: "INC-1", status: "Resolved", resolutionSummary: "Rolled back" }, "tok-cole");
+  return world;
+}
+
+test("counters follow creations, resolutions and AI calls; the open gauge follows state", async () => {
+  const world = await makeWorld(STUB);
+  await createIncident(world);
+  await world.call("POST", "/ai", { id: "INC-1", mode: "summary" });
+
+  let metrics = await scrape(world);
+  assert.equal(metrics.get('incidents_open{severity="High",status="Open"}'), 1);
+  assert.equal(metrics.get('incidents_created_total{severity="High"}'), 1);
+  assert.equal(metrics.get('incidents_resolved_total{severity="High"}'), 0);
+  assert.equal(metrics.get('ai_calls_total{mode="summary"}'), 1);
+  assert.equal(metrics.get("ai_call_latency_seconds_count"), 1);
+
+  await world.call("POST", "/status", { id: "INC-1", status: "Resolved", resolutionSummary: "Rolled back" }, "tok-cole");
+  metrics = await scrape(world);
+  assert.equal(metrics.get('incidents_open{severity="High",status="Open"}'), 0);
+  assert.equal(metrics.get('incidents_resolved_total{severity="High"}'), 1);
+  assert.equal(metrics.get('incident_resolution_seconds_count{severity="High"}'), 1);
+  assert.equal(metrics.get('incident_resolution_seconds_bucket{severity="High",le="+Inf"}'), 1);
+});
+
+test("archiving and purging never lower the counters", async () => {
+  const world = await resolvedWithAi();
+  const before = await scrape(world);
+
+  assert.equal((await world.call("POST", "/archive", { id: "INC-1", reason: "Done" }, "tok-cole")).status, 200);
+  assert.equal((await world.call("POST", "/purge", { id: "INC-1", reason: "Test data" })).status, 200);
+
+  const after = await scrape(world);
+  for (const name of [
+    'incidents_created_total{severity="High"}',
+    'incidents_resolved_total{severity="High"}',
+    'incident_resolution_seconds_count{severity="High"}',
+    'ai_calls_total{mode="summary"}',
+    "ai_call_latency_seconds_count"
+  ]) {
+    assert.equal(after.get(name), before.get(name), name);
+    assert.ok(after.get(name) >= 1, name);
+  }
+});
+
+test("a store from before the counters starts them from its records and tombstones", async () => {
+  const world = await resolvedWithAi();
+  await createIncident(world, { id: "INC-2", severity: "Low" });
+  await world.call("POST", "/archive", { id: "INC-2", reason: "Noise" }, "tok-cole");
+  await world.call("POST", "/purge", { id: "INC-2", reason: "Test data" });
+  world.storage.data.delete("metric-counters");
+
+  const upgraded = await makeWorld(STUB, world.storage);
+  const metrics = await scrape(upgraded);
+  assert.equal(metrics.get('incidents_created_total{severity="High"}'), 1);
+  assert.equal(metrics.get('incidents_created_total{severity="Low"}'), 1);
+  assert.equal(metrics.get('incidents_resolved_total{severity="High"}'), 1);
+  assert.equal(metrics.get('ai_calls_total{mode="summary"}'), 1);
+});
+
+// Prefixes the store lists while fn runs
+async function listedPrefixes(world, fn) {
+  const prefixes = [];
+  const list = world.storage.list.bind(world.storage);
+  world.storage.list = options => {
+    prefixes.push(options?.prefix || "");
+    return list(options);
+  };
+  try {
+    await fn();
+  } finally {
+    world.storage.list = list;
+  }
+  return prefixes;
+}
+
+const readsHistory = prefixes => prefixes.some(p => /^(timeline|note|ai|postmortem):/.test(p));
+
+test("response metrics come from incident records, not their histories", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await world.call("POST", "/status", { id: "INC-1", status: "Investigating" }, "tok-cole");
+  await world.call("POST", "/status", { id: "INC-1", status: "Resolved", resolutionSummary: "Rolled back" }, "tok-cole");
+  await world.call("POST", "/status", { id: "INC-1", status: "Investigating" }, "tok-cole");
+  await world.call("POST", "/status", { id: "INC-1", status: "Resolved", resolutionSummary: "Fixed" }, "tok-cole");
+
+  let metrics;
+  const prefixes = await listedPrefixes(world, async () => {
+    metrics = (await world.call("GET", "/metrics?groupBy=severity", undefined, "tok-val")).json;
+  });
+  assert.ok(!readsHistory(prefixes), prefixes.join(", "));
+
+  assert.equal(metrics.overall.incidents, 1);
+  assert.equal(metrics.overall.resolved, 1);
+  assert.equal(metrics.overall.reopens, 1);
+  assert.equal(metrics.overall.mtta.count, 1);
+  assert.equal(metrics.overall.mttr.count, 1);
+  assert.ok(metrics.overall.timeInState.Investigating);
+  assert.deepEqual(metrics.groups.map(g => g.key), ["High"]);
+});
+
+test("incidents from before recorded status moves get them from their timeline once", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await world.call("POST", "/assign", { id: "INC-1", commander: "cole" }, "tok-cole");
+  await world.call("POST", "/status", { id: "INC-1", status: "Resolved", resolutionSummary: "Rolled back" }, "tok-cole");
+
+  const key = world.storage.keys("incident:")[0];
+  const { stateChanges, acknowledgedAt, ...legacy } = world.storage.data.get(key);
+  assert.equal(stateChanges.length, 1);
+  world.storage.data.set(key, { ...legacy, acknowledgedAt: null });
+
+  const metrics = (await world.call("GET", "/metrics", undefined, "tok-val")).json;
+  assert.equal(metrics.overall.resolved, 1);
+  assert.equal(metrics.overall.mtta.count, 1);
+  assert.deepEqual(world.storage.data.get(key).stateChanges, stateChanges);
+  assert.equal(world.storage.data.get(key).acknowledgedAt, acknowledgedAt);
+
+  const prefixes = await listedPrefixes(world, () => world.call("GET", "/metrics", undefined, "tok-val"));
+  assert.ok(!readsHistory(prefixes), prefixes.join(", "));
+});
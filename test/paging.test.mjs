@@ -0,0 +1,104 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+// Stops the clock so incidents created together share their createdAt
+const RealDate = Date;
+afterEach(() => {
+  globalThis.Date = RealDate;
+});
+
+function freezeClock(iso) {
+  const at = RealDate.parse(iso);
+  globalThis.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [at]));
+    }
+    static now() {
+      return at;
+    }
+  };
+}
+
+const SEVERITY_OF = id => ["Low", "Medium", "High"][Number(id.slice(4)) % 3];
+
+// INC-01..INC-<count>, created out of order, all in the same millisecond
+async function tiedWorld(count) {
+  const world = await makeWorld();
+  freezeClock("2024-05-01T10:00:00.000Z");
+  const ids = Array.from({ length: count }, (_, i) => "INC-" + String(i + 1).padStart(2, "0"));
+  for (const id of [...ids.filter((_, i) => i % 2), ...ids.filter((_, i) => !(i % 2)).reverse()]) {
+    await createIncident(world, { id, severity: SEVERITY_OF(id) });
+  }
+  globalThis.Date = RealDate;
+  return { world, ids };
+}
+
+// Follows nextCursor to the end, returning every id in page order
+async function walk(world, path, limit) {
+  const seen = [];
+  let cursor = null;
+  for (;;) {
+    const res = await world.call("GET", path + (path.includes("?") ? "&" : "?") + "limit=" + limit + (cursor ? "&cursor=" + cursor : ""));
+    assert.equal(res.status, 200);
+    assert.ok(res.json.items.length <= limit);
+    seen.push(...res.json.items.map(i => i.id));
+    cursor = res.json.nextCursor;
+    if (!cursor) return seen;
+  }
+}
+
+test("pages through tied createdAt values in id order with no repeats or gaps", async () => {
+  const { world, ids } = await tiedWorld(11);
+
+  for (const limit of [1, 3, 4, 11]) {
+    assert.deepEqual(await walk(world, "/incidents", limit), ids, "limit " + limit);
+  }
+  assert.deepEqual(await walk(world, "/incidents?sort=-createdAt", 4), [...ids].reverse());
+});
+
+test("ties within a sort on severity also break on id", async () => {
+  const { world, ids } = await tiedWorld(9);
+
+  const rank = id => ["Low", "Medium", "High"].indexOf(SEVERITY_OF(id));
+  const expected = [...ids].sort((a, b) => rank(b) - rank(a) || (a < b ? 1 : -1));
+  assert.deepEqual(await walk(world, "/incidents?sort=-severity&view=summary", 2), expected);
+});
+
+test("a page says how many match in total and where to go next", async () => {
+  const { world } = await tiedWorld(5);
+
+  const first = (await world.call("GET", "/incidents?limit=2&view=summary")).json;
+  assert.deepEqual(Object.keys(first).sort(), ["counts", "items", "nextCursor", "total"]);
+  assert.equal(first.total, 5);
+  assert.deepEqual(first.counts, { open: 5, closed: 0, mine: 0 });
+
+  const last = (await world.call("GET", "/incidents?limit=5")).json;
+  assert.equal(last.items.length, 5);
+  assert.equal(last.nextCursor, null);
+
+  // Without limit or cursor it's the plain array older clients expect
+  assert.ok(Array.isArray((await world.call("GET", "/incidents")).json));
+});
+
+test("rows created between pages are picked up, not repeated", async () => {
+  const { world } = await tiedWorld(4);
+
+  const first = (await world.call("GET", "/incidents?limit=2")).json;
+  freezeClock("2024-05-01T10:00:00.000Z");
+  await createIncident(world, { id: "INC-00" });
+  await createIncident(world, { id: "INC-99" });
+  globalThis.Date = RealDate;
+
+  const rest = (await world.call("GET", "/incidents?limit=10&cursor=" + first.nextCursor)).json;
+  assert.deepEqual(rest.items.map(i => i.id), ["INC-03", "INC-04", "INC-99"]);
+});
+
+test("cursors only work with the sort they came from", async () => {
+  const { world } = await tiedWorld(3);
+  const { nextCursor } = (await world.call("GET", "/incidents?limit=1")).json;
+
+  for (const path of ["/incidents?sort=title&cursor=" + nextCursor, "/incidents?cursor=bm9wZQ", "/incidents?limit=0", "/incidents?limit=201"]) {
+    assert.equal((await world.call("GET", path)).status, 400, path);
+  }
+});
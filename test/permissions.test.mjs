@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident, USERS } from "./support/world.mjs";
+
+// Every write route and the lowest role allowed to use it (ROUTE_PERMISSIONS)
+const WRITES = [
+  ["POST", "/incident", "responder"],
+  ["PATCH", "/incident", "responder"],
+  ["POST", "/context-note", "responder"],
+  ["POST", "/ai", "responder"],
+  ["POST", "/ai/stream", "responder"],
+  ["POST", "/action-items", "responder"],
+  ["PATCH", "/action-items", "responder"],
+  ["POST", "/postmortem", "responder"],
+  ["POST", "/postmortem/draft", "responder"],
+  ["POST", "/alerts", "responder"],
+  ["POST", "/status", "commander"],
+  ["POST", "/assign", "commander"],
+  ["DELETE", "/incident", "commander"],
+  ["POST", "/archive", "commander"],
+  ["POST", "/restore", "commander"],
+  ["POST", "/purge", "admin"],
+  ["POST", "/import", "admin"],
+  ["POST", "/ai-modes", "admin"],
+  ["POST", "/webhooks", "admin"],
+  ["DELETE", "/webhooks", "admin"]
+];
+
+const ROLES = ["viewer", "responder", "commander", "admin"];
+const tokenFor = role => USERS.find(u => u.role === role).token;
+
+test("each write needs its role; lower roles get a 403 naming it and change nothing", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  const before = JSON.stringify([...world.storage.data]);
+
+  for (const [method, path, required] of WRITES) {
+    for (const role of ROLES.slice(0, ROLES.indexOf(required))) {
+      const res = await world.call(method, path, { id: "INC-1" }, tokenFor(role));
+      assert.equal(res.status, 403, method + " " + path + " as " + role);
+      assert.match(res.text, new RegExp("requires the " + required + " role"));
+    }
+  }
+
+  assert.equal(JSON.stringify([...world.storage.data]), before);
+});
+
+test("viewers can read, search, verify and scrape", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  for (const path of ["/incidents", "/incident?id=INC-1", "/search?q=checkout", "/verify?id=INC-1", "/lifecycle", "/metrics", "/openmetrics", "/ai-modes"]) {
+    assert.equal((await world.call("GET", path, undefined, "tok-val")).status, 200, path);
+  }
+  for (const path of ["/config", "/tombstones", "/redactions?id=INC-1", "/webhooks", "/webhooks/deliveries", "/ai-modes/versions?mode=summary"]) {
+    assert.equal((await world.call("GET", path, undefined, "tok-cole")).status, 403, path);
+  }
+});
+
+test("changing severity needs a commander even though responders may edit", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  assert.equal((await world.call("PATCH", "/incident", { id: "INC-1", title: "Checkout down" }, "tok-rob")).status, 200);
+
+  const res = await world.call("PATCH", "/incident", { id: "INC-1", severity: "Low" }, "tok-rob");
+  assert.equal(res.status, 403);
+  assert.match(res.text, /changing severity requires the commander role/);
+  assert.equal((await world.call("GET", "/incident?id=INC-1")).json.severity, "High");
+
+  assert.equal((await world.call("PATCH", "/incident", { id: "INC-1", severity: "Low" }, "tok-cole")).status, 200);
+});
+
+test("users without a known role are viewers", async () => {
+  const world = await makeWorld({ AUTH_USERS: JSON.stringify([...USERS, { name: "max", token: "tok-max", role: "superuser" }, { name: "ned", token: "tok-ned" }]) });
+
+  for (const token of ["tok-max", "tok-ned"]) {
+    assert.equal((await world.call("GET", "/incidents", undefined, token)).status, 200);
+    const res = await world.call("POST", "/incident", { id: "INC-1", title: "T", description: "D", severity: "Low" }, token);
+    assert.equal(res.status, 403);
+    assert.match(res.text, /is viewer/);
+  }
+});
+
+test("unknown routes are not found, whatever the role", async () => {
+  const world = await makeWorld();
+  assert.equal((await world.call("GET", "/nowhere")).status, 404);
+  assert.equal((await world.call("PUT", "/incident", {})).status, 404);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const save = (world, fields) => world.call("POST", "/postmortem", { id: "INC-1", ...fields }, "tok-rob");
+const versions = async world => (await world.call("GET", "/incident?id=INC-1")).json.postmortemVersions;
+
+async function resolvedWorld() {
+  const world = await makeWorld();
+  await createIncident(world);
+  await world.call("POST", "/status", { id: "INC-1", status: "Resolved", resolutionSummary: "Rolled back" }, "tok-cole");
+  return world;
+}
+
+test("postmortems wait until the incident is closed", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  const res = await save(world, { sections: { impact: "Checkout down 20 min" } });
+  assert.equal(res.status, 409);
+  assert.equal(res.text, "Postmortems are for closed incidents (status is Open)");
+  assert.equal((await world.call("POST", "/postmortem/draft", { id: "INC-1" }, "tok-rob")).status, 409);
+  assert.deepEqual(await versions(world), []);
+});
+
+test("sections must be an object of known section keys", async () => {
+  const world = await resolvedWorld();
+
+  for (const sections of [undefined, "Impact: bad", ["impact"]]) {
+    const res = await save(world, { sections });
+    assert.equal(res.status, 400);
+    assert.equal(res.text, "Missing sections");
+  }
+
+  const unknown = await save(world, { sections: { impact: "Down", lessons: "Test more", summary: "" } });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.text, "Unknown section(s): lessons, summary (expected: impact, timeline, rootCauseHypotheses, contributingFactors, actionItems)");
+  assert.deepEqual(await versions(world), []);
+});
+
+test("each save is a new version; left-out sections keep their text", async () => {
+  const world = await resolvedWorld();
+
+  assert.equal((await save(world, { sections: { impact: "Checkout down 20 min", timeline: "10:00 deploy" } })).json.version, 1);
+  assert.equal((await save(world, { sections: { impact: "Checkout down 25 min" }, baseVersion: 1 })).json.version, 2);
+
+  const [first, second] = await versions(world);
+  assert.equal(first.basedOn, null);
+  assert.equal(second.basedOn, 1);
+  assert.equal(second.sections.timeline, "10:00 deploy");
+  assert.deepEqual(second.changed, ["impact"]);
+  assert.equal(second.actor, "rob");
+
+  const again = await save(world, { sections: { impact: "Checkout down 25 min" } });
+  assert.equal(again.status, 400);
+  assert.equal(again.text, "No changes");
+});
+
+test("a save based on an old version is refused", async () => {
+  const world = await resolvedWorld();
+  await save(world, { sections: { impact: "Down" }, baseVersion: 0 });
+  await save(world, { sections: { impact: "Down 20 min" }, baseVersion: 1 });
+
+  const stale = await save(world, { sections: { timeline: "10:00 deploy" }, baseVersion: 1 });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.text, "Postmortem is at version 2 (you edited version 1); reload and re-apply your changes");
+  assert.equal((await versions(world)).length, 2);
+});
@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const search = async (world, q) => (await world.call("GET", "/search?q=" + encodeURIComponent(q))).json;
+
+async function putAll(storage, records) {
+  const entries = Object.entries(records);
+  for (let i = 0; i < entries.length; i += 128) await storage.put(Object.fromEntries(entries.slice(i, i + 128)));
+}
+
+// Runs the alarm until the index build is done, returning how many runs it took
+async function drainAlarms(world, max = 100) {
+  let runs = 0;
+  while ((await world.storage.get("search-build")) && runs < max) {
+    assert.ok((await world.storage.getAlarm()) <= Date.now(), "build alarm is due now");
+    await world.store.alarm();
+    runs++;
+  }
+  return runs;
+}
+
+test("a fresh store is indexed from the start", async () => {
+  const world = await makeWorld();
+  assert.equal(await world.storage.getAlarm(), null);
+  await createIncident(world);
+
+  const found = await search(world, "checkout");
+  assert.equal(found.indexing, false);
+  assert.deepEqual(found.results.map(r => r.id), ["INC-1"]);
+});
+
+test("an outdated index is rebuilt in batches from the alarm", async () => {
+  const old = await makeWorld();
+  for (let n = 1; n <= 30; n++) await createIncident(old, { id: "INC-" + n, title: "Checkout failing " + n });
+
+  // Simulate an index from an older version: a stale posting and an old version number
+  await old.storage.put("search:obsolete:INC-1", { title: 1 });
+  await old.storage.put("search-index", 0);
+
+  const world = await makeWorld({}, old.storage);
+  assert.deepEqual(await world.storage.get("search-build"), { version: 1, phase: "clear", after: null });
+  assert.notEqual(await world.storage.getAlarm(), null);
+  assert.equal((await search(world, "checkout")).indexing, true);
+
+  // One run clears, then 30 incidents at 25 per run
+  assert.equal(await drainAlarms(world), 3);
+  assert.equal(await world.storage.get("search-build"), undefined);
+  assert.equal(await world.storage.get("search-index"), 1);
+
+  const found = await search(world, "checkout");
+  assert.equal(found.indexing, false);
+  assert.equal(found.total, 30);
+  assert.equal((await search(world, "obsolete")).total, 0);
+});
+
+test("writes during a rebuild end up in the index", async () => {
+  const old = await makeWorld();
+  await createIncident(old);
+  await old.storage.put("search-index", 0);
+
+  const world = await makeWorld({}, old.storage);
+  await world.call("POST", "/context-note", { id: "INC-1", text: "Cache stampede on the ledger" });
+  await createIncident(world, { id: "INC-2", title: "Ledger lagging" });
+  await drainAlarms(world);
+
+  assert.deepEqual((await search(world, "ledger")).results.map(r => r.id).sort(), ["INC-1", "INC-2"]);
+});
+
+test("a restart mid-build carries on from the marker", async () => {
+  const old = await makeWorld();
+  for (let n = 1; n <= 30; n++) await createIncident(old, { id: "INC-" + n, title: "Checkout failing " + n });
+  await old.storage.put("search-index", 0);
+
+  const first = await makeWorld({}, old.storage);
+  await first.store.alarm();
+  await first.store.alarm();
+  const marker = await first.storage.get("search-build");
+  assert.equal(marker.phase, "index");
+  assert.ok(marker.after);
+
+  const second = await makeWorld({}, first.storage);
+  assert.deepEqual(await second.storage.get("search-build"), marker);
+  assert.equal(await drainAlarms(second), 1);
+  assert.equal((await search(second, "checkout")).total, 30);
+});
+
+test("exact matches are read in full, however many there are", async () => {
+  const world = await makeWorld();
+  await createIncident(world, { title: "Ledger lagging" });
+
+  // Postings sorting ahead of INC-1, for incidents that no longer exist
+  const filler = {};
+  for (let n = 0; n < 1500; n++) filler["search:ledger:A-" + String(n).padStart(4, "0")] = { title: 1 };
+  await putAll(world.storage, filler);
+
+  const found = await search(world, "ledger");
+  assert.deepEqual(found.results.map(r => r.id), ["INC-1"]);
+  assert.equal(found.truncated, false);
+});
+
+test("a word with too many longer matches keeps its exact hits and says it was truncated", async () => {
+  const world = await makeWorld();
+  await createIncident(world, { title: "Pay gateway down" });
+
+  // Longer terms with digits sort before "pay:", so they come first in the key range
+  const filler = {};
+  for (let n = 0; n < 5200; n++) filler["search:pay" + n + ":A-" + n] = { title: 1 };
+  await putAll(world.storage, filler);
+
+  const found = await search(world, "pay");
+  assert.deepEqual(found.results.map(r => r.id), ["INC-1"]);
+  assert.equal(found.truncated, true);
+
+  assert.equal((await search(world, "gateway")).truncated, false);
+});
@@ -0,0 +1,102 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+// Moves both Date.now() and new Date() forward; the SLA code stamps with either
+const RealDate = Date;
+let offset = 0;
+afterEach(() => {
+  globalThis.Date = RealDate;
+  offset = 0;
+});
+
+function advanceMinutes(minutes) {
+  offset += minutes * 60e3;
+  globalThis.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [RealDate.now() + offset]));
+    }
+    static now() {
+      return RealDate.now() + offset;
+    }
+  };
+}
+
+const incident = async world => (await world.call("GET", "/incident?id=INC-1")).json;
+const breaches = async world => (await incident(world)).timeline.filter(e => e.actor === "sla-monitor");
+
+test("an incident nobody acknowledges breaches once, from the alarm", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  const events = [];
+  world.sockets.push({ send: message => events.push(JSON.parse(message)) });
+
+  const { sla } = await incident(world);
+  assert.equal(world.storage.alarmAt, Date.parse(sla.ackDueAt));
+
+  advanceMinutes(4);
+  await world.store.alarm();
+  assert.deepEqual(await breaches(world), []);
+
+  advanceMinutes(2);
+  await world.store.alarm();
+  const [entry] = await breaches(world);
+  assert.equal(entry.title, "SLA Breached: Not Acknowledged");
+  assert.equal(entry.body, "High incidents must be acknowledged within 5 min\nDue: " + sla.ackDueAt);
+  assert.equal(entry.sla, "acknowledge");
+  assert.deepEqual(events.map(e => e.type), ["incident.sla_breached"]);
+  assert.deepEqual((await incident(world)).sla.breached, ["acknowledge"]);
+
+  advanceMinutes(1);
+  await world.store.alarm();
+  assert.equal((await breaches(world)).length, 1);
+});
+
+test("acknowledging in time clears the deadline", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+
+  advanceMinutes(3);
+  await world.call("POST", "/assign", { id: "INC-1", commander: "cole" }, "tok-cole");
+  assert.equal((await incident(world)).sla.ackDueAt, null);
+
+  advanceMinutes(10);
+  await world.store.alarm();
+  assert.deepEqual(await breaches(world), []);
+});
+
+test("a silent incident breaches its update SLA every period until someone posts", async () => {
+  const world = await makeWorld({ SLA_POLICIES: JSON.stringify({ High: { updateMinutes: 10 } }) });
+  await createIncident(world);
+
+  advanceMinutes(11);
+  await world.store.alarm();
+  advanceMinutes(11);
+  await world.store.alarm();
+  const entries = await breaches(world);
+  assert.deepEqual(entries.map(e => e.title), ["SLA Breached: No Update", "SLA Breached: No Update"]);
+  assert.equal(entries[0].body.split("\n")[0], "High incidents need an update every 10 min");
+  assert.deepEqual((await incident(world)).sla.breached, ["update"]);
+
+  await world.call("POST", "/context-note", { id: "INC-1", text: "Rollback in progress" });
+  const { sla } = await incident(world);
+  assert.deepEqual(sla.breached, []);
+  assert.equal(sla.breaches, 2);
+
+  advanceMinutes(5);
+  await world.store.alarm();
+  assert.equal((await breaches(world)).length, 2);
+});
+
+test("closed and archived incidents have no deadlines", async () => {
+  const world = await makeWorld();
+  await createIncident(world);
+  await createIncident(world, { id: "INC-2", title: "Search slow" });
+  await world.call("POST", "/status", { id: "INC-1", status: "Resolved", resolutionSummary: "Fixed" }, "tok-cole");
+  await world.call("POST", "/archive", { id: "INC-2" }, "tok-cole");
+
+  assert.deepEqual(world.storage.keys("sla-queue:"), []);
+  advanceMinutes(60);
+  await world.store.alarm();
+  assert.deepEqual(await breaches(world), []);
+});
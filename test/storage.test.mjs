@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeWorld, MemoryStorage } from "./support/world.mjs";
+
+// The single "incidents" array stores kept before per-key records
+function legacyIncident(n, extra = {}) {
+  return {
+    id: "INC-" + n,
+    title: "Legacy incident " + n,
+    description: "From the old array",
+    severity: "Medium",
+    status: "Investigating",
+    createdAt: new Date(Date.UTC(2024, 0, n)).toISOString(),
+    updatedAt: new Date(Date.UTC(2024, 0, n)).toISOString(),
+    resolvedAt: null,
+    additionalContext: "",
+    contextNotes: [{ text: "Note on " + n, createdAt: new Date(Date.UTC(2024, 0, n, 1)).toISOString() }],
+    timeline: [{ icon: "🆕", title: "Incident Created", body: "Legacy incident " + n, createdAt: new Date(Date.UTC(2024, 0, n)).toISOString() }],
+    aiOutput: [],
+    ...extra
+  };
+}
+
+async function legacyWorld(incidents) {
+  const storage = new MemoryStorage();
+  storage.data.set("incidents", incidents);
+  return makeWorld({}, storage);
+}
+
+test("a legacy incidents array is split into per-key records on startup", async () => {
+  const world = await legacyWorld([legacyIncident(2), legacyIncident(1)]);
+
+  assert.equal(world.storage.data.has("incidents"), false);
+  assert.deepEqual(world.storage.keys("incident:"), ["incident:INC-1", "incident:INC-2"]);
+  assert.deepEqual(world.storage.keys("note:INC-1:"), ["note:INC-1:00000000"]);
+  assert.equal(world.storage.data.get("incident:INC-1").contextNotes, undefined);
+
+  const list = (await world.call("GET", "/incidents")).json;
+  assert.deepEqual(list.map(i => i.id), ["INC-1", "INC-2"]);
+
+  const incident = (await world.call("GET", "/incident?id=INC-2")).json;
+  assert.equal(incident.title, "Legacy incident 2");
+  assert.deepEqual(incident.contextNotes.map(n => n.text), ["Note on 2"]);
+  assert.equal(incident.timeline[0].title, "Incident Created");
+});
+
+test("migrated incidents take new writes after their old history", async () => {
+  const world = await legacyWorld([legacyIncident(1)]);
+
+  assert.equal((await world.call("POST", "/context-note", { id: "INC-1", text: "After the move" }, "tok-rob")).status, 200);
+  assert.deepEqual(world.storage.keys("note:INC-1:"), ["note:INC-1:00000000", "note:INC-1:00000001"]);
+
+  const incident = (await world.call("GET", "/incident?id=INC-1")).json;
+  assert.deepEqual(incident.contextNotes.map(n => n.text), ["Note on 1", "After the move"]);
+
+  // Old entries were never sealed; the chain starts at the first new one
+  const verify = (await world.call("GET", "/verify?id=INC-1")).json;
+  assert.equal(verify.ok, true);
+  assert.equal(verify.contextNotes.unsealed, 1);
+  assert.equal(verify.contextNotes.sealed, 1);
+});
+
+test("missing history arrays migrate as empty and large arrays are written in batches", async () => {
+  const incidents = Array.from({ length: 80 }, (_, i) => legacyIncident(i + 1));
+  incidents.push({ ...legacyIncident(99), contextNotes: undefined, timeline: "not a list" }, { title: "No id" });
+  const world = await legacyWorld(incidents);
+
+  assert.equal(world.storage.keys("incident:").length, 81);
+  assert.equal(world.storage.keys("note:").length, 80);
+
+  const bare = (await world.call("GET", "/incident?id=INC-99")).json;
+  assert.deepEqual(bare.contextNotes, []);
+  assert.deepEqual(bare.timeline, []);
+});
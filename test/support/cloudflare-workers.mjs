@@ -0,0 +1,7 @@
+// Just enough of the runtime module for IncidentStore to extend
+export class DurableObject {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+}
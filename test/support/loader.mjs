@@ -0,0 +1,13 @@
+// Module hooks for register.mjs
+const SHIM = new URL("./cloudflare-workers.mjs", import.meta.url).href;
+const WORKER = new URL("../../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+  if (specifier === "cloudflare:workers") return { url: SHIM, shortCircuit: true };
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith(WORKER) && url.endsWith(".js")) return next(url, { ...context, format: "module" });
+  return next(url, context);
+}
@@ -0,0 +1,16 @@
+/*
+  Loaded with --import before the tests: lets Node import the Worker as-is.
+  - cloudflare:workers resolves to a minimal DurableObject base class
+  - src/index.js is ESM even though package.json has no "type": "module"
+  - WebSocketRequestResponsePair (used by the store's constructor) exists
+*/
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
+
+globalThis.WebSocketRequestResponsePair ??= class WebSocketRequestResponsePair {
+  constructor(request, response) {
+    this.request = request;
+    this.response = response;
+  }
+};
@@ -0,0 +1,124 @@
+/*
+  Test world: the Worker and one IncidentStore over in-memory Durable Object storage.
+  world.call() goes through the Worker (auth, routing) exactly as a client would.
+*/
+import worker, { IncidentStore } from "../../src/index.js";
+
+export const USERS = [
+  { name: "ann", token: "tok-ann", role: "admin" },
+  { name: "cole", token: "tok-cole", role: "commander" },
+  { name: "rob", token: "tok-rob", role: "responder" },
+  { name: "val", token: "tok-val", role: "viewer" }
+];
+
+// The parts of the storage API the store uses; values are cloned like the real thing
+export class MemoryStorage {
+  constructor() {
+    this.data = new Map();
+    this.alarmAt = null;
+  }
+
+  async get(key) {
+    if (!Array.isArray(key)) return this.data.has(key) ? structuredClone(this.data.get(key)) : undefined;
+    const found = new Map();
+    for (const k of key) if (this.data.has(k)) found.set(k, structuredClone(this.data.get(k)));
+    return found;
+  }
+
+  async put(key, value) {
+    const entries = typeof key === "object" ? Object.entries(key) : [[key, value]];
+    if (entries.length > 128) throw new Error("put: more than 128 keys");
+    for (const [k, v] of entries) this.data.set(k, structuredClone(v));
+  }
+
+  async delete(key) {
+    if (!Array.isArray(key)) return this.data.delete(key);
+    if (key.length > 128) throw new Error("delete: more than 128 keys");
+    return key.filter(k => this.data.delete(k)).length;
+  }
+
+  async list({ prefix = "", start, startAfter, end, reverse = false, limit } = {}) {
+    let keys = [...this.data.keys()].filter(k => k.startsWith(prefix)).sort();
+    if (start !== undefined) keys = keys.filter(k => k >= start);
+    if (startAfter !== undefined) keys = keys.filter(k => k > startAfter);
+    if (end !== undefined) keys = keys.filter(k => k < end);
+    if (reverse) keys.reverse();
+    if (limit !== undefined) keys = keys.slice(0, limit);
+    return new Map(keys.map(k => [k, structuredClone(this.data.get(k))]));
+  }
+
+  async getAlarm() {
+    return this.alarmAt;
+  }
+
+  async setAlarm(at) {
+    this.alarmAt = typeof at === "number" ? at : at.getTime();
+  }
+
+  async deleteAlarm() {
+    this.alarmAt = null;
+  }
+
+  keys(prefix = "") {
+    return [...this.data.keys()].filter(k => k.startsWith(prefix)).sort();
+  }
+}
+
+export async function makeWorld(vars = {}, storage = new MemoryStorage()) {
+  const startup = [];
+  const sockets = [];
+  const state = {
+    storage,
+    blockConcurrencyWhile: fn => {
+      const done = fn();
+      startup.push(done);
+      return done;
+    },
+    setWebSocketAutoResponse() {},
+    acceptWebSocket: ws => sockets.push(ws),
+    getWebSockets: () => sockets,
+    waitUntil() {}
+  };
+
+  const env = { AUTH_USERS: JSON.stringify(USERS), SESSION_SECRET: "test-secret", ...vars };
+  const store = new IncidentStore(state, env);
+  await Promise.all(startup);
+  env.INCIDENT_STORE = { idFromName: () => "global", get: () => ({ fetch: request => store.fetch(request) }) };
+
+  async function call(method, path, body, token = "tok-ann") {
+    const headers = { Authorization: "Bearer " + token };
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    const response = await worker.fetch(
+      new Request("https://incidents.test" + path, {
+        method,
+        headers,
+        body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body)
+      }),
+      env,
+      { waitUntil() {} }
+    );
+    const text = await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = undefined;
+    }
+    return { status: response.status, headers: response.headers, text, json };
+  }
+
+  return { storage, env, store, sockets, call };
+}
+
+// A fixed incident most tests start from
+export async function createIncident(world, fields = {}) {
+  const res = await world.call("POST", "/incident", {
+    id: "INC-1",
+    title: "Checkout failing",
+    description: "Payments return 502",
+    severity: "High",
+    ...fields
+  });
+  if (res.status !== 200) throw new Error("create failed: " + res.status + " " + res.text);
+  return res.json;
+}
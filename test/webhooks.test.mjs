@@ -0,0 +1,264 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { makeWorld, createIncident } from "./support/world.mjs";
+
+const realFetch = globalThis.fetch;
+const realNow = Date.now;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  Date.now = realNow;
+});
+
+// Moves the clock the store sees forward by ms
+function advanceClock(ms) {
+  const now = Date.now;
+  Date.now = () => now() + ms;
+}
+
+// Receiver stub: records each request and answers with the next status (200 once they run out)
+function receiver(...statuses) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, ...init });
+    return new Response("", { status: statuses.shift() ?? 200 });
+  };
+  return requests;
+}
+
+async function subscribedWorld() {
+  const world = await makeWorld();
+  const hook = (await world.call("POST", "/webhooks", { url: "https://hooks.test/in", events: ["incident.created"] })).json.webhook;
+  return { world, hook };
+}
+
+test("due deliveries are sent by the alarm and leave the queue", async () => {
+  const requests = receiver(200);
+  const { world } = await subscribedWorld();
+  await createIncident(world);
+  assert.equal(world.storage.keys("webhook-queue:").length, 1);
+
+  await world.store.alarm();
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].headers["X-Incident-Event"], "incident.created");
+  assert.deepEqual(world.storage.keys("webhook-queue:"), []);
+
+  const [delivery] = (await world.call("GET", "/webhooks/deliveries")).json;
+  assert.equal(delivery.status, "delivered");
+});
+
+test("an event for more subscriptions than one storage write holds is queued for all of them", async () => {
+  receiver();
+  const world = await makeWorld();
+  for (let i = 0; i < 70; i++) {
+    await world.call("POST", "/webhooks", { url: "https://hooks.test/in/" + i, events: ["incident.created"] });
+  }
+
+  await createIncident(world);
+  assert.equal(world.storage.keys("webhook-queue:").length, 70);
+  assert.equal(world.storage.keys("delivery:").length, 70);
+});
+
+test("a failed attempt is queued for retry in place of the due entry", async () => {
+  receiver(503);
+  const { world } = await subscribedWorld();
+  await createIncident(world);
+  const [due] = world.storage.keys("webhook-queue:");
+
+  await world.store.alarm();
+  const queued = world.storage.keys("webhook-queue:");
+  assert.equal(queued.length, 1);
+  assert.notEqual(queued[0], due);
+
+  const [delivery] = (await world.call("GET", "/webhooks/deliveries")).json;
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.attempts[0].error, "HTTP 503");
+  assert.ok(queued[0].endsWith(":" + delivery.id));
+});
+
+test("retries back off on a fixed schedule until the delivery fails", async () => {
+  const requests = receiver(...Array(7).fill(503));
+  const { world } = await subscribedWorld();
+  await createIncident(world);
+
+  const gaps = [];
+  for (let attempt = 1; attempt <= 7; attempt++) {
+    await world.store.alarm();
+    const [delivery] = (await world.call("GET", "/webhooks/deliveries")).json;
+    assert.equal(delivery.attempts.length, attempt);
+    if (!delivery.nextAttemptAt) break;
+
+    const gap = Date.parse(delivery.nextAttemptAt) - Date.parse(delivery.attempts.at(-1).at);
+    gaps.push(Math.round(gap / 1000));
+
+    // Not due yet: the alarm leaves it alone
+    await world.store.alarm();
+    assert.equal(requests.length, attempt);
+    advanceClock(gap + 1);
+  }
+
+  assert.deepEqual(gaps, [30, 120, 600, 1800, 7200, 21600]);
+  const [failed] = (await world.call("GET", "/webhooks/deliveries")).json;
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.attempts.length, 7);
+  assert.deepEqual(world.storage.keys("webhook-queue:"), []);
+});
+
+test("deliveries are signed with the subscription's secret", async () => {
+  const requests = receiver();
+  const world = await makeWorld();
+  await world.call("POST", "/webhooks", { url: "https://hooks.test/in", secret: "shared-secret" });
+  await createIncident(world);
+  await world.store.alarm();
+
+  const [{ headers, body }] = requests;
+  const expected = createHmac("sha256", "shared-secret").update(headers["X-Incident-Timestamp"] + "." + body).digest("hex");
+  assert.equal(headers["X-Incident-Signature"], "sha256=" + expected);
+  assert.equal(JSON.parse(body).type, "incident.created");
+
+  // The secret is only shown when the subscription is created
+  const [listed] = (await world.call("GET", "/webhooks")).json;
+  assert.ok(!JSON.stringify(listed).includes("shared-secret"));
+});
+
+test("subscriptions only receive the events they asked for", async () => {
+  receiver();
+  const { world } = await subscribedWorld();
+  await createIncident(world);
+  await world.call("POST", "/context-note", { id: "INC-1", text: "Rolled back" });
+
+  const log = (await world.call("GET", "/webhooks/deliveries")).json;
+  assert.deepEqual(log.map(d => d.eventType), ["incident.created"]);
+  assert.equal((await world.call("POST", "/webhooks", { url: "https://hooks.test/in", events: ["incident.exploded"] })).status, 400);
+});
+
+test("the queue entry survives an attempt whose outcome was never stored", async () => {
+  receiver(200);
+  const { world } = await subscribedWorld();
+  await createIncident(world);
+  const queued = world.storage.keys("webhook-queue:");
+
+  const put = world.storage.put;
+  world.storage.put = async (key, value) => {
+    if (typeof key === "string" && key.startsWith("delivery:")) throw new Error("object evicted");
+    return put.call(world.storage, key, value);
+  };
+  await assert.rejects(world.store.alarm(), /object evicted/);
+  world.storage.put = put;
+
+  assert.deepEqual(world.storage.keys("webhook-queue:"), queued);
+  await world.store.alarm();
+  assert.deepEqual(world.storage.keys("webhook-queue:"), []);
+  assert.equal((await world.call("GET", "/webhooks/deliveries")).json[0].status, "delivered");
+});
+
+test("deliveries for a deleted webhook are cancelled", async () => {
+  const requests = receiver();
+  const { world, hook } = await subscribedWorld();
+  await createIncident(world);
+  await world.call("DELETE", "/webhooks?id=" + hook.id);
+
+  await world.store.alarm();
+  assert.equal(requests.length, 0);
+  assert.deepEqual(world.storage.keys("webhook-queue:"), []);
+  assert.equal((await world.call("GET", "/webhooks/deliveries")).json[0].status, "cancelled");
+});
+
+test("the delivery log is read per subscription, newest first", async () => {
+  receiver();
+  const world = await makeWorld();
+  const first = (await world.call("POST", "/webhooks", { url: "https://hooks.test/a" })).json.webhook;
+  const second = (await world.call("POST", "/webhooks", { url: "https://hooks.test/b", events: ["incident.created"] })).json.webhook;
+  await createIncident(world);
+  await world.call("POST", "/context-note", { id: "INC-1", text: "Rolled back" });
+
+  assert.ok(world.storage.keys("delivery:").every(key => key.startsWith("delivery:" + first.id + ":") || key.startsWith("delivery:" + second.id + ":")));
+
+  const firstLog = (await world.call("GET", "/webhooks/deliveries?webhookId=" + first.id)).json;
+  assert.deepEqual(firstLog.map(d => d.eventType), ["incident.note_added", "incident.created"]);
+  assert.equal((await world.call("GET", "/webhooks/deliveries?webhookId=" + first.id + "&limit=1")).json.length, 1);
+
+  const all = (await world.call("GET", "/webhooks/deliveries")).json;
+  assert.equal(all.length, 3);
+  assert.deepEqual(all.map(d => d.id), all.map(d => d.id).sort().reverse());
+
+  await world.store.alarm();
+  const delivered = (await world.call("GET", "/webhooks/deliveries?status=delivered&limit=2")).json;
+  assert.equal(delivered.length, 2);
+});
+
+test("settled deliveries past the retention period are pruned", async () => {
+  receiver();
+  const { world, hook } = await subscribedWorld();
+  const old = (Date.now() - 31 * 86400e3).toString(36).padStart(9, "0");
+  const record = (id, status) => ({ id, webhookId: hook.id, status, attempts: [], nextAttemptAt: null });
+  await world.storage.put({
+    ["delivery:" + hook.id + ":" + old + "-aaaaaaaa"]: record(old + "-aaaaaaaa", "delivered"),
+    ["delivery:" + hook.id + ":" + old + "-bbbbbbbb"]: record(old + "-bbbbbbbb", "failed")
+  });
+  await createIncident(world);
+
+  await world.store.alarm();
+  const log = (await world.call("GET", "/webhooks/deliveries")).json;
+  assert.deepEqual(log.map(d => d.eventType), ["incident.created"]);
+});
+
+test("a delivery log from before per-subscription keys is moved over by the alarm", async () => {
+  const requests = receiver();
+  const { world, hook } = await subscribedWorld();
+  await createIncident(world);
+
+  // Rewrite the store as the old layout: delivery:<id>, queue entries holding the bare id
+  const legacy = {};
+  for (let n = 0; n < 70; n++) {
+    const id = (Date.now() - 1000 + n).toString(36).padStart(9, "0") + "-" + String(n).padStart(8, "0");
+    legacy["delivery:" + id] = { id, webhookId: hook.id, eventType: "incident.updated", payload: "{}", status: "delivered", attempts: [] };
+  }
+  const [[currentKey, pending]] = [...(await world.storage.list({ prefix: "delivery:" }))];
+  const [queueKey] = world.storage.keys("webhook-queue:");
+  await world.storage.delete(currentKey);
+  for (const [key, value] of Object.entries(legacy)) await world.storage.put(key, value);
+  await world.storage.put("delivery:" + pending.id, pending);
+  await world.storage.put(queueKey, pending.id);
+  await world.storage.delete("webhook-log-version");
+
+  const restarted = await makeWorld({}, world.storage);
+  assert.deepEqual(await restarted.storage.get("webhook-log-migration"), { after: null });
+
+  // The pending one is delivered straight from its legacy key; the move goes 60 keys per run
+  await restarted.store.alarm();
+  assert.equal(requests.length, 1);
+  let runs = 1;
+  while ((await restarted.storage.get("webhook-log-migration")) && runs < 10) {
+    await restarted.store.alarm();
+    runs++;
+  }
+  assert.ok(runs > 1 && runs < 10);
+  assert.equal(await restarted.storage.get("webhook-log-version"), 2);
+
+  assert.ok(restarted.storage.keys("delivery:").every(key => key.split(":").length === 3));
+  const log = (await restarted.call("GET", "/webhooks/deliveries?webhookId=" + hook.id + "&limit=500")).json;
+  assert.equal(log.length, 71);
+  assert.equal(log.find(d => d.id === pending.id).status, "delivered");
+});
+
+test("a pending legacy delivery keeps its queue entry through the move", async () => {
+  const requests = receiver();
+  const { world, hook } = await subscribedWorld();
+  await createIncident(world);
+
+  const [[currentKey, pending]] = [...(await world.storage.list({ prefix: "delivery:" }))];
+  const [queueKey] = world.storage.keys("webhook-queue:");
+  await world.storage.delete(currentKey);
+  await world.storage.put("delivery:" + pending.id, pending);
+  await world.storage.put(queueKey, pending.id);
+  await world.storage.delete("webhook-log-version");
+
+  const restarted = await makeWorld({}, world.storage);
+  await restarted.store.migrateDeliveryLog();
+  assert.equal(await restarted.storage.get(queueKey), "delivery:" + hook.id + ":" + pending.id);
+
+  await restarted.store.alarm();
+  assert.equal(requests.length, 1);
+  assert.deepEqual(restarted.storage.keys("webhook-queue:"), []);
+});